@@ -1,7 +1,16 @@
-import React, { useEffect, useMemo, useState } from "react";
+import React, {
+  createContext,
+  useCallback,
+  useContext,
+  useEffect,
+  useMemo,
+  useRef,
+  useState,
+} from "react";
 import {
   addMinutes,
   differenceInMinutes,
+  differenceInCalendarDays,
   format,
   isBefore,
   parseISO,
@@ -19,8 +28,9 @@ import {
 } from "date-fns";
 import { es } from "date-fns/locale";
 import { utcToZonedTime, zonedTimeToUtc } from "date-fns-tz";
-import { v4 as uuidv4 } from "uuid";
+import { v4 as uuidv4, v5 as uuidv5 } from "uuid";
 import { Toaster, toast } from "sonner";
+import writeXlsxFile from "write-excel-file";
 import {
   Download,
   Clock,
@@ -32,12 +42,69 @@ import {
   Copy,
   ChevronLeft,
   ChevronRight,
+  Plus,
+  Trash2,
+  ArrowUp,
+  ArrowDown,
+  Repeat,
+  LogOut,
+  Mail,
+  Wrench,
+  Search,
+  Rss,
+  Upload,
+  BarChart3,
+  Hourglass,
+  History,
+  Filter,
+  Accessibility,
 } from "lucide-react";
 import { supabase } from "./supabase";
+import {
+  bookingUID,
+  buildCalendar,
+  buildEvent,
+  generateICS,
+  parseICS,
+  parseICSDate,
+  parseICSDuration,
+  parseRRule,
+  toICSDate,
+  unescapeICS,
+} from "../supabase/functions/_shared/ics.js";
 
 /* ========= Config ========= */
-const TZ = "Europe/Madrid";
+const DEFAULT_TIMEZONE = "Europe/Madrid";
+// zona de la sede que se está viendo; las utilidades de fecha la reciben como
+// parámetro (tz) y los componentes la leen de aquí o de settings.timezone
+const OfficeTimeZone = createContext(DEFAULT_TIMEZONE);
 const SLOT_MINUTES = 30;
+const DEFAULT_SETTINGS = {
+  // { id, name, slug, timezone, start_hour, end_hour, position }
+  sites: [],
+  // { id, site_id, floor, name, capacity, active, position,
+  //   equipment: ["Pantalla", ...], photo_url, description, accessibility }
+  rooms: [],
+  startHour: 8,
+  endHour: 22,
+  requireName: true,
+  allowPast: false,
+  // check-in: se abre N min antes; sin check-in pasada la cortesía se libera
+  checkinEnabled: false,
+  checkinOpenMinutes: 15,
+  checkinGraceMinutes: 15,
+  waitlistClaimMinutes: 15,
+  // políticas (null = sin límite); por despacho: max_duration_minutes, allowed_teams
+  maxAdvanceDays: null,
+  maxActiveBookings: null,
+  maxWeeklyHours: null,
+  bufferMinutes: 0,
+  // { id, room_id (null = oficina), weekday 1..7, opens, closes } (opens null = cerrado)
+  openingHours: [],
+  holidays: [], // { id, site_id, day: "yyyy-MM-dd", name }
+  blackouts: [], // { id, room_id, start, end, reason } (UTC)
+  timezone: DEFAULT_TIMEZONE,
+};
 
 /* ========= Utils ========= */
 const timeToLabel = (date) => format(date, "HH:mm", { locale: es });
@@ -45,801 +112,6558 @@ const toDateInput = (d) => format(d, "yyyy-MM-dd");
 const fromDateInput = (v) => startOfDay(new Date(v));
 
 // local -> UTC ISO (para guardar)
-function toUTCISO(dateLocal) {
-  return zonedTimeToUtc(dateLocal, TZ).toISOString();
+function toUTCISO(dateLocal, tz) {
+  return zonedTimeToUtc(dateLocal, tz).toISOString();
 }
 // UTC ISO (BD) -> fecha en zona
-function fromUTCtoZoned(isoUtc) {
-  return utcToZonedTime(parseISO(isoUtc), TZ);
+function fromUTCtoZoned(isoUtc, tz) {
+  return utcToZonedTime(parseISO(isoUtc), tz);
 }
 // límites UTC para consultar un día “local” completo
-function dayRangeUTC(dayLocal) {
+function dayRangeUTC(dayLocal, tz) {
   const startLocal = startOfDay(dayLocal);
   const endLocal = addDays(startLocal, 1);
   return {
-    startUTC: zonedTimeToUtc(startLocal, TZ).toISOString(),
-    endUTC: zonedTimeToUtc(endLocal, TZ).toISOString(),
+    startUTC: zonedTimeToUtc(startLocal, tz).toISOString(),
+    endUTC: zonedTimeToUtc(endLocal, tz).toISOString(),
+  };
+}
+
+// límites UTC de la semana (lunes a domingo) que contiene dayLocal
+function weekRangeUTC(dayLocal, tz) {
+  const startLocal = startOfWeek(dayLocal, { weekStartsOn: 1 });
+  return {
+    startUTC: zonedTimeToUtc(startLocal, tz).toISOString(),
+    endUTC: zonedTimeToUtc(addDays(startLocal, 7), tz).toISOString(),
   };
 }
 
 // escala del timeline en columnas
 const PX_PER_MIN = 2.4; // 30 min = 72 px
-function minutesBetween(a, b) {
-  return (b.getTime() - a.getTime()) / 60000;
+// minutos reales entre dos horas de pared de la oficina (los días de cambio
+// de hora no coinciden con los del reloj)
+function minutesBetween(a, b, tz) {
+  return (zonedTimeToUtc(b, tz).getTime() - zonedTimeToUtc(a, tz).getTime()) / 60000;
 }
-
-/* ========= Supabase API ========= */
-async function fetchBookingsForDay(dayLocal) {
-  const { startUTC, endUTC } = dayRangeUTC(dayLocal);
-  const { data, error } = await supabase
-    .from("bookings")
-    .select("*")
-    .gte("start", startUTC)
-    .lt("start", endUTC)
-    .order("start", { ascending: true });
-  if (error) {
-    console.error(error);
-    toast.error("No pude cargar reservas");
-    return [];
+// minutos de reloj, sin tener en cuenta el cambio de hora
+function wallMinutesBetween(a, b) {
+  const wall = (d) =>
+    Date.UTC(d.getFullYear(), d.getMonth(), d.getDate(), d.getHours(), d.getMinutes());
+  return (wall(b) - wall(a)) / 60000;
+}
+// inversa de minutesBetween: la hora de pared N minutos reales después
+function addOfficeMinutes(dateLocal, minutes, tz) {
+  return utcToZonedTime(addMinutes(zonedTimeToUtc(dateLocal, tz), minutes), tz);
+}
+// una marca por hora real entre dos horas de pared; el día que se adelanta
+// el reloj falta una hora y el que se atrasa se repite
+function hourMarks(startLocal, endLocal, tz) {
+  const marks = [];
+  const from = zonedTimeToUtc(startLocal, tz);
+  const total = minutesBetween(startLocal, endLocal, tz);
+  for (let m = 0; m <= total; m += 60) {
+    marks.push({ minute: m, time: utcToZonedTime(addMinutes(from, m), tz) });
   }
-  return data || [];
+  return marks;
 }
-async function upsertBooking(b) {
-  const payload = {
-    id: b.id,
-    room: b.room,
-    person: b.person,
-    purpose: b.purpose,
-    start: toUTCISO(new Date(b.startLocal)),
-    end: toUTCISO(new Date(b.endLocal)),
-    created_at: new Date().toISOString(),
-  };
-  const { error } = await supabase.from("bookings").upsert(payload);
-  if (error) throw error;
+
+// "Ana · lun 3 mar 10:00–11:00" para mensajes de conflicto
+function describeBooking(b, tz) {
+  const s = fromUTCtoZoned(b.start, tz);
+  const e = fromUTCtoZoned(b.end, tz);
+  const sameDay = format(s, "yyyy-MM-dd") === format(e, "yyyy-MM-dd");
+  const when = sameDay
+    ? `${format(s, "EEE d LLL HH:mm", { locale: es })}–${timeToLabel(e)}`
+    : `${format(s, "EEE d LLL HH:mm", { locale: es })} – ${format(e, "EEE d LLL HH:mm", { locale: es })}`;
+  return `${b.person || "Reserva"} · ${when}`;
 }
-async function deleteBookingDb(id) {
-  const { error } = await supabase.from("bookings").delete().eq("id", id);
-  if (error) throw error;
+
+// nombre del despacho a partir de su id (también para archivados)
+function roomNameFor(rooms, roomId) {
+  return rooms.find((r) => r.id === roomId)?.name || "Despacho";
 }
 
-/* ========= App ========= */
-export default function App() {
-  const today = useMemo(() => utcToZonedTime(new Date(), TZ), []);
-  const [currentDay, setCurrentDay] = useState(startOfDay(today));
-  const [bookings, setBookings] = useState([]);
-  const [settings, setSettings] = useState({
-    rooms: ["Despacho 1", "Despacho 2", "Despacho 3", "Despacho 4"],
-    startHour: 8,
-    endHour: 22,
-    requireName: true,
-    allowPast: false,
-  });
-  const [openSettings, setOpenSettings] = useState(false);
+// etiquetas de equipamiento de los despachos, sin repetir
+function equipmentOptions(rooms) {
+  return [...new Set(rooms.flatMap((r) => r.equipment || []))].sort((a, b) =>
+    a.localeCompare(b, "es")
+  );
+}
 
-  // cargar reservas del día
-  useEffect(() => {
-    (async () => setBookings(await fetchBookingsForDay(currentDay)))();
-  }, [currentDay]);
+// caben `people` personas y tiene todo el equipamiento pedido
+function roomFits(room, { people = 0, equipment = [] }) {
+  return room.capacity >= people && equipment.every((t) => room.equipment?.includes(t));
+}
 
-  // realtime
-  useEffect(() => {
-    const ch = supabase
-      .channel("bookings-rt")
-      .on(
-        "postgres_changes",
-        { event: "*", schema: "public", table: "bookings" },
-        async () => setBookings(await fetchBookingsForDay(currentDay))
-      )
-      .subscribe();
-    return () => {
-      supabase.removeChannel(ch);
-    };
-  }, [currentDay]);
+// descripción y accesibilidad, para el title de la cabecera
+function roomDetails(room) {
+  return [
+    room.description,
+    room.accessibility && `Accesibilidad: ${room.accessibility}`,
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
 
-  const dayBookings = bookings; // ya filtradas por día desde BD
+/* ========= Recurrencia ========= */
+const WEEKDAY_CODES = ["MO", "TU", "WE", "TH", "FR", "SA", "SU"]; // ISO 1..7
+const WEEKDAY_LETTERS = ["L", "M", "X", "J", "V", "S", "D"];
+const MAX_OCCURRENCES = 366;
 
-  async function addOrUpdateBooking(newB) {
-    if (settings.requireName && !newB.person?.trim()) {
-      toast.error("Añade un nombre o equipo");
-      return false;
-    }
-    const s = new Date(newB.startLocal);
-    const e = new Date(newB.endLocal);
-    if (!settings.allowPast && isBefore(e, new Date())) {
-      toast.error("No se permiten reservas en el pasado");
-      return false;
-    }
-    // validación rápida contra solapes en el cliente (mismo room)
-    const conflict = dayBookings.some((b) => {
-      if (b.room !== newB.room || b.id === newB.id) return false;
-      const bs = fromUTCtoZoned(b.start);
-      const be = fromUTCtoZoned(b.end);
-      return s < be && bs < e;
-    });
-    if (conflict) {
-      toast.error("El despacho ya está reservado en ese horario");
-      return false;
-    }
+// ISO: 1 = lunes … 7 = domingo
+const isoWeekday = (d) => ((d.getDay() + 6) % 7) + 1;
 
-    try {
-      await upsertBooking(newB);
-      toast.success("Reserva guardada");
-      setBookings(await fetchBookingsForDay(currentDay));
-      return true;
-    } catch (err) {
-      console.error(err);
-      toast.error("No se pudo guardar");
-      return false;
-    }
-  }
+// Ocurrencias (hora local) de una regla, antes de quitar exdates.
+// rule: { freq: "daily"|"weekly", interval, weekdays, until: "yyyy-MM-dd", count }
+function expandRecurrence(startLocal, durationMin, rule) {
+  const limit = Math.min(rule.count || MAX_OCCURRENCES, MAX_OCCURRENCES);
+  const untilEnd = rule.until ? addDays(fromDateInput(rule.until), 1) : null;
+  const interval = Math.max(1, Number(rule.interval) || 1);
+  const firstDay = startOfDay(startLocal);
+  const hh = startLocal.getHours();
+  const mm = startLocal.getMinutes();
+  const out = [];
+  const done = (day) => out.length >= limit || (untilEnd && day >= untilEnd);
+  const push = (day) => {
+    const s = setHours(setMinutes(day, mm), hh);
+    out.push({ startLocal: s, endLocal: addMinutes(s, durationMin) });
+  };
 
-  async function deleteBooking(id) {
-    try {
-      await deleteBookingDb(id);
-      toast("Reserva eliminada");
-      setBookings(await fetchBookingsForDay(currentDay));
-    } catch (e) {
-      console.error(e);
-      toast.error("No se pudo eliminar");
+  if (rule.freq === "daily") {
+    for (let day = firstDay; !done(day); day = addDays(day, interval)) push(day);
+  } else if (rule.freq === "weekly") {
+    const weekdays = (rule.weekdays?.length ? [...rule.weekdays] : [isoWeekday(startLocal)]).sort(
+      (a, b) => a - b
+    );
+    for (let week = startOfWeek(firstDay, { weekStartsOn: 1 }); ; week = addDays(week, 7 * interval)) {
+      for (const wd of weekdays) {
+        const day = addDays(week, wd - 1);
+        if (day < firstDay) continue;
+        if (done(day)) return out;
+        push(day);
+      }
     }
   }
+  return out;
+}
 
-  return (
-    <div className="min-h-screen bg-slate-50 p-4">
-      <Toaster position="top-center" richColors />
+// fila de booking_series -> RRULE (UNTIL en UTC, como exige RFC 5545 con TZID)
+function seriesToRRule(series, tz) {
+  const parts = [`FREQ=${series.freq.toUpperCase()}`, `INTERVAL=${series.interval || 1}`];
+  if (series.freq === "weekly" && series.weekdays?.length) {
+    parts.push(`BYDAY=${series.weekdays.map((d) => WEEKDAY_CODES[d - 1]).join(",")}`);
+  }
+  if (series.until) {
+    const untilUtc = zonedTimeToUtc(addDays(fromDateInput(series.until), 1), tz);
+    parts.push(`UNTIL=${toICSDate(new Date(untilUtc.getTime() - 1000))}`);
+  } else if (series.count) {
+    parts.push(`COUNT=${series.count}`);
+  }
+  return parts.join(";");
+}
 
-      {/* Header */}
-      <header className="max-w-6xl mx-auto mb-4 flex flex-col gap-3">
-        <div className="flex items-center justify-between gap-3">
-          <div>
-            <h1 className="text-2xl font-bold">Reserva de Despachos</h1>
-            <p className="text-slate-600">Compartido en tiempo real · {TZ}</p>
-          </div>
-          <div className="flex items-center gap-2">
-            <button
-              onClick={() => toast("Para vaciar todo, hazlo desde la base de datos.")}
-              className="px-3 py-2 rounded-lg border bg-white hover:bg-slate-50 text-sm flex items-center gap-2"
-            >
-              <Download className="w-4 h-4" />
-              Vaciar
-            </button>
-            <button
-              onClick={() => setOpenSettings(true)}
-              className="px-3 py-2 rounded-lg border bg-white hover:bg-slate-50 text-sm flex items-center gap-2"
-            >
-              <Settings2 className="w-4 h-4" />
-              Ajustes
-            </button>
-          </div>
-        </div>
+const sameInstant = (a, b) => new Date(a).getTime() === new Date(b).getTime();
 
-        {/* Navegación por días + selector */}
-        <div className="flex flex-wrap items-center gap-2">
-          <button
-            onClick={() => setCurrentDay(addMinutes(currentDay, -1440))}
-            className="px-3 py-2 rounded-lg border bg-white hover:bg-slate-50 text-sm"
-          >
-            ← Ayer
-          </button>
-          <button
-            onClick={() => setCurrentDay(startOfDay(utcToZonedTime(new Date(), TZ)))}
-            className="px-3 py-2 rounded-lg border bg-white hover:bg-slate-50 text-sm"
-          >
-            Hoy
-          </button>
-          <button
-            onClick={() => setCurrentDay(addMinutes(currentDay, 1440))}
-            className="px-3 py-2 rounded-lg border bg-white hover:bg-slate-50 text-sm"
-          >
-            Mañana →
-          </button>
+/* ========= Horario y cierres ========= */
+const WEEKDAY_NAMES = ["Lunes", "Martes", "Miércoles", "Jueves", "Viernes", "Sábado", "Domingo"];
+const WEEKDAY_PLURALS = ["lunes", "martes", "miércoles", "jueves", "viernes", "sábados", "domingos"];
+// "09:30" (o "09:30:00" de Postgres) -> 570
+const minutesOfDay = (hhmm) => {
+  const [h, m] = hhmm.split(":").map(Number);
+  return h * 60 + m;
+};
+const minutesLabel = (m) =>
+  `${String(Math.floor(m / 60)).padStart(2, "0")}:${String(m % 60).padStart(2, "0")}`;
 
-          <input
-            type="date"
-            className="ml-2 px-3 py-2 border rounded-lg text-sm bg-white"
-            value={toDateInput(currentDay)}
-            onChange={(e) => setCurrentDay(fromDateInput(e.target.value))}
-          />
+// Horario de un despacho un día local: { open, close } en minutos desde las
+// 00:00, o { closed, label } si no abre. Misma prioridad que en BD: festivo >
+// horario del despacho > horario de la oficina > horario general (que además
+// limita a los otros dos).
+function openingFor(settings, roomId, day) {
+  const holiday = settings.holidays.find((h) => h.day === toDateInput(day));
+  if (holiday) {
+    return {
+      closed: `Cerrado: el ${format(day, "dd/MM/yyyy")} es festivo (${holiday.name})`,
+      label: holiday.name,
+    };
+  }
+  const weekday = isoWeekday(day);
+  const rule =
+    settings.openingHours.find((o) => o.room_id === roomId && o.weekday === weekday) ||
+    settings.openingHours.find((o) => !o.room_id && o.weekday === weekday);
+  if (rule && !rule.opens) {
+    return {
+      closed: `Cerrado: ${roomNameFor(settings.rooms, roomId)} no abre los ${WEEKDAY_PLURALS[weekday - 1]}`,
+      label: "Cerrado",
+    };
+  }
+  const open = settings.startHour * 60;
+  const close = settings.endHour * 60;
+  if (!rule) return { open, close };
+  return {
+    open: Math.max(open, minutesOfDay(rule.opens)),
+    close: Math.min(close, minutesOfDay(rule.closes)),
+  };
+}
 
-          <div className="ml-auto text-slate-700 font-medium">
-            {format(currentDay, "EEEE d 'de' MMMM yyyy", { locale: es })}
-          </div>
-        </div>
+// cierres puntuales del despacho (o de toda la oficina) que tocan [startUTC, endUTC)
+function blackoutsFor(settings, roomId, startUTC, endUTC) {
+  return settings.blackouts
+    .filter(
+      (x) =>
+        (!x.room_id || x.room_id === roomId) &&
+        new Date(x.start) < new Date(endUTC) &&
+        new Date(x.end) > new Date(startUTC)
+    )
+    .sort((a, b) => new Date(a.start) - new Date(b.start));
+}
 
-        <WeekStrip currentDay={currentDay} onSelect={setCurrentDay} />
-      </header>
+// Motivo por el que no se puede reservar (mismos textos que
+// booking_closure_violation) o null. Una reserva de varios días (de noche,
+// un fin de semana) solo tiene que empezar y acabar dentro del horario: los
+// días intermedios no cuentan.
+function closureViolation(settings, b) {
+  const tz = settings.timezone;
+  const s = new Date(b.startLocal);
+  const e = new Date(b.endLocal);
+  const roomName = roomNameFor(settings.rooms, b.room_id);
+  const first = startOfDay(s);
+  const last = startOfDay(new Date(e.getTime() - 1));
+  const days = last > first ? [first, last] : [first];
+  for (const day of days) {
+    const hours = openingFor(settings, b.room_id, day);
+    if (hours.closed) return hours.closed;
+    const from = Math.max(0, wallMinutesBetween(day, s));
+    const to = Math.min(24 * 60, wallMinutesBetween(day, e));
+    if (
+      (day === first && (from < hours.open || from >= hours.close)) ||
+      (day === days[days.length - 1] && (to > hours.close || to <= hours.open))
+    ) {
+      return `Fuera de horario: ${roomName} abre los ${WEEKDAY_PLURALS[isoWeekday(day) - 1]} de ${minutesLabel(hours.open)} a ${minutesLabel(hours.close)}`;
+    }
+  }
+  const [x] = blackoutsFor(settings, b.room_id, toUTCISO(s, tz), toUTCISO(e, tz));
+  if (!x) return null;
+  return `Cerrado por ${x.reason?.trim() || "mantenimiento"}: ${roomName} del ${format(
+    fromUTCtoZoned(x.start, tz),
+    "dd/MM HH:mm"
+  )} al ${format(fromUTCtoZoned(x.end, tz), "dd/MM HH:mm")}`;
+}
 
-      {/* Main */}
-      <main className="max-w-6xl mx-auto grid grid-cols-1 lg:grid-cols-3 gap-4">
-        <div className="lg:col-span-1 space-y-4">
-          <MiniCalendar selected={currentDay} onSelect={setCurrentDay} />
+// Tramos no reservables de un día, en minutos desde las 00:00, para
+// sombrearlos en las rejillas
+function closedSpans(settings, roomId, day) {
+  const tz = settings.timezone;
+  const hours = openingFor(settings, roomId, day);
+  if (hours.closed) return [{ from: 0, to: 24 * 60, label: hours.label }];
+  const spans = [
+    { from: 0, to: hours.open, label: null },
+    { from: hours.close, to: 24 * 60, label: null },
+  ];
+  const { startUTC, endUTC } = dayRangeUTC(day, tz);
+  for (const x of blackoutsFor(settings, roomId, startUTC, endUTC)) {
+    spans.push({
+      from: Math.max(0, wallMinutesBetween(day, fromUTCtoZoned(x.start, tz))),
+      to: Math.min(24 * 60, wallMinutesBetween(day, fromUTCtoZoned(x.end, tz))),
+      label: x.reason?.trim() || "Mantenimiento",
+    });
+  }
+  return spans.filter((c) => c.to > c.from);
+}
 
-          <div className="bg-white border rounded-2xl shadow-sm">
-            <div className="p-4 border-b flex items-center gap-2 font-semibold text-slate-700">
-              <CalendarIcon className="w-5 h-5" />
-              Nueva reserva
-            </div>
-            <div className="p-4">
-              <BookingForm
-                key={format(currentDay, "yyyy-MM-dd")}
-                currentDay={currentDay}
-                settings={settings}
-                onSubmit={addOrUpdateBooking}
-              />
-            </div>
-          </div>
-        </div>
+// festivos nacionales, de la Comunidad y locales de Madrid capital. Los que
+// caen en domingo se trasladan cada año por decreto: conviene revisarlos.
+function madridHolidays(year) {
+  // domingo de Pascua (algoritmo de Butcher)
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  const easter = new Date(year, month - 1, day);
+  const fixed = (mm, dd) => new Date(year, mm - 1, dd);
+  return [
+    [fixed(1, 1), "Año Nuevo"],
+    [fixed(1, 6), "Epifanía del Señor"],
+    [addDays(easter, -3), "Jueves Santo"],
+    [addDays(easter, -2), "Viernes Santo"],
+    [fixed(5, 1), "Fiesta del Trabajo"],
+    [fixed(5, 2), "Fiesta de la Comunidad de Madrid"],
+    [fixed(5, 15), "San Isidro"],
+    [fixed(8, 15), "Asunción de la Virgen"],
+    [fixed(10, 12), "Fiesta Nacional de España"],
+    [fixed(11, 1), "Todos los Santos"],
+    [fixed(11, 9), "Nuestra Señora de la Almudena"],
+    [fixed(12, 6), "Día de la Constitución"],
+    [fixed(12, 8), "Inmaculada Concepción"],
+    [fixed(12, 25), "Navidad"],
+  ].map(([date, name]) => ({ day: toDateInput(date), name }));
+}
 
-        {/* Timeline en columnas */}
-        <div className="lg:col-span-2">
-          <div className="bg-white border rounded-2xl shadow-sm">
-            <div className="p-4 border-b flex items-center gap-2 text-sm text-slate-600">
-              <Clock className="h-4 w-4" /> Tramos de {SLOT_MINUTES} min ·{" "}
-              {String(settings.startHour).padStart(2, "0")}:00–
-              {String(settings.endHour).padStart(2, "0")}:00
-            </div>
-            <div className="p-2">
-              <RoomsSideBySideTimeline
-                day={currentDay}
-                rooms={settings.rooms}
-                bookings={dayBookings}
-                startHour={settings.startHour}
-                endHour={settings.endHour}
-                onEdit={(b) => {
-                  if (!window.confirm("¿Cargar esta reserva para editar?")) return;
-                  window.dispatchEvent(new CustomEvent("load-booking", { detail: b }));
-                }}
-                onDelete={deleteBooking}
-              />
-            </div>
-          </div>
-        </div>
-      </main>
+/* ========= Zonas horarias ========= */
+// las que conoce el navegador; si no sabe listarlas, las más habituales
+const TIMEZONES =
+  typeof Intl.supportedValuesOf === "function"
+    ? Intl.supportedValuesOf("timeZone")
+    : [
+        "Europe/Madrid",
+        "Atlantic/Canary",
+        "Europe/Lisbon",
+        "Europe/London",
+        "America/Mexico_City",
+        "America/Bogota",
+        "America/Lima",
+        "America/Caracas",
+        "America/Santiago",
+        "America/Argentina/Buenos_Aires",
+        "America/Sao_Paulo",
+        "America/New_York",
+        "UTC",
+      ];
 
-      {/* Ajustes */}
-      {openSettings && (
-        <div className="fixed inset-0 bg-black/30 flex items-center justify-center p-4 z-50">
-          <div className="bg-white rounded-2xl shadow-xl w-full max-w-xl p-4 border">
-            <div className="flex items-center justify-between mb-3">
-              <h3 className="text-lg font-semibold">Ajustes</h3>
-              <button
-                onClick={() => setOpenSettings(false)}
-                className="p-2 hover:bg-slate-100 rounded-lg"
-              >
-                <X className="w-5 h-5" />
-              </button>
-            </div>
-            <SettingsPanel
-              settings={settings}
-              setSettings={setSettings}
-              onClose={() => setOpenSettings(false)}
-            />
-          </div>
-        </div>
-      )}
+// "America/Argentina/Buenos_Aires" -> "Buenos Aires"
+const timeZoneCity = (tz) => tz.split("/").pop().replace(/_/g, " ");
 
-      <footer className="max-w-6xl mx-auto mt-6 text-center text-xs text-slate-500">
-        Hecho por DiegoRG · Supabase realtime · Timeline en columnas
-      </footer>
-    </div>
-  );
+// hora de pared de la oficina (officeTZ) -> la misma hora en otra zona
+function officeToZone(dateLocal, officeTZ, tz) {
+  return utcToZonedTime(zonedTimeToUtc(dateLocal, officeTZ), tz);
 }
 
-/* ========= Week strip ========= */
-function WeekStrip({ currentDay, onSelect }) {
-  const weekStart = startOfWeek(currentDay, { weekStartsOn: 1 });
-  const weekEnd = endOfWeek(currentDay, { weekStartsOn: 1 });
-  const days = eachDayOfInterval({ start: weekStart, end: weekEnd });
+// "09:00–10:00" en la zona tz; con el día delante si no es el de la oficina
+function zoneRangeLabel(startLocal, endLocal, officeTZ, tz) {
+  const at = (d) => {
+    const z = officeToZone(d, officeTZ, tz);
+    return toDateInput(z) === toDateInput(d)
+      ? timeToLabel(z)
+      : format(z, "EEE d HH:mm", { locale: es });
+  };
+  return `${at(startLocal)}–${at(endLocal)}`;
+}
 
+// emptyLabel: texto de la opción "sin zona" (null); sin él es obligatoria
+function TimeZoneSelect({ value, onChange, emptyLabel, className }) {
+  const options = value && !TIMEZONES.includes(value) ? [value, ...TIMEZONES] : TIMEZONES;
   return (
-    <div className="flex gap-2 overflow-x-auto pb-1">
-      <button
-        onClick={() => onSelect(addDays(currentDay, -7))}
-        className="px-2 py-1 border rounded-lg bg-white hover:bg-slate-50 text-xs flex items-center gap-1"
-      >
-        <ChevronLeft className="w-4 h-4" /> Semana -
-      </button>
-
-      {days.map((d) => {
-        const isActive =
-          format(d, "yyyy-MM-dd") === format(currentDay, "yyyy-MM-dd");
-        return (
-          <button
-            key={d.toISOString()}
-            onClick={() => onSelect(startOfDay(d))}
-            className={`px-3 py-2 rounded-xl text-sm border ${
-              isActive ? "bg-slate-900 text-white" : "bg-white hover:bg-slate-50"
-            }`}
-            title={format(d, "EEEE d 'de' MMMM", { locale: es })}
-          >
-            <div className="text-[11px]">
-              {format(d, "EEE", { locale: es })}
-            </div>
-            <div className="text-base">{format(d, "d")}</div>
-          </button>
-        );
-      })}
-
-      <button
-        onClick={() => onSelect(addDays(currentDay, 7))}
-        className="px-2 py-1 border rounded-lg bg-white hover:bg-slate-50 text-xs flex items-center gap-1"
-      >
-        Semana + <ChevronRight className="w-4 h-4" />
-      </button>
-    </div>
+    <select
+      value={value || ""}
+      onChange={(e) => onChange(e.target.value || null)}
+      className={className}
+    >
+      {emptyLabel && <option value="">{emptyLabel}</option>}
+      {options.map((tz) => (
+        <option key={tz} value={tz}>
+          {tz.replace(/_/g, " ")}
+        </option>
+      ))}
+    </select>
   );
 }
 
-/* ========= Mini calendar ========= */
-function MiniCalendar({ selected, onSelect }) {
-  const [viewMonth, setViewMonth] = useState(startOfMonth(selected));
-  useEffect(() => setViewMonth(startOfMonth(selected)), [selected]);
+/* ========= Sedes ========= */
+// "Sede Bilbao" -> "sede-bilbao" (para ?sede= en la URL)
+function slugify(text) {
+  return normalizeLabel(text)
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
 
-  const start = startOfWeek(startOfMonth(viewMonth), { weekStartsOn: 1 });
-  const end = endOfWeek(endOfMonth(viewMonth), { weekStartsOn: 1 });
-  const days = eachDayOfInterval({ start, end });
+// ¿la regla o el cierre es de la sede? (los de un despacho, por su despacho)
+function belongsToSite(settings, siteId) {
+  const roomIds = new Set(settings.rooms.filter((r) => r.site_id === siteId).map((r) => r.id));
+  return (x) => (x.room_id ? roomIds.has(x.room_id) : x.site_id === siteId);
+}
 
-  function isSameDay(a, b) {
-    return format(a, "yyyy-MM-dd") === format(b, "yyyy-MM-dd");
-  }
+// Ajustes vistos desde una sede: sus despachos, horario, zona, reglas,
+// festivos y cierres. El resto de la app trabaja siempre con esto. Sede
+// desconocida: la primera; sin sedes (aún sin cargar) se devuelven tal cual.
+function siteSettings(settings, slug) {
+  const site = settings.sites.find((x) => x.slug === slug) || settings.sites[0];
+  if (!site) return { ...settings, siteId: null, siteSlug: null };
+  const ofSite = belongsToSite(settings, site.id);
+  return {
+    ...settings,
+    siteId: site.id,
+    siteSlug: site.slug,
+    rooms: settings.rooms.filter((r) => r.site_id === site.id),
+    startHour: site.start_hour,
+    endHour: site.end_hour,
+    timezone: site.timezone,
+    openingHours: settings.openingHours.filter(ofSite),
+    holidays: settings.holidays.filter(ofSite),
+    blackouts: settings.blackouts.filter(ofSite),
+  };
+}
 
-  return (
-    <div className="bg-white border rounded-2xl shadow-sm">
-      <div className="p-3 border-b flex items-center justify-between">
-        <button
-          className="p-2 rounded-lg border hover:bg-slate-50"
-          onClick={() => setViewMonth(subMonths(viewMonth, 1))}
-        >
-          <ChevronLeft className="w-4 h-4" />
-        </button>
-        <div className="font-semibold">
-          {format(viewMonth, "MMMM yyyy", { locale: es })}
-        </div>
-        <button
-          className="p-2 rounded-lg border hover:bg-slate-50"
-          onClick={() => setViewMonth(addMonths(viewMonth, 1))}
-        >
-          <ChevronRight className="w-4 h-4" />
-        </button>
-      </div>
+// Inversa de siteSettings: mete lo editado en una sede (local) en los ajustes
+// completos para guardarlos. Horario y zona de local son los de la sede.
+function mergeSiteSettings(settings, local) {
+  const ofSite = belongsToSite(settings, local.siteId);
+  return {
+    ...local,
+    startHour: settings.startHour,
+    endHour: settings.endHour,
+    timezone: settings.timezone,
+    sites: local.sites.map((x) =>
+      x.id === local.siteId
+        ? { ...x, start_hour: local.startHour, end_hour: local.endHour, timezone: local.timezone }
+        : x
+    ),
+    rooms: [...settings.rooms.filter((r) => r.site_id !== local.siteId), ...local.rooms],
+    openingHours: [...settings.openingHours.filter((x) => !ofSite(x)), ...local.openingHours],
+    holidays: [...settings.holidays.filter((x) => !ofSite(x)), ...local.holidays],
+    blackouts: [...settings.blackouts.filter((x) => !ofSite(x)), ...local.blackouts],
+  };
+}
 
-      <div className="px-3 py-2 grid grid-cols-7 gap-1 text-center text-xs text-slate-500">
-        {["L", "M", "X", "J", "V", "S", "D"].map((d) => (
-          <div key={d} className="py-1">
-            {d}
-          </div>
-        ))}
-      </div>
+/* ========= Asistentes ========= */
+// booking_attendees.response
+const ATTENDEE_RESPONSES = { pending: "sin responder", accepted: "asiste", declined: "no asiste" };
+const isEmail = (text) => /^[^@\s]+@[^@\s]+$/.test(text);
 
-      <div className="px-2 pb-3 grid grid-cols-7 gap-1">
-        {days.map((d) => {
-          const isCurrentMonth = d.getMonth() === viewMonth.getMonth();
-          const active = isSameDay(d, selected);
-          return (
-            <button
-              key={d.toISOString()}
-              onClick={() => onSelect(startOfDay(d))}
-              className={`py-2 rounded-xl text-sm border ${
-                active
-                  ? "bg-slate-900 text-white border-slate-900"
-                  : isCurrentMonth
-                  ? "bg-white hover:bg-slate-50"
-                  : "bg-slate-50 text-slate-400"
-              }`}
-              title={format(d, "EEEE d 'de' MMMM", { locale: es })}
-            >
-              {format(d, "d")}
-            </button>
-          );
-        })}
-      </div>
-    </div>
-  );
+// personas en el despacho: quien reserva más los invitados que no han dicho que no
+function headcount(attendees = []) {
+  return 1 + attendees.filter((a) => a.response !== "declined").length;
+}
+
+/* ========= Políticas de reserva ========= */
+// Mismas reglas y mensajes que bookings_enforce_policies; aquí solo se avisa
+// antes de guardar, quien decide es el trigger. `ownBookings`: reservas
+// confirmadas del dueño que acaban después del lunes de esa semana;
+// `roomBookings`: las del despacho alrededor del tramo (para el margen).
+// Devuelve el mensaje de la primera regla incumplida o null.
+function policyViolation(b, { settings, team, ownBookings = [], roomBookings = [], now = new Date() }) {
+  const tz = settings.timezone;
+  const room = settings.rooms.find((r) => r.id === b.room_id);
+  const start = zonedTimeToUtc(new Date(b.startLocal), tz);
+  const end = zonedTimeToUtc(new Date(b.endLocal), tz);
+  const minutes = differenceInMinutes(end, start);
+
+  if (room?.max_duration_minutes && minutes > room.max_duration_minutes) {
+    return `Regla «Duración máxima»: en ${room.name} cada reserva puede durar como mucho ${room.max_duration_minutes} min`;
+  }
+  if (room?.allowed_teams?.length && !room.allowed_teams.includes(team)) {
+    return `Regla «Despacho restringido»: ${room.name} es solo para ${room.allowed_teams.join(", ")}`;
+  }
+  if (settings.maxAdvanceDays && start > addDays(now, settings.maxAdvanceDays)) {
+    return `Regla «Antelación máxima»: solo se puede reservar con ${settings.maxAdvanceDays} días de antelación`;
+  }
+  const gap = settings.bufferMinutes;
+  if (
+    gap > 0 &&
+    roomBookings.some((x) => {
+      if (x.id === b.id) return false;
+      const xs = new Date(x.start);
+      const xe = new Date(x.end);
+      const overlaps = xs < end && xe > start;
+      return !overlaps && xs < addMinutes(end, gap) && xe > addMinutes(start, -gap);
+    })
+  ) {
+    return `Regla «Margen entre reservas»: deja ${gap} min libres antes y después de otras reservas en ${room?.name}`;
+  }
+  // una serie cuenta como una sola reserva activa
+  if (settings.maxActiveBookings) {
+    const group = b.series_id || b.id;
+    const active = new Set(
+      ownBookings
+        .filter((x) => x.id !== b.id && new Date(x.end) > now && (x.series_id || x.id) !== group)
+        .map((x) => x.series_id || x.id)
+    );
+    if (active.size >= settings.maxActiveBookings) {
+      return `Regla «Reservas activas»: cada persona puede tener como mucho ${settings.maxActiveBookings} reservas pendientes`;
+    }
+  }
+  if (settings.maxWeeklyHours) {
+    const { startUTC, endUTC } = weekRangeUTC(new Date(b.startLocal), tz);
+    const booked = ownBookings
+      .filter(
+        (x) =>
+          x.id !== b.id && new Date(x.start) >= new Date(startUTC) && new Date(x.start) < new Date(endUTC)
+      )
+      .reduce((sum, x) => sum + differenceInMinutes(new Date(x.end), new Date(x.start)), 0);
+    if (booked + minutes > settings.maxWeeklyHours * 60) {
+      return `Regla «Horas semanales»: cada persona puede reservar como mucho ${settings.maxWeeklyHours} h por semana`;
+    }
+  }
+  return null;
+}
+
+/* ========= Supabase API ========= */
+// el despacho está ocupado; `conflicts` son las reservas con las que choca
+class BookingConflictError extends Error {
+  constructor(conflicts) {
+    super("El despacho ya está reservado en ese horario");
+    this.name = "BookingConflictError";
+    this.conflicts = conflicts;
+  }
+}
+// código Postgres de violación de la exclusion constraint
+const PG_EXCLUSION_VIOLATION = "23P01";
+// errcode propio de bookings_enforce_policies; el mensaje ya nombra la regla
+const PG_POLICY_VIOLATION = "RP001";
+
+async function fetchBookingsForDay(dayLocal, tz, siteId) {
+  const { startUTC, endUTC } = dayRangeUTC(dayLocal, tz);
+  return fetchBookingsBetween(startUTC, endUTC, siteId);
+}
+async function fetchBookingsForWeek(dayLocal, tz, siteId) {
+  const { startUTC, endUTC } = weekRangeUTC(dayLocal, tz);
+  return fetchBookingsBetween(startUTC, endUTC, siteId);
+}
+// todo lo que cabe en la rejilla del mes (semanas completas)
+async function fetchBookingsForMonth(monthLocal, tz, siteId) {
+  const gridStart = startOfWeek(startOfMonth(monthLocal), { weekStartsOn: 1 });
+  const gridEnd = addDays(endOfWeek(endOfMonth(monthLocal), { weekStartsOn: 1 }), 1);
+  return fetchBookingsBetween(
+    zonedTimeToUtc(gridStart, tz).toISOString(),
+    zonedTimeToUtc(startOfDay(gridEnd), tz).toISOString(),
+    siteId
+  );
+}
+// todas las que pisan [startUTC, endUTC), también las que empiezan antes
+// (nocturnas y de varios días); siteId: solo las de esa sede
+async function fetchBookingsBetween(startUTC, endUTC, siteId = null) {
+  let query = supabase
+    .from("bookings")
+    .select(`*, attendees:${ATTENDEE_SELECT}`)
+    .eq("status", "confirmed")
+    .lt("start", endUTC)
+    .gt("end", startUTC);
+  if (siteId) query = query.eq("site_id", siteId);
+  const { data, error } = await query.order("start", { ascending: true });
+  if (error) {
+    console.error(error);
+    toast.error("No pude cargar reservas");
+    return [];
+  }
+  return data || [];
+}
+// PostgREST devuelve como mucho 1000 filas por consulta
+const BOOKINGS_PAGE = 1000;
+// Como fetchBookingsBetween pero completa, por páginas, y sin tragarse el
+// error: para importar y exportar, donde una lista a medias engaña. roomId y
+// person (contiene, sin distinguir mayúsculas) filtran en el servidor.
+async function fetchAllBookingsBetween(startUTC, endUTC, { siteId, roomId, person } = {}) {
+  const rows = [];
+  for (let from = 0; ; from += BOOKINGS_PAGE) {
+    let query = supabase
+      .from("bookings")
+      .select(`*, attendees:${ATTENDEE_SELECT}`)
+      .eq("status", "confirmed")
+      .lt("start", endUTC)
+      .gt("end", startUTC);
+    if (siteId) query = query.eq("site_id", siteId);
+    if (roomId) query = query.eq("room_id", roomId);
+    if (person) query = query.ilike("person", `%${person.replace(/[\\%_]/g, "\\$&")}%`);
+    const { data, error } = await query
+      .order("start", { ascending: true })
+      .order("id", { ascending: true })
+      .range(from, from + BOOKINGS_PAGE - 1);
+    if (error) throw error;
+    rows.push(...data);
+    if (data.length < BOOKINGS_PAGE) return rows;
+  }
+}
+async function fetchConflicts({ room_id, start, end, exclude_id }) {
+  const { data, error } = await supabase.rpc("booking_conflicts", {
+    p_room_id: room_id,
+    p_start: start,
+    p_end: end,
+    p_exclude_id: exclude_id ?? null,
+  });
+  if (error) throw error;
+  return data || [];
+}
+async function upsertBooking(b, tz) {
+  const payload = {
+    id: b.id,
+    room_id: b.room_id,
+    person: b.person,
+    purpose: b.purpose,
+    start: toUTCISO(new Date(b.startLocal), tz),
+    end: toUTCISO(new Date(b.endLocal), tz),
+    // solo si se pide: reactivar una reserva cancelada (reimportación)
+    ...(b.status && { status: b.status }),
+  };
+  const { error } = await supabase.from("bookings").upsert(payload);
+  if (!error) return;
+  // otro cliente se ha adelantado: averiguar con quién chocamos
+  if (error.code === PG_EXCLUSION_VIOLATION) {
+    const conflicts = await fetchConflicts({
+      room_id: payload.room_id,
+      start: payload.start,
+      end: payload.end,
+      exclude_id: payload.id,
+    }).catch(() => []);
+    throw new BookingConflictError(conflicts);
+  }
+  throw error;
+}
+// cancelar = marcar; la fila sigue para que los feeds .ics publiquen la anulación
+async function deleteBookingDb(id) {
+  const { error } = await supabase
+    .from("bookings")
+    .update({ status: "cancelled" })
+    .eq("id", id);
+  if (error) throw error;
+}
+// reservas de un despacho que tocan [startUTC, endUTC)
+async function fetchRoomBookingsInRange(roomId, startUTC, endUTC) {
+  const { data, error } = await supabase
+    .from("bookings")
+    .select("*")
+    .eq("status", "confirmed")
+    .eq("room_id", roomId)
+    .lt("start", endUTC)
+    .gt("end", startUTC)
+    .order("start", { ascending: true });
+  if (error) throw error;
+  return data || [];
+}
+// reservas confirmadas de una persona que acaban después de fromUTC (cupos)
+async function fetchOwnerBookingsFrom(ownerId, fromUTC) {
+  const { data, error } = await supabase
+    .from("bookings")
+    .select("id, series_id, start, end")
+    .eq("status", "confirmed")
+    .eq("owner_id", ownerId)
+    .gt("end", fromUTC);
+  if (error) throw error;
+  return data || [];
+}
+async function fetchSeries(id) {
+  const { data, error } = await supabase
+    .from("booking_series")
+    .select("*")
+    .eq("id", id)
+    .single();
+  if (error) throw error;
+  return data;
+}
+// reservas vigentes de una serie
+async function fetchSeriesBookingIds(seriesId) {
+  const { data, error } = await supabase
+    .from("bookings")
+    .select("id")
+    .eq("series_id", seriesId)
+    .eq("status", "confirmed");
+  if (error) throw error;
+  return (data || []).map((b) => b.id);
+}
+async function saveSeriesDb({ series, occurrences, previousId, from, previousUntil }) {
+  const { error } = await supabase.rpc("save_booking_series", {
+    p_series: series,
+    p_occurrences: occurrences,
+    p_previous_id: previousId ?? null,
+    p_from: from ?? null,
+    p_previous_until: previousUntil ?? null,
+  });
+  if (!error) return;
+  if (error.code === PG_EXCLUSION_VIOLATION) throw new BookingConflictError([]);
+  throw error;
+}
+// scope: "this" | "following" | "series"
+async function cancelSeriesDb(seriesId, scope, occurrenceId, until) {
+  const { error } = await supabase.rpc("cancel_booking_series", {
+    p_series_id: seriesId,
+    p_scope: scope,
+    p_occurrence_id: occurrenceId ?? null,
+    p_until: until ?? null,
+  });
+  if (error) throw error;
+}
+async function fetchProfile(userId) {
+  const { data, error } = await supabase
+    .from("profiles")
+    .select("*")
+    .eq("id", userId)
+    .maybeSingle();
+  if (error) {
+    console.error(error);
+    return null;
+  }
+  return data;
+}
+// todos los usuarios (admin: asignar equipos)
+async function fetchProfiles() {
+  const { data, error } = await supabase
+    .from("profiles")
+    .select("id, display_name, role, team")
+    .order("display_name", { ascending: true });
+  if (error) throw error;
+  return data || [];
+}
+async function saveProfileTeam(id, team) {
+  const { error } = await supabase.from("profiles").update({ team }).eq("id", id);
+  if (error) throw error;
+}
+// null = ver las horas de la oficina
+async function saveProfileTimezone(id, timezone) {
+  const { error } = await supabase.from("profiles").update({ timezone }).eq("id", id);
+  if (error) throw error;
+}
+// token personal de los feeds .ics; se crea la primera vez
+async function fetchFeedToken(userId) {
+  const { data, error } = await supabase
+    .from("feed_tokens")
+    .select("token")
+    .eq("user_id", userId)
+    .maybeSingle();
+  if (error) throw error;
+  if (data) return data.token;
+  const { data: created, error: insErr } = await supabase
+    .from("feed_tokens")
+    .insert({ user_id: userId })
+    .select("token")
+    .single();
+  if (insErr) throw insErr;
+  return created.token;
+}
+// invalida los enlaces ya compartidos
+async function regenerateFeedToken(userId) {
+  const { error } = await supabase.from("feed_tokens").delete().eq("user_id", userId);
+  if (error) throw error;
+  return fetchFeedToken(userId);
+}
+// avisos por correo; sin fila, todos activados
+const DEFAULT_NOTIFICATION_PREFS = {
+  on_created: true,
+  on_updated: true,
+  on_cancelled: true,
+  on_reminder: true,
+  on_invited: true,
+};
+async function fetchNotificationPrefs(userId) {
+  const { data, error } = await supabase
+    .from("notification_prefs")
+    .select("on_created, on_updated, on_cancelled, on_reminder, on_invited")
+    .eq("user_id", userId)
+    .maybeSingle();
+  if (error) throw error;
+  return data || DEFAULT_NOTIFICATION_PREFS;
+}
+async function saveNotificationPrefs(userId, prefs) {
+  const { error } = await supabase
+    .from("notification_prefs")
+    .upsert({ user_id: userId, ...prefs, updated_at: new Date().toISOString() });
+  if (error) throw error;
+}
+// registro de actividad de una reserva, del alta en adelante
+async function fetchBookingHistory(bookingId) {
+  const { data, error } = await supabase
+    .from("booking_audit")
+    .select("*")
+    .eq("booking_id", bookingId)
+    .order("at", { ascending: true });
+  if (error) throw error;
+  return data || [];
+}
+// actividad reciente de toda la oficina (RLS: solo admins la ven entera).
+// Se pagina por id: una serie deja decenas de entradas con la misma hora.
+const ACTIVITY_PAGE = 50;
+async function fetchActivity(beforeId = null) {
+  let query = supabase
+    .from("booking_audit")
+    .select("*")
+    .order("id", { ascending: false })
+    .limit(ACTIVITY_PAGE);
+  if (beforeId) query = query.lt("id", beforeId);
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+}
+// mantenimiento (solo admins); con dryRun devuelve cuántas se borrarían
+async function adminDeleteBookingsDb({ from, to, roomId, endedBefore }, dryRun) {
+  const { data, error } = await supabase.rpc("admin_delete_bookings", {
+    p_from: from ?? null,
+    p_to: to ?? null,
+    p_room_id: roomId ?? null,
+    p_ended_before: endedBefore ?? null,
+    p_dry_run: dryRun,
+  });
+  if (error) throw error;
+  return data ?? 0;
+}
+// estadísticas del periodo (días locales "yyyy-MM-dd", ambos incluidos)
+async function fetchAnalytics(from, to, siteId) {
+  const params = { p_from: from, p_to: to, p_site_id: siteId };
+  const [occupancy, peaks, people, summary] = await Promise.all([
+    supabase.rpc("booking_occupancy_by_week", params),
+    supabase.rpc("booking_peak_hours", params),
+    supabase.rpc("booking_top_people", params),
+    supabase.rpc("booking_summary", params),
+  ]);
+  const error = occupancy.error || peaks.error || people.error || summary.error;
+  if (error) throw error;
+  return {
+    occupancy: occupancy.data || [],
+    peaks: peaks.data || [],
+    people: people.data || [],
+    summary: summary.data?.[0] || {},
+  };
+}
+async function checkInBookingDb(id) {
+  const { error } = await supabase.rpc("check_in_booking", { p_id: id });
+  if (error) throw error;
+}
+// lista de espera: solo las entradas propias aún pendientes
+async function fetchMyWaitlist(userId) {
+  const { data, error } = await supabase
+    .from("waitlist")
+    .select("*")
+    .eq("user_id", userId)
+    .in("status", ["waiting", "offered"])
+    .order("start", { ascending: true });
+  if (error) throw error;
+  return data || [];
+}
+async function joinWaitlistDb({ room_id, start, end, person, purpose }) {
+  const { error } = await supabase
+    .from("waitlist")
+    .insert({ room_id, start, end, person, purpose });
+  if (error) throw error;
+}
+async function leaveWaitlistDb(id) {
+  const { error } = await supabase.from("waitlist").update({ status: "cancelled" }).eq("id", id);
+  if (error) throw error;
+}
+async function claimWaitlistDb(id) {
+  const { data, error } = await supabase.rpc("claim_waitlist_offer", { p_id: id });
+  if (error) throw error;
+  return data;
+}
+// asistentes de una reserva (embebidos en las consultas de reservas). Sin
+// email: solo lo ve quien organiza, con fetchAttendeeEmails
+const ATTENDEE_SELECT = "booking_attendees(id, user_id, name, response)";
+const attendeeKey = (a) => a.user_id || a.email?.toLowerCase() || a.id;
+// id del asistente -> email, de las reservas propias (o todas si es admin)
+async function fetchAttendeeEmails(bookingIds) {
+  const { data, error } = await supabase.rpc("booking_attendee_emails", {
+    p_booking_ids: bookingIds,
+  });
+  if (error) throw error;
+  return new Map((data || []).map((a) => [a.id, a.email]));
+}
+// deja en cada reserva exactamente esos asistentes; los que ya estaban
+// conservan su respuesta y no se les vuelve a invitar
+async function saveAttendeesDb(bookingIds, attendees) {
+  const { data: rows, error } = await supabase
+    .from("booking_attendees")
+    .select("id, booking_id, user_id")
+    .in("booking_id", bookingIds);
+  if (error) throw error;
+  const emails = await fetchAttendeeEmails(bookingIds);
+  const current = rows.map((a) => ({ ...a, email: emails.get(a.id) }));
+  const wanted = new Set(attendees.map(attendeeKey));
+  // un externo cuyo email no se ha podido leer sigue siendo el mismo asistente
+  const stale = current
+    .filter((a) => !wanted.has(attendeeKey(a)) && !wanted.has(a.id))
+    .map((a) => a.id);
+  if (stale.length) {
+    const { error: deleteError } = await supabase
+      .from("booking_attendees")
+      .delete()
+      .in("id", stale);
+    if (deleteError) throw deleteError;
+  }
+  const known = new Set(current.map((a) => `${a.booking_id}:${attendeeKey(a)}`));
+  const added = bookingIds.flatMap((bookingId) =>
+    attendees
+      .filter((a) => (a.user_id || a.email) && !known.has(`${bookingId}:${attendeeKey(a)}`))
+      .map((a) => ({
+        booking_id: bookingId,
+        user_id: a.user_id || null,
+        // el de los usuarios lo rellena el trigger booking_attendees_fill
+        email: a.user_id ? null : a.email,
+        name: a.name || null,
+        response: a.response || "pending",
+      }))
+  );
+  if (!added.length) return;
+  const { error: insertError } = await supabase.from("booking_attendees").insert(added);
+  if (insertError) throw insertError;
+}
+async function respondToBookingDb(bookingId, response) {
+  const { error } = await supabase.rpc("respond_to_booking", {
+    p_booking_id: bookingId,
+    p_response: response,
+  });
+  if (error) throw error;
+}
+// invitaciones propias de reservas vigentes que no han terminado
+async function fetchMyInvitations(userId) {
+  const { data, error } = await supabase
+    .from("booking_attendees")
+    .select(
+      "id, response, booking:bookings!inner(id, room_id, person, purpose, start, end, status, series_id)"
+    )
+    .eq("user_id", userId)
+    .eq("booking.status", "confirmed")
+    .gt("booking.end", new Date().toISOString());
+  if (error) throw error;
+  return (data || []).sort((a, b) => a.booking.start.localeCompare(b.booking.start));
+}
+async function detachOccurrenceDb(id) {
+  const { error } = await supabase.rpc("detach_series_occurrence", { p_occurrence_id: id });
+  if (error) throw error;
+}
+// deja en `table` exactamente `rows` (tablas pequeñas que se editan enteras);
+// se borra antes de escribir para no chocar con las claves únicas
+async function replaceRows(table, key, rows) {
+  const keep = rows.map((r) => r[key]);
+  const { error } = await (keep.length
+    ? supabase.from(table).delete().not(key, "in", `(${keep.join(",")})`)
+    : supabase.from(table).delete().not(key, "is", null));
+  if (error) throw error;
+  if (!rows.length) return;
+  const { error: upsertError } = await supabase.from(table).upsert(rows);
+  if (upsertError) throw upsertError;
+}
+// ajustes (fila única) + despachos ordenados por posición
+async function fetchSettings() {
+  const [settingsRes, sitesRes, roomsRes, hoursRes, holidaysRes, blackoutsRes] = await Promise.all([
+    supabase.from("settings").select("*").eq("id", 1).maybeSingle(),
+    supabase.from("sites").select("*").order("position", { ascending: true }),
+    supabase.from("rooms").select("*").order("position", { ascending: true }),
+    supabase.from("opening_hours").select("*").order("weekday", { ascending: true }),
+    supabase.from("holidays").select("*").order("day", { ascending: true }),
+    supabase.from("blackouts").select("*").order("start", { ascending: true }),
+  ]);
+  const error =
+    settingsRes.error ||
+    sitesRes.error ||
+    roomsRes.error ||
+    hoursRes.error ||
+    holidaysRes.error ||
+    blackoutsRes.error;
+  if (error) {
+    console.error(error);
+    toast.error("No pude cargar los ajustes");
+    return null;
+  }
+  const row = settingsRes.data;
+  return {
+    sites: sitesRes.data || [],
+    rooms: roomsRes.data || [],
+    startHour: row?.start_hour ?? DEFAULT_SETTINGS.startHour,
+    endHour: row?.end_hour ?? DEFAULT_SETTINGS.endHour,
+    requireName: row?.require_name ?? DEFAULT_SETTINGS.requireName,
+    allowPast: row?.allow_past ?? DEFAULT_SETTINGS.allowPast,
+    checkinEnabled: row?.checkin_enabled ?? DEFAULT_SETTINGS.checkinEnabled,
+    checkinOpenMinutes: row?.checkin_open_minutes ?? DEFAULT_SETTINGS.checkinOpenMinutes,
+    checkinGraceMinutes: row?.checkin_grace_minutes ?? DEFAULT_SETTINGS.checkinGraceMinutes,
+    waitlistClaimMinutes: row?.waitlist_claim_minutes ?? DEFAULT_SETTINGS.waitlistClaimMinutes,
+    maxAdvanceDays: row?.max_advance_days ?? DEFAULT_SETTINGS.maxAdvanceDays,
+    maxActiveBookings: row?.max_active_bookings ?? DEFAULT_SETTINGS.maxActiveBookings,
+    maxWeeklyHours: row?.max_weekly_hours ?? DEFAULT_SETTINGS.maxWeeklyHours,
+    bufferMinutes: row?.buffer_minutes ?? DEFAULT_SETTINGS.bufferMinutes,
+    openingHours: hoursRes.data || [],
+    holidays: holidaysRes.data || [],
+    blackouts: blackoutsRes.data || [],
+    timezone: row?.timezone || DEFAULT_TIMEZONE,
+  };
+}
+// s: ajustes completos (todas las sedes, ver mergeSiteSettings);
+// removedIds: despachos ya guardados que se han quitado de la lista
+async function saveSettingsDb(s, removedIds = []) {
+  const { error } = await supabase.from("settings").upsert({
+    id: 1,
+    start_hour: s.startHour,
+    end_hour: s.endHour,
+    require_name: s.requireName,
+    allow_past: s.allowPast,
+    checkin_enabled: s.checkinEnabled,
+    checkin_open_minutes: s.checkinOpenMinutes,
+    checkin_grace_minutes: s.checkinGraceMinutes,
+    waitlist_claim_minutes: s.waitlistClaimMinutes,
+    max_advance_days: s.maxAdvanceDays,
+    max_active_bookings: s.maxActiveBookings,
+    max_weekly_hours: s.maxWeeklyHours,
+    buffer_minutes: s.bufferMinutes,
+    timezone: s.timezone,
+    updated_at: new Date().toISOString(),
+  });
+  if (error) throw error;
+
+  const { error: sitesError } = await supabase.from("sites").upsert(
+    s.sites.map((x, position) => ({
+      id: x.id,
+      name: x.name,
+      slug: x.slug,
+      timezone: x.timezone,
+      start_hour: x.start_hour,
+      end_hour: x.end_hour,
+      position,
+    }))
+  );
+  if (sitesError) throw sitesError;
+
+  const { error: roomsError } = await supabase.from("rooms").upsert(
+    s.rooms.map((r, position) => ({
+      id: r.id,
+      site_id: r.site_id,
+      floor: r.floor?.trim() || null,
+      name: r.name,
+      capacity: r.capacity,
+      active: r.active,
+      max_duration_minutes: r.max_duration_minutes || null,
+      allowed_teams: r.allowed_teams || [],
+      equipment: r.equipment || [],
+      photo_url: r.photo_url?.trim() || null,
+      description: r.description?.trim() || null,
+      accessibility: r.accessibility?.trim() || null,
+      position,
+    }))
+  );
+  if (roomsError) throw roomsError;
+
+  await replaceRows(
+    "opening_hours",
+    "id",
+    s.openingHours.map(({ id, site_id, room_id, weekday, opens, closes }) => ({
+      id,
+      site_id: room_id ? null : site_id,
+      room_id,
+      weekday,
+      opens,
+      closes,
+    }))
+  );
+  await replaceRows(
+    "holidays",
+    "id",
+    s.holidays.map(({ id, site_id, day, name }) => ({ id, site_id, day, name }))
+  );
+  await replaceRows(
+    "blackouts",
+    "id",
+    s.blackouts.map(({ id, site_id, room_id, start, end, reason }) => ({
+      id,
+      site_id: room_id ? null : site_id,
+      room_id,
+      start,
+      end,
+      reason,
+    }))
+  );
+
+  // un despacho con reservas no se puede borrar (FK): se archiva
+  let archived = 0;
+  for (const id of removedIds) {
+    const { error } = await supabase.from("rooms").delete().eq("id", id);
+    if (!error) continue;
+    if (error.code !== "23503") throw error;
+    const { error: archiveError } = await supabase
+      .from("rooms")
+      .update({ active: false })
+      .eq("id", id);
+    if (archiveError) throw archiveError;
+    archived++;
+  }
+  return { archived };
+}
+
+/* ========= App ========= */
+export default function App() {
+  const [session, setSession] = useState(undefined); // undefined = comprobando
+  const [profile, setProfile] = useState(null);
+
+  useEffect(() => {
+    supabase.auth.getSession().then(({ data }) => setSession(data.session));
+    const {
+      data: { subscription },
+    } = supabase.auth.onAuthStateChange((_event, s) => setSession(s));
+    return () => subscription.unsubscribe();
+  }, []);
+
+  const userId = session?.user?.id;
+  useEffect(() => {
+    if (!userId) {
+      setProfile(null);
+      return;
+    }
+    fetchProfile(userId).then(setProfile);
+  }, [userId]);
+
+  return (
+    <>
+      <Toaster position="top-center" richColors />
+      {session === undefined ? null : session ? (
+        <ReservationsApp user={session.user} profile={profile} />
+      ) : (
+        <AuthScreen />
+      )}
+    </>
+  );
+}
+
+function ReservationsApp({ user, profile }) {
+  const isAdmin = profile?.role === "admin";
+  const displayName = profile?.display_name || user.email;
+  // RLS hace cumplir lo mismo en BD; aquí solo ocultamos botones
+  const canModify = (b) => isAdmin || b.owner_id === user.id;
+
+  // reloj para que el botón de check-in aparezca y desaparezca a su hora
+  const [now, setNow] = useState(() => new Date());
+  useEffect(() => {
+    const t = setInterval(() => setNow(new Date()), 30000);
+    return () => clearInterval(t);
+  }, []);
+
+  const [bookings, setBookings] = useState([]);
+  const [view, setView] = useState("day"); // "day" | "week"
+  // ajustes de todas las sedes; `settings` son los de la sede elegida
+  const [allSettings, setSettings] = useState(DEFAULT_SETTINGS);
+  // sede: la del enlace (?sede=madrid) o la primera
+  const [siteSlug, setSiteSlug] = useState(
+    () => new URLSearchParams(window.location.search).get("sede") || null
+  );
+  const settings = useMemo(() => siteSettings(allSettings, siteSlug), [allSettings, siteSlug]);
+  // todas las fechas de la app son horas de pared en la zona de la sede
+  const tz = settings.timezone;
+  const today = useMemo(() => utcToZonedTime(new Date(), tz), [tz]);
+  const [currentDay, setCurrentDay] = useState(() => startOfDay(today));
+  // al cambiar de zona (carga de ajustes o cambio de sede), "hoy" sigue
+  // siendo hoy en la zona nueva; otro día elegido se mantiene
+  const prevToday = useRef(today);
+  useEffect(() => {
+    const before = startOfDay(prevToday.current).getTime();
+    prevToday.current = today;
+    setCurrentDay((d) => (d.getTime() === before ? startOfDay(today) : d));
+  }, [today]);
+  useEffect(() => {
+    if (!settings.siteSlug) return;
+    const url = new URL(window.location.href);
+    if (url.searchParams.get("sede") === settings.siteSlug) return;
+    url.searchParams.set("sede", settings.siteSlug);
+    window.history.replaceState(null, "", url);
+  }, [settings.siteSlug]);
+  // zona en la que el usuario ve las horas además de la de la oficina
+  const [myTimeZone, setMyTimeZone] = useState(profile?.timezone ?? null);
+  useEffect(() => {
+    setMyTimeZone(profile?.timezone ?? null);
+  }, [profile?.timezone]);
+  const viewerTZ = myTimeZone && myTimeZone !== settings.timezone ? myTimeZone : null;
+  const [openSettings, setOpenSettings] = useState(false);
+  const [openMaintenance, setOpenMaintenance] = useState(false);
+  const [openActivity, setOpenActivity] = useState(false);
+  const [historyBooking, setHistoryBooking] = useState(null);
+  const [openSearch, setOpenSearch] = useState(false);
+  const [openFeeds, setOpenFeeds] = useState(false);
+  const [openImport, setOpenImport] = useState(false);
+  const [openExport, setOpenExport] = useState(false);
+  const [openAnalytics, setOpenAnalytics] = useState(false);
+  const [openWaitlist, setOpenWaitlist] = useState(false);
+  const [openInvitations, setOpenInvitations] = useState(false);
+  const [openNotifications, setOpenNotifications] = useState(false);
+  // { booking, action: "edit" | "delete" } mientras se pregunta el ámbito
+  const [seriesPrompt, setSeriesPrompt] = useState(null);
+
+  // cargar ajustes compartidos + realtime
+  useEffect(() => {
+    async function load() {
+      const s = await fetchSettings();
+      if (s) setSettings(s);
+    }
+    load();
+    const ch = supabase
+      .channel("settings-rt")
+      .on("postgres_changes", { event: "*", schema: "public", table: "settings" }, load)
+      .on("postgres_changes", { event: "*", schema: "public", table: "sites" }, load)
+      .on("postgres_changes", { event: "*", schema: "public", table: "rooms" }, load)
+      .on("postgres_changes", { event: "*", schema: "public", table: "opening_hours" }, load)
+      .on("postgres_changes", { event: "*", schema: "public", table: "holidays" }, load)
+      .on("postgres_changes", { event: "*", schema: "public", table: "blackouts" }, load)
+      .subscribe();
+    return () => {
+      supabase.removeChannel(ch);
+    };
+  }, []);
+
+  // reservas del día o de la semana visible (de la sede elegida)
+  const siteId = settings.siteId;
+  const reloadBookings = useCallback(async () => {
+    if (!siteId) return;
+    setBookings(
+      await (view === "week"
+        ? fetchBookingsForWeek(currentDay, tz, siteId)
+        : fetchBookingsForDay(currentDay, tz, siteId))
+    );
+  }, [currentDay, view, tz, siteId]);
+
+  useEffect(() => {
+    reloadBookings();
+  }, [reloadBookings]);
+
+  // mes del mini calendario (para el mapa de ocupación)
+  const [calendarMonth, setCalendarMonth] = useState(startOfMonth(today));
+  const [monthBookings, setMonthBookings] = useState([]);
+  useEffect(() => setCalendarMonth(startOfMonth(currentDay)), [currentDay]);
+
+  const reloadMonth = useCallback(async () => {
+    if (!siteId) return;
+    setMonthBookings(await fetchBookingsForMonth(calendarMonth, tz, siteId));
+  }, [calendarMonth, tz, siteId]);
+
+  useEffect(() => {
+    reloadMonth();
+  }, [reloadMonth]);
+
+  // realtime: solo los cambios que tocan la sede, antes o después (una
+  // reserva movida a otra sede tiene que salir de esta). Sin filtro en el
+  // canal porque este solo mira la fila nueva; los borrados físicos solo
+  // traen el id y recargan siempre.
+  useEffect(() => {
+    if (!siteId) return;
+    const ch = supabase
+      .channel(`bookings-rt-${siteId}`)
+      .on("postgres_changes", { event: "*", schema: "public", table: "bookings" }, (payload) => {
+        const sites = [payload.old?.site_id, payload.new?.site_id].filter(Boolean);
+        if (sites.length && !sites.includes(siteId)) return;
+        reloadBookings();
+        reloadMonth();
+      })
+      // asistentes y respuestas (no llevan sede: se recarga lo visible)
+      .on("postgres_changes", { event: "*", schema: "public", table: "booking_attendees" }, () =>
+        reloadBookings()
+      )
+      .subscribe();
+    return () => {
+      supabase.removeChannel(ch);
+    };
+  }, [reloadBookings, reloadMonth, siteId]);
+
+  // lista de espera propia; el servidor la actualiza al liberarse huecos
+  const [waitlist, setWaitlist] = useState([]);
+  const reloadWaitlist = useCallback(async () => {
+    try {
+      setWaitlist(await fetchMyWaitlist(user.id));
+    } catch (err) {
+      console.error(err);
+    }
+  }, [user.id]);
+
+  useEffect(() => {
+    reloadWaitlist();
+    const ch = supabase
+      .channel("waitlist-rt")
+      .on(
+        "postgres_changes",
+        { event: "*", schema: "public", table: "waitlist", filter: `user_id=eq.${user.id}` },
+        reloadWaitlist
+      )
+      .subscribe();
+    return () => {
+      supabase.removeChannel(ch);
+    };
+  }, [reloadWaitlist, user.id]);
+
+  // invitaciones propias pendientes o ya respondidas
+  const [invitations, setInvitations] = useState([]);
+  const reloadInvitations = useCallback(async () => {
+    try {
+      setInvitations(await fetchMyInvitations(user.id));
+    } catch (err) {
+      console.error(err);
+    }
+  }, [user.id]);
+
+  useEffect(() => {
+    reloadInvitations();
+    const ch = supabase
+      .channel("invitations-rt")
+      .on(
+        "postgres_changes",
+        {
+          event: "*",
+          schema: "public",
+          table: "booking_attendees",
+          filter: `user_id=eq.${user.id}`,
+        },
+        reloadInvitations
+      )
+      .subscribe();
+    return () => {
+      supabase.removeChannel(ch);
+    };
+  }, [reloadInvitations, user.id]);
+
+  // usuarios a los que se puede invitar
+  const [profiles, setProfiles] = useState([]);
+  useEffect(() => {
+    fetchProfiles()
+      .then(setProfiles)
+      .catch((err) => console.error(err));
+  }, []);
+
+  // cada oferta se anuncia una vez (también las que llegaron con la app
+  // cerrada), con los ajustes ya cargados para que la hora vaya en su zona
+  const announcedOffers = useRef(new Set());
+  useEffect(() => {
+    if (!siteId) return;
+    for (const w of waitlist) {
+      if (w.status !== "offered" || announcedOffers.current.has(w.id)) continue;
+      announcedOffers.current.add(w.id);
+      toast(`Ha quedado libre ${roomNameFor(allSettings.rooms, w.room_id)}`, {
+        description: `${describeBooking(w, tz)} · resérvalo antes de las ${timeToLabel(
+          fromUTCtoZoned(w.offer_expires_at, tz)
+        )}`,
+        duration: Math.max(5000, new Date(w.offer_expires_at).getTime() - Date.now()),
+        action: { label: "Reservar", onClick: () => claimWaitlist(w) },
+      });
+    }
+  }, [waitlist, allSettings.rooms, siteId, tz]);
+
+  // activos + archivados que aún tengan reservas en lo visible
+  const visibleRooms = useMemo(
+    () =>
+      settings.rooms.filter(
+        (r) => r.active || bookings.some((b) => b.room_id === r.id)
+      ),
+    [settings.rooms, bookings]
+  );
+  const closedFor = useCallback(
+    (roomId, day) => closedSpans(settings, roomId, day),
+    [settings]
+  );
+
+  async function addOrUpdateBooking(newB) {
+    if (settings.requireName && !newB.person?.trim()) {
+      toast.error("Añade un nombre o equipo");
+      return false;
+    }
+    const s = new Date(newB.startLocal);
+    const e = new Date(newB.endLocal);
+    // la serie entera puede haber empezado ya: sus fechas pasadas no se tocan
+    // (save_booking_series solo escribe desde ahora)
+    if (!settings.allowPast && newB.scope !== "series" && isBefore(e, new Date())) {
+      toast.error("No se permiten reservas en el pasado");
+      return false;
+    }
+    // una serie salta sus fechas cerradas (ver saveSeries)
+    const closed = !newB.recurrence && closureViolation(settings, newB);
+    if (closed) {
+      toast.error(closed);
+      return false;
+    }
+    // en series, los cupos y la antelación de cada fecha los comprueba el servidor
+    const violation = await checkPolicies(newB, { quotas: !newB.recurrence });
+    if (violation) {
+      toast.error(violation);
+      return false;
+    }
+    if (newB.recurrence) return saveSeries(newB);
+
+    try {
+      // comprobación previa en BD (incluye reservas que empiezan otro día);
+      // la exclusion constraint cubre la carrera entre dos clientes
+      const conflicts = await fetchConflicts({
+        room_id: newB.room_id,
+        start: toUTCISO(s, tz),
+        end: toUTCISO(e, tz),
+        exclude_id: newB.id,
+      });
+      if (conflicts.length) throw new BookingConflictError(conflicts);
+
+      // "solo esta ocurrencia": se separa de la serie antes de cambiarla
+      if (newB.scope === "this" && newB.series_id) await detachOccurrenceDb(newB.id);
+      await upsertBooking(newB, tz);
+      // mover o crear desde el timeline no toca los asistentes
+      if (newB.attendees) await saveAttendeesDb([newB.id], newB.attendees);
+      toast.success("Reserva guardada");
+      await reloadBookings();
+      return true;
+    } catch (err) {
+      if (err instanceof BookingConflictError) {
+        toast.error(err.message, {
+          description: err.conflicts.map((c) => describeBooking(c, tz)).join("; ") || undefined,
+          action: { label: "Lista de espera", onClick: () => joinWaitlist(newB) },
+        });
+        return false;
+      }
+      console.error(err);
+      toast.error(err.code === PG_POLICY_VIOLATION ? err.message : "No se pudo guardar");
+      return false;
+    }
+  }
+
+  // los admins no están sujetos a las políticas (igual que en el trigger)
+  async function checkPolicies(b, { quotas }) {
+    if (isAdmin) return null;
+    const ctx = { settings, team: profile?.team };
+    if (quotas) {
+      try {
+        const start = toUTCISO(new Date(b.startLocal), tz);
+        const end = toUTCISO(new Date(b.endLocal), tz);
+        const weekStart = weekRangeUTC(new Date(b.startLocal), tz).startUTC;
+        const from = new Date(weekStart) < new Date() ? weekStart : new Date().toISOString();
+        const gap = settings.bufferMinutes;
+        [ctx.ownBookings, ctx.roomBookings] = await Promise.all([
+          settings.maxActiveBookings || settings.maxWeeklyHours
+            ? fetchOwnerBookingsFrom(user.id, from)
+            : [],
+          gap > 0
+            ? fetchRoomBookingsInRange(
+                b.room_id,
+                addMinutes(new Date(start), -gap).toISOString(),
+                addMinutes(new Date(end), gap).toISOString()
+              )
+            : [],
+        ]);
+      } catch (err) {
+        // sin datos no se avisa; el servidor vuelve a comprobarlo
+        console.error(err);
+      }
+    }
+    return policyViolation(b, ctx);
+  }
+
+  async function joinWaitlist(b) {
+    try {
+      await joinWaitlistDb({
+        room_id: b.room_id,
+        start: toUTCISO(new Date(b.startLocal), tz),
+        end: toUTCISO(new Date(b.endLocal), tz),
+        person: b.person,
+        purpose: b.purpose,
+      });
+      toast.success("Te avisaremos si ese hueco queda libre");
+      await reloadWaitlist();
+    } catch (err) {
+      console.error(err);
+      toast.error("No se pudo apuntar a la lista de espera");
+    }
+  }
+
+  async function claimWaitlist(w) {
+    try {
+      await claimWaitlistDb(w.id);
+      toast.success("Reserva guardada");
+      await reloadBookings();
+    } catch (err) {
+      console.error(err);
+      toast.error(
+        err.code === PG_EXCLUSION_VIOLATION
+          ? "Alguien ha reservado ese hueco antes"
+          : err.message || "No se pudo reservar"
+      );
+    }
+    await reloadWaitlist();
+  }
+
+  async function leaveWaitlist(w) {
+    try {
+      await leaveWaitlistDb(w.id);
+      toast("Has salido de la lista de espera");
+      await reloadWaitlist();
+    } catch (err) {
+      console.error(err);
+      toast.error("No se pudo salir de la lista de espera");
+    }
+  }
+
+  // Crea una serie o reescribe una existente desde newB.originalStart
+  async function saveSeries(newB) {
+    const durationMin = differenceInMinutes(newB.endLocal, newB.startLocal);
+    const candidates = expandRecurrence(newB.startLocal, durationMin, newB.recurrence).map(
+      (o) => ({ start: toUTCISO(o.startLocal, tz), end: toUTCISO(o.endLocal, tz) })
+    );
+    if (!candidates.length) {
+      toast.error("La repetición no genera ninguna fecha");
+      return false;
+    }
+    const { recurrence } = newB;
+    // expandRecurrence corta en MAX_OCCURRENCES: la serie acaba en la última fecha generada
+    const lastDay = toDateInput(fromUTCtoZoned(candidates[candidates.length - 1].start, tz));
+    const truncated =
+      candidates.length === MAX_OCCURRENCES &&
+      (recurrence.until ? lastDay < recurrence.until : recurrence.count > MAX_OCCURRENCES);
+    if (
+      truncated &&
+      !window.confirm(
+        `Una serie puede tener como mucho ${MAX_OCCURRENCES} fechas: acabará el ${format(
+          fromDateInput(lastDay),
+          "dd/MM/yyyy"
+        )}. ¿Guardarla así?`
+      )
+    ) {
+      return false;
+    }
+    const previousId = newB.scope ? newB.series_id : null;
+    const from = newB.scope === "following" ? newB.originalStart : null;
+    const seriesId = newB.scope === "series" ? newB.series_id : uuidv4();
+    // las fechas anuladas antes siguen anuladas si la regla las vuelve a generar
+    const exdates = candidates
+      .filter((o) => (newB.exdates || []).some((x) => sameInstant(x, o.start)))
+      .map((o) => o.start);
+
+    try {
+      const existing = (
+        await fetchRoomBookingsInRange(
+          newB.room_id,
+          candidates[0].start,
+          candidates[candidates.length - 1].end
+        )
+      ).filter(
+        (b) =>
+          !previousId ||
+          b.series_id !== previousId ||
+          (from && new Date(b.start) < new Date(from))
+      );
+      const pending = candidates.filter((o) => !exdates.includes(o.start));
+      const clashes = [];
+      for (const o of pending) {
+        const hit = existing.find(
+          (b) => new Date(b.start) < new Date(o.end) && new Date(o.start) < new Date(b.end)
+        );
+        if (hit) {
+          clashes.push({ occurrence: o, booking: hit, note: describeBooking(hit, tz) });
+          continue;
+        }
+        // festivos, días cerrados y cierres: también se ofrecen como fechas a saltar
+        const closed = closureViolation(settings, {
+          room_id: newB.room_id,
+          startLocal: fromUTCtoZoned(o.start, tz),
+          endLocal: fromUTCtoZoned(o.end, tz),
+        });
+        if (closed) clashes.push({ occurrence: o, note: closed });
+      }
+      if (clashes.length === pending.length) {
+        const booked = clashes.filter((c) => c.booking).map((c) => c.booking);
+        if (booked.length) throw new BookingConflictError(booked);
+        toast.error("Ninguna fecha de la serie cae en horario de apertura", {
+          description: clashes[0].note,
+        });
+        return false;
+      }
+      if (clashes.length) {
+        const list = clashes
+          .slice(0, 8)
+          .map((c) => `· ${c.note}`)
+          .join("\n");
+        const more = clashes.length > 8 ? `\n… y ${clashes.length - 8} más` : "";
+        const ok = window.confirm(
+          `${clashes.length} de ${pending.length} fechas chocan con otras reservas o caen fuera de horario:\n${list}${more}\n\n¿Guardar la serie sin esas fechas?`
+        );
+        if (!ok) return false;
+        exdates.push(...clashes.map((c) => c.occurrence.start));
+      }
+
+      const occurrences = pending
+        .filter((o) => !exdates.includes(o.start))
+        .map((o) => ({ id: uuidv4(), start: o.start, end: o.end }));
+      await saveSeriesDb({
+        series: {
+          id: seriesId,
+          room_id: newB.room_id,
+          person: newB.person,
+          purpose: newB.purpose,
+          freq: recurrence.freq,
+          interval: recurrence.interval,
+          weekdays: recurrence.freq === "weekly" ? recurrence.weekdays : [],
+          dtstart: candidates[0].start,
+          duration_minutes: durationMin,
+          until: truncated ? lastDay : recurrence.until || null,
+          count: recurrence.until || truncated ? null : recurrence.count,
+          exdates,
+        },
+        occurrences,
+        previousId,
+        from,
+        previousUntil: from
+          ? toDateInput(addDays(startOfDay(fromUTCtoZoned(from, tz)), -1))
+          : null,
+      });
+      // las fechas que se conservan mantienen sus asistentes y respuestas; las
+      // nuevas reciben los mismos asistentes
+      if (newB.attendees?.length) {
+        await saveAttendeesDb(await fetchSeriesBookingIds(seriesId), newB.attendees);
+      }
+      toast.success(`Serie guardada (${pending.length - clashes.length} reservas)`);
+      await reloadBookings();
+      return true;
+    } catch (err) {
+      if (err instanceof BookingConflictError) {
+        toast.error(err.message, {
+          description: err.conflicts.map((c) => describeBooking(c, tz)).join("; ") || undefined,
+        });
+        return false;
+      }
+      console.error(err);
+      toast.error(err.code === PG_POLICY_VIOLATION ? err.message : "No se pudo guardar la serie");
+      return false;
+    }
+  }
+
+  async function deleteBooking(id) {
+    try {
+      await deleteBookingDb(id);
+      toast("Reserva eliminada");
+      await reloadBookings();
+    } catch (e) {
+      console.error(e);
+      toast.error("No se pudo eliminar");
+    }
+  }
+
+  function invitationFor(b) {
+    return b.attendees?.find((a) => a.user_id === user.id);
+  }
+
+  async function respondToBooking(b, response) {
+    try {
+      await respondToBookingDb(b.id, response);
+      toast.success(
+        response === "accepted" ? "Has aceptado la invitación" : "Has rechazado la invitación"
+      );
+      await Promise.all([reloadBookings(), reloadInvitations()]);
+    } catch (err) {
+      console.error(err);
+      toast.error("No se pudo guardar tu respuesta");
+    }
+  }
+
+  async function changeMyTimeZone(tz) {
+    const previous = myTimeZone;
+    setMyTimeZone(tz);
+    try {
+      await saveProfileTimezone(user.id, tz);
+    } catch (err) {
+      console.error(err);
+      toast.error("No se pudo guardar tu zona horaria");
+      setMyTimeZone(previous);
+    }
+  }
+
+  function editBooking(b) {
+    if (b.series_id) {
+      setSeriesPrompt({ booking: b, action: "edit" });
+      return;
+    }
+    if (!window.confirm("¿Cargar esta reserva para editar?")) return;
+    window.dispatchEvent(new CustomEvent("load-booking", { detail: b }));
+  }
+
+  // arrastrar en el timeline: misma validación que el formulario
+  function createFromTimeline({ room_id, startLocal, endLocal }) {
+    return addOrUpdateBooking({
+      id: uuidv4(),
+      room_id,
+      person: displayName,
+      purpose: "",
+      startLocal,
+      endLocal,
+    });
+  }
+
+  function moveBooking(b, { room_id, startLocal, endLocal }) {
+    if (b.series_id && !window.confirm("Solo se moverá esta fecha de la serie. ¿Continuar?")) {
+      return false;
+    }
+    return addOrUpdateBooking({
+      id: b.id,
+      room_id,
+      person: b.person,
+      purpose: b.purpose,
+      startLocal,
+      endLocal,
+      series_id: b.series_id,
+      scope: b.series_id ? "this" : null,
+    });
+  }
+
+  // instantes reales (no hora de pared): se compara con Date.now()
+  function canCheckIn(b) {
+    if (!settings.checkinEnabled || b.checked_in_at || !canModify(b)) return false;
+    const start = new Date(b.start).getTime();
+    return (
+      now.getTime() >= start - settings.checkinOpenMinutes * 60000 &&
+      now.getTime() < new Date(b.end).getTime()
+    );
+  }
+
+  async function checkIn(b) {
+    try {
+      await checkInBookingDb(b.id);
+      toast.success("Check-in hecho");
+      await reloadBookings();
+    } catch (err) {
+      console.error(err);
+      toast.error(err.message || "No se pudo hacer check-in");
+    }
+  }
+
+  function cancelBooking(b) {
+    if (b.series_id) setSeriesPrompt({ booking: b, action: "delete" });
+    else deleteBooking(b.id);
+  }
+
+  async function applySeriesScope(scope) {
+    const { booking: b, action } = seriesPrompt;
+    setSeriesPrompt(null);
+    try {
+      if (action === "edit") {
+        const series = await fetchSeries(b.series_id);
+        window.dispatchEvent(
+          new CustomEvent("load-booking", { detail: { ...b, scope, series } })
+        );
+        return;
+      }
+      const until = toDateInput(addDays(startOfDay(fromUTCtoZoned(b.start, tz)), -1));
+      await cancelSeriesDb(b.series_id, scope, b.id, until);
+      toast(scope === "this" ? "Reserva eliminada" : "Reservas de la serie eliminadas");
+      await reloadBookings();
+    } catch (e) {
+      console.error(e);
+      toast.error(action === "edit" ? "No pude cargar la serie" : "No se pudo eliminar");
+    }
+  }
+
+  return (
+    <OfficeTimeZone.Provider value={tz}>
+      <div className="min-h-screen bg-slate-50 p-4">
+
+        {/* Header */}
+        <header className="max-w-6xl mx-auto mb-4 flex flex-col gap-3">
+          <div className="flex items-center justify-between gap-3">
+            <div>
+              <h1 className="text-2xl font-bold flex flex-wrap items-center gap-2">
+                Reserva de Despachos
+                {allSettings.sites.length > 1 && (
+                  <select
+                    value={settings.siteSlug || ""}
+                    onChange={(e) => setSiteSlug(e.target.value)}
+                    className="border rounded-lg px-2 py-1 text-base font-medium bg-white"
+                    title="Sede"
+                  >
+                    {allSettings.sites.map((x) => (
+                      <option key={x.id} value={x.slug}>
+                        {x.name}
+                      </option>
+                    ))}
+                  </select>
+                )}
+              </h1>
+              <p className="text-slate-600 flex flex-wrap items-center gap-1">
+                Compartido en tiempo real · Oficina: {settings.timezone.replace(/_/g, " ")} · Tu
+                hora:
+                <TimeZoneSelect
+                  value={myTimeZone}
+                  onChange={changeMyTimeZone}
+                  emptyLabel="la de la oficina"
+                  className="border rounded-lg px-2 py-0.5 text-sm bg-white"
+                />
+              </p>
+            </div>
+            <div className="flex flex-wrap items-center justify-end gap-2">
+              {waitlist.length > 0 && (
+                <button
+                  onClick={() => setOpenWaitlist(true)}
+                  className={`px-3 py-2 rounded-lg border text-sm flex items-center gap-2 ${
+                    waitlist.some((w) => w.status === "offered")
+                      ? "bg-green-50 border-green-300 hover:bg-green-100"
+                      : "bg-white hover:bg-slate-50"
+                  }`}
+                >
+                  <Hourglass className="w-4 h-4" />
+                  Lista de espera ({waitlist.length})
+                </button>
+              )}
+              {invitations.length > 0 && (
+                <button
+                  onClick={() => setOpenInvitations(true)}
+                  className={`px-3 py-2 rounded-lg border text-sm flex items-center gap-2 ${
+                    invitations.some((i) => i.response === "pending")
+                      ? "bg-amber-50 border-amber-300 hover:bg-amber-100"
+                      : "bg-white hover:bg-slate-50"
+                  }`}
+                >
+                  <Users className="w-4 h-4" />
+                  Invitaciones ({invitations.length})
+                </button>
+              )}
+              <button
+                onClick={() => setOpenSearch(true)}
+                className="px-3 py-2 rounded-lg border bg-white hover:bg-slate-50 text-sm flex items-center gap-2"
+              >
+                <Search className="w-4 h-4" />
+                Buscar libre
+              </button>
+              <button
+                onClick={() => setOpenFeeds(true)}
+                className="px-3 py-2 rounded-lg border bg-white hover:bg-slate-50 text-sm flex items-center gap-2"
+              >
+                <Rss className="w-4 h-4" />
+                Calendarios
+              </button>
+              <button
+                onClick={() => setOpenImport(true)}
+                className="px-3 py-2 rounded-lg border bg-white hover:bg-slate-50 text-sm flex items-center gap-2"
+              >
+                <Upload className="w-4 h-4" />
+                Importar
+              </button>
+              <button
+                onClick={() => setOpenExport(true)}
+                className="px-3 py-2 rounded-lg border bg-white hover:bg-slate-50 text-sm flex items-center gap-2"
+              >
+                <Download className="w-4 h-4" />
+                Exportar
+              </button>
+              <button
+                onClick={() => setOpenAnalytics(true)}
+                className="px-3 py-2 rounded-lg border bg-white hover:bg-slate-50 text-sm flex items-center gap-2"
+              >
+                <BarChart3 className="w-4 h-4" />
+                Estadísticas
+              </button>
+              <button
+                onClick={() => setOpenNotifications(true)}
+                className="px-3 py-2 rounded-lg border bg-white hover:bg-slate-50 text-sm flex items-center gap-2"
+              >
+                <Mail className="w-4 h-4" />
+                Avisos
+              </button>
+              {isAdmin && (
+                <button
+                  onClick={() => setOpenMaintenance(true)}
+                  className="px-3 py-2 rounded-lg border bg-white hover:bg-slate-50 text-sm flex items-center gap-2"
+                >
+                  <Wrench className="w-4 h-4" />
+                  Mantenimiento
+                </button>
+              )}
+              {isAdmin && (
+                <button
+                  onClick={() => setOpenActivity(true)}
+                  className="px-3 py-2 rounded-lg border bg-white hover:bg-slate-50 text-sm flex items-center gap-2"
+                >
+                  <History className="w-4 h-4" />
+                  Actividad
+                </button>
+              )}
+              <button
+                onClick={() => setOpenSettings(true)}
+                className="px-3 py-2 rounded-lg border bg-white hover:bg-slate-50 text-sm flex items-center gap-2"
+              >
+                <Settings2 className="w-4 h-4" />
+                Ajustes
+              </button>
+              <button
+                onClick={() => supabase.auth.signOut()}
+                className="px-3 py-2 rounded-lg border bg-white hover:bg-slate-50 text-sm flex items-center gap-2"
+                title={user.email}
+              >
+                <LogOut className="w-4 h-4" />
+                {displayName}
+              </button>
+            </div>
+          </div>
+
+          {/* Navegación por días + selector */}
+          <div className="flex flex-wrap items-center gap-2">
+            <button
+              onClick={() => setCurrentDay(addMinutes(currentDay, -1440))}
+              className="px-3 py-2 rounded-lg border bg-white hover:bg-slate-50 text-sm"
+            >
+              ← Ayer
+            </button>
+            <button
+              onClick={() => setCurrentDay(startOfDay(utcToZonedTime(new Date(), tz)))}
+              className="px-3 py-2 rounded-lg border bg-white hover:bg-slate-50 text-sm"
+            >
+              Hoy
+            </button>
+            <button
+              onClick={() => setCurrentDay(addMinutes(currentDay, 1440))}
+              className="px-3 py-2 rounded-lg border bg-white hover:bg-slate-50 text-sm"
+            >
+              Mañana →
+            </button>
+
+            <input
+              type="date"
+              className="ml-2 px-3 py-2 border rounded-lg text-sm bg-white"
+              value={toDateInput(currentDay)}
+              onChange={(e) => setCurrentDay(fromDateInput(e.target.value))}
+            />
+
+            <div className="flex rounded-lg border bg-white overflow-hidden text-sm">
+              {[
+                ["day", "Día"],
+                ["week", "Semana"],
+              ].map(([v, label]) => (
+                <button
+                  key={v}
+                  onClick={() => setView(v)}
+                  className={`px-3 py-2 ${view === v ? "bg-slate-900 text-white" : "hover:bg-slate-50"}`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+
+            <div className="ml-auto text-slate-700 font-medium">
+              {format(currentDay, "EEEE d 'de' MMMM yyyy", { locale: es })}
+            </div>
+          </div>
+
+          <WeekStrip currentDay={currentDay} onSelect={setCurrentDay} />
+        </header>
+
+        {/* Main */}
+        <main className="max-w-6xl mx-auto grid grid-cols-1 lg:grid-cols-3 gap-4">
+          <div className="lg:col-span-1 space-y-4">
+            <MiniCalendar
+              selected={currentDay}
+              onSelect={setCurrentDay}
+              viewMonth={calendarMonth}
+              onViewMonthChange={setCalendarMonth}
+              bookings={monthBookings}
+              rooms={settings.rooms.filter((r) => r.active)}
+              startHour={settings.startHour}
+              endHour={settings.endHour}
+            />
+
+            <div className="bg-white border rounded-2xl shadow-sm">
+              <div className="p-4 border-b flex items-center gap-2 font-semibold text-slate-700">
+                <CalendarIcon className="w-5 h-5" />
+                Nueva reserva
+              </div>
+              <div className="p-4">
+                <BookingForm
+                  key={format(currentDay, "yyyy-MM-dd")}
+                  currentDay={currentDay}
+                  settings={settings}
+                  viewerTZ={viewerTZ}
+                  defaultPerson={profile?.display_name}
+                  profiles={profiles}
+                  userId={user.id}
+                  organizer={{ name: displayName, email: user.email }}
+                  onSubmit={addOrUpdateBooking}
+                />
+              </div>
+            </div>
+          </div>
+
+          {/* Timeline en columnas */}
+          <div className="lg:col-span-2">
+            <div className="bg-white border rounded-2xl shadow-sm">
+              <div className="p-4 border-b flex items-center gap-2 text-sm text-slate-600">
+                <Clock className="h-4 w-4" /> Tramos de {SLOT_MINUTES} min ·{" "}
+                {String(settings.startHour).padStart(2, "0")}:00–
+                {String(settings.endHour).padStart(2, "0")}:00
+              </div>
+              <div className="p-2">
+                {view === "week" ? (
+                  <WeekTimeline
+                    day={currentDay}
+                    rooms={visibleRooms}
+                    bookings={bookings}
+                    startHour={settings.startHour}
+                    endHour={settings.endHour}
+                    closedFor={closedFor}
+                    viewerTZ={viewerTZ}
+                    canModify={canModify}
+                    canCheckIn={canCheckIn}
+                    onCheckIn={checkIn}
+                    onHistory={setHistoryBooking}
+                    onEdit={editBooking}
+                    onDelete={cancelBooking}
+                    invitationFor={invitationFor}
+                    onRespond={respondToBooking}
+                    onSelectDay={(d) => {
+                      setCurrentDay(d);
+                      setView("day");
+                    }}
+                  />
+                ) : (
+                  <RoomsSideBySideTimeline
+                    day={currentDay}
+                    rooms={visibleRooms}
+                    bookings={bookings}
+                    startHour={settings.startHour}
+                    endHour={settings.endHour}
+                    closedFor={closedFor}
+                    viewerTZ={viewerTZ}
+                    canModify={canModify}
+                    canCheckIn={canCheckIn}
+                    onCheckIn={checkIn}
+                    onHistory={setHistoryBooking}
+                    onEdit={editBooking}
+                    onDelete={cancelBooking}
+                    invitationFor={invitationFor}
+                    onRespond={respondToBooking}
+                    onCreate={createFromTimeline}
+                    onMove={moveBooking}
+                  />
+                )}
+              </div>
+            </div>
+          </div>
+        </main>
+
+        {/* Ajustes */}
+        {openSettings && (
+          <div className="fixed inset-0 bg-black/30 flex items-center justify-center p-4 z-50">
+            <div className="bg-white rounded-2xl shadow-xl w-full max-w-xl p-4 border max-h-[90vh] overflow-y-auto">
+              <div className="flex items-center justify-between mb-3">
+                <h3 className="text-lg font-semibold">Ajustes</h3>
+                <button
+                  onClick={() => setOpenSettings(false)}
+                  className="p-2 hover:bg-slate-100 rounded-lg"
+                >
+                  <X className="w-5 h-5" />
+                </button>
+              </div>
+              <SettingsPanel
+                settings={settings}
+                allSettings={allSettings}
+                setSettings={setSettings}
+                readOnly={!isAdmin}
+                onClose={() => setOpenSettings(false)}
+              />
+            </div>
+          </div>
+        )}
+
+        {/* Buscar despacho libre */}
+        {openSearch && (
+          <div className="fixed inset-0 bg-black/30 flex items-center justify-center p-4 z-50">
+            <div className="bg-white rounded-2xl shadow-xl w-full max-w-2xl p-4 border max-h-[90vh] flex flex-col">
+              <div className="flex items-center justify-between mb-3">
+                <h3 className="text-lg font-semibold">Buscar despacho libre</h3>
+                <button
+                  onClick={() => setOpenSearch(false)}
+                  className="p-2 hover:bg-slate-100 rounded-lg"
+                >
+                  <X className="w-5 h-5" />
+                </button>
+              </div>
+              <FreeRoomSearch
+                settings={settings}
+                currentDay={currentDay}
+                onBook={({ room_id, startLocal, endLocal }) =>
+                  addOrUpdateBooking({
+                    id: uuidv4(),
+                    room_id,
+                    person: displayName,
+                    purpose: "",
+                    startLocal,
+                    endLocal,
+                  })
+                }
+              />
+            </div>
+          </div>
+        )}
+
+        {/* Suscripción a calendarios */}
+        {openFeeds && (
+          <div className="fixed inset-0 bg-black/30 flex items-center justify-center p-4 z-50">
+            <div className="bg-white rounded-2xl shadow-xl w-full max-w-xl p-4 border max-h-[90vh] flex flex-col">
+              <div className="flex items-center justify-between mb-3">
+                <h3 className="text-lg font-semibold">Suscribirse a calendarios</h3>
+                <button
+                  onClick={() => setOpenFeeds(false)}
+                  className="p-2 hover:bg-slate-100 rounded-lg"
+                >
+                  <X className="w-5 h-5" />
+                </button>
+              </div>
+              <FeedLinks
+                userId={user.id}
+                site={settings.sites.find((x) => x.id === settings.siteId)}
+                rooms={settings.rooms.filter((r) => r.active)}
+                person={displayName}
+              />
+            </div>
+          </div>
+        )}
+
+        {/* Avisos por correo */}
+        {openNotifications && (
+          <div className="fixed inset-0 bg-black/30 flex items-center justify-center p-4 z-50">
+            <div className="bg-white rounded-2xl shadow-xl w-full max-w-md p-4 border">
+              <div className="flex items-center justify-between mb-3">
+                <h3 className="text-lg font-semibold">Avisos por correo</h3>
+                <button
+                  onClick={() => setOpenNotifications(false)}
+                  className="p-2 hover:bg-slate-100 rounded-lg"
+                >
+                  <X className="w-5 h-5" />
+                </button>
+              </div>
+              <NotificationPrefs
+                userId={user.id}
+                email={user.email}
+                onClose={() => setOpenNotifications(false)}
+              />
+            </div>
+          </div>
+        )}
+
+        {/* Importar .ics / CSV */}
+        {openImport && (
+          <div className="fixed inset-0 bg-black/30 flex items-center justify-center p-4 z-50">
+            <div className="bg-white rounded-2xl shadow-xl w-full max-w-2xl p-4 border max-h-[90vh] flex flex-col">
+              <div className="flex items-center justify-between mb-3">
+                <h3 className="text-lg font-semibold">Importar reservas</h3>
+                <button
+                  onClick={() => setOpenImport(false)}
+                  className="p-2 hover:bg-slate-100 rounded-lg"
+                >
+                  <X className="w-5 h-5" />
+                </button>
+              </div>
+              <ImportPanel
+                settings={settings}
+                defaultPerson={displayName}
+                onDone={() => Promise.all([reloadBookings(), reloadMonth()])}
+              />
+            </div>
+          </div>
+        )}
+
+        {/* Exportar CSV / XLSX / .ics */}
+        {openExport && (
+          <div className="fixed inset-0 bg-black/30 flex items-center justify-center p-4 z-50">
+            <div className="bg-white rounded-2xl shadow-xl w-full max-w-xl p-4 border">
+              <div className="flex items-center justify-between mb-3">
+                <h3 className="text-lg font-semibold">Exportar reservas</h3>
+                <button
+                  onClick={() => setOpenExport(false)}
+                  className="p-2 hover:bg-slate-100 rounded-lg"
+                >
+                  <X className="w-5 h-5" />
+                </button>
+              </div>
+              <ExportPanel rooms={settings.rooms} siteId={siteId} currentDay={currentDay} />
+            </div>
+          </div>
+        )}
+
+        {/* Estadísticas de uso */}
+        {openAnalytics && (
+          <div className="fixed inset-0 bg-black/30 flex items-center justify-center p-4 z-50">
+            <div className="bg-white rounded-2xl shadow-xl w-full max-w-4xl p-4 border max-h-[90vh] flex flex-col">
+              <div className="flex items-center justify-between mb-3">
+                <h3 className="text-lg font-semibold">Estadísticas de uso</h3>
+                <button
+                  onClick={() => setOpenAnalytics(false)}
+                  className="p-2 hover:bg-slate-100 rounded-lg"
+                >
+                  <X className="w-5 h-5" />
+                </button>
+              </div>
+              <AnalyticsPanel settings={settings} currentDay={currentDay} />
+            </div>
+          </div>
+        )}
+
+        {/* Invitaciones propias */}
+        {openInvitations && (
+          <div className="fixed inset-0 bg-black/30 flex items-center justify-center p-4 z-50">
+            <div className="bg-white rounded-2xl shadow-xl w-full max-w-xl p-4 border max-h-[90vh] flex flex-col">
+              <div className="flex items-center justify-between mb-3">
+                <h3 className="text-lg font-semibold">Invitaciones</h3>
+                <button
+                  onClick={() => setOpenInvitations(false)}
+                  className="p-2 hover:bg-slate-100 rounded-lg"
+                >
+                  <X className="w-5 h-5" />
+                </button>
+              </div>
+              <InvitationsPanel
+                invitations={invitations}
+                rooms={allSettings.rooms}
+                onRespond={respondToBooking}
+              />
+            </div>
+          </div>
+        )}
+
+        {/* Lista de espera propia */}
+        {openWaitlist && (
+          <div className="fixed inset-0 bg-black/30 flex items-center justify-center p-4 z-50">
+            <div className="bg-white rounded-2xl shadow-xl w-full max-w-xl p-4 border max-h-[90vh] flex flex-col">
+              <div className="flex items-center justify-between mb-3">
+                <h3 className="text-lg font-semibold">Lista de espera</h3>
+                <button
+                  onClick={() => setOpenWaitlist(false)}
+                  className="p-2 hover:bg-slate-100 rounded-lg"
+                >
+                  <X className="w-5 h-5" />
+                </button>
+              </div>
+              <WaitlistPanel
+                entries={waitlist}
+                rooms={allSettings.rooms}
+                onClaim={claimWaitlist}
+                onLeave={leaveWaitlist}
+              />
+            </div>
+          </div>
+        )}
+
+        {/* Mantenimiento (admins) */}
+        {openMaintenance && (
+          <div className="fixed inset-0 bg-black/30 flex items-center justify-center p-4 z-50">
+            <div className="bg-white rounded-2xl shadow-xl w-full max-w-xl p-4 border">
+              <div className="flex items-center justify-between mb-3">
+                <h3 className="text-lg font-semibold">Mantenimiento</h3>
+                <button
+                  onClick={() => setOpenMaintenance(false)}
+                  className="p-2 hover:bg-slate-100 rounded-lg"
+                >
+                  <X className="w-5 h-5" />
+                </button>
+              </div>
+              <MaintenancePanel
+                rooms={settings.rooms}
+                currentDay={currentDay}
+                onDone={reloadBookings}
+              />
+            </div>
+          </div>
+        )}
+
+        {/* Actividad de la oficina (admins) */}
+        {openActivity && (
+          <div className="fixed inset-0 bg-black/30 flex items-center justify-center p-4 z-50">
+            <div className="bg-white rounded-2xl shadow-xl w-full max-w-2xl p-4 border max-h-[90vh] flex flex-col">
+              <div className="flex items-center justify-between mb-3">
+                <h3 className="text-lg font-semibold">Actividad</h3>
+                <button
+                  onClick={() => setOpenActivity(false)}
+                  className="p-2 hover:bg-slate-100 rounded-lg"
+                >
+                  <X className="w-5 h-5" />
+                </button>
+              </div>
+              <ActivityFeed rooms={allSettings.rooms} />
+            </div>
+          </div>
+        )}
+
+        {/* Historial de una reserva */}
+        {historyBooking && (
+          <div className="fixed inset-0 bg-black/30 flex items-center justify-center p-4 z-50">
+            <div className="bg-white rounded-2xl shadow-xl w-full max-w-xl p-4 border max-h-[90vh] flex flex-col">
+              <div className="flex items-center justify-between mb-3">
+                <h3 className="text-lg font-semibold">Historial de la reserva</h3>
+                <button
+                  onClick={() => setHistoryBooking(null)}
+                  className="p-2 hover:bg-slate-100 rounded-lg"
+                >
+                  <X className="w-5 h-5" />
+                </button>
+              </div>
+              <p className="text-sm text-slate-600 mb-2">
+                {roomNameFor(allSettings.rooms, historyBooking.room_id)} ·{" "}
+                {describeBooking(historyBooking, tz)}
+              </p>
+              <BookingHistory bookingId={historyBooking.id} rooms={allSettings.rooms} />
+            </div>
+          </div>
+        )}
+
+        {/* Ámbito para reservas periódicas */}
+        {seriesPrompt && (
+          <SeriesScopeDialog
+            action={seriesPrompt.action}
+            onChoose={applySeriesScope}
+            onClose={() => setSeriesPrompt(null)}
+          />
+        )}
+
+        <footer className="max-w-6xl mx-auto mt-6 text-center text-xs text-slate-500">
+          Hecho por DiegoRG · Supabase realtime · Timeline en columnas
+        </footer>
+      </div>
+    </OfficeTimeZone.Provider>
+  );
+}
+
+/* ========= Acceso ========= */
+function AuthScreen() {
+  const [mode, setMode] = useState("password"); // "password" | "signup" | "magic"
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [name, setName] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      if (mode === "magic") {
+        const { error } = await supabase.auth.signInWithOtp({
+          email,
+          options: { emailRedirectTo: window.location.origin },
+        });
+        if (error) throw error;
+        toast.success("Te hemos enviado un enlace de acceso");
+      } else if (mode === "signup") {
+        const { data, error } = await supabase.auth.signUp({
+          email,
+          password,
+          options: { data: { display_name: name.trim() } },
+        });
+        if (error) throw error;
+        if (!data.session) toast.success("Revisa tu correo para confirmar la cuenta");
+      } else {
+        const { error } = await supabase.auth.signInWithPassword({ email, password });
+        if (error) throw error;
+      }
+    } catch (err) {
+      console.error(err);
+      toast.error(err.message || "No se pudo iniciar sesión");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const tabs = [
+    ["password", "Entrar"],
+    ["signup", "Crear cuenta"],
+    ["magic", "Enlace por email"],
+  ];
+
+  return (
+    <div className="min-h-screen bg-slate-50 p-4 flex items-center justify-center">
+      <div className="bg-white border rounded-2xl shadow-sm w-full max-w-sm">
+        <div className="p-4 border-b">
+          <h1 className="text-xl font-bold">Reserva de Despachos</h1>
+          <p className="text-sm text-slate-600">Inicia sesión para reservar</p>
+        </div>
+        <div className="px-4 pt-4 flex gap-1">
+          {tabs.map(([m, label]) => (
+            <button
+              key={m}
+              onClick={() => setMode(m)}
+              className={`px-3 py-1 rounded-lg text-xs border ${
+                mode === m ? "bg-slate-900 text-white" : "bg-white hover:bg-slate-50"
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <form onSubmit={handleSubmit} className="p-4 space-y-3">
+          {mode === "signup" && (
+            <div className="space-y-1">
+              <label className="text-sm font-medium flex items-center gap-2">
+                <Users className="h-4 w-4" /> Nombre
+              </label>
+              <input
+                required
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="p. ej. Diego"
+                className="w-full border rounded-lg px-3 py-2"
+              />
+            </div>
+          )}
+          <div className="space-y-1">
+            <label className="text-sm font-medium flex items-center gap-2">
+              <Mail className="h-4 w-4" /> Email
+            </label>
+            <input
+              type="email"
+              required
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              className="w-full border rounded-lg px-3 py-2"
+            />
+          </div>
+          {mode !== "magic" && (
+            <div className="space-y-1">
+              <label className="text-sm font-medium">Contraseña</label>
+              <input
+                type="password"
+                required
+                minLength={6}
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                className="w-full border rounded-lg px-3 py-2"
+              />
+            </div>
+          )}
+          <button
+            type="submit"
+            disabled={busy}
+            className="w-full px-3 py-2 rounded-lg bg-slate-900 text-white hover:bg-black text-sm disabled:opacity-50"
+          >
+            {mode === "magic" ? "Enviar enlace" : mode === "signup" ? "Crear cuenta" : "Entrar"}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+/* ========= Week strip ========= */
+function WeekStrip({ currentDay, onSelect }) {
+  const weekStart = startOfWeek(currentDay, { weekStartsOn: 1 });
+  const weekEnd = endOfWeek(currentDay, { weekStartsOn: 1 });
+  const days = eachDayOfInterval({ start: weekStart, end: weekEnd });
+
+  return (
+    <div className="flex gap-2 overflow-x-auto pb-1">
+      <button
+        onClick={() => onSelect(addDays(currentDay, -7))}
+        className="px-2 py-1 border rounded-lg bg-white hover:bg-slate-50 text-xs flex items-center gap-1"
+      >
+        <ChevronLeft className="w-4 h-4" /> Semana -
+      </button>
+
+      {days.map((d) => {
+        const isActive =
+          format(d, "yyyy-MM-dd") === format(currentDay, "yyyy-MM-dd");
+        return (
+          <button
+            key={d.toISOString()}
+            onClick={() => onSelect(startOfDay(d))}
+            className={`px-3 py-2 rounded-xl text-sm border ${
+              isActive ? "bg-slate-900 text-white" : "bg-white hover:bg-slate-50"
+            }`}
+            title={format(d, "EEEE d 'de' MMMM", { locale: es })}
+          >
+            <div className="text-[11px]">
+              {format(d, "EEE", { locale: es })}
+            </div>
+            <div className="text-base">{format(d, "d")}</div>
+          </button>
+        );
+      })}
+
+      <button
+        onClick={() => onSelect(addDays(currentDay, 7))}
+        className="px-2 py-1 border rounded-lg bg-white hover:bg-slate-50 text-xs flex items-center gap-1"
+      >
+        Semana + <ChevronRight className="w-4 h-4" />
+      </button>
+    </div>
+  );
+}
+
+/* ========= Mini calendar ========= */
+// Minutos reservados dentro de la franja [startHour, endHour) de un día,
+// total y por despacho.
+function occupancyForDay(day, bookings, rooms, startHour, endHour, tz) {
+  const open = setHours(startOfDay(day), startHour);
+  const close = setHours(startOfDay(day), endHour);
+  const available = minutesBetween(open, close, tz);
+  const perRoom = rooms.map((room) => {
+    let booked = 0;
+    for (const b of bookings) {
+      if (b.room_id !== room.id) continue;
+      const s = fromUTCtoZoned(b.start, tz);
+      const e = fromUTCtoZoned(b.end, tz);
+      booked += Math.max(0, minutesBetween(s < open ? open : s, e > close ? close : e, tz));
+    }
+    return { room, free: Math.max(0, available - booked) };
+  });
+  const total = available * rooms.length;
+  const free = perRoom.reduce((acc, r) => acc + r.free, 0);
+  return { ratio: total > 0 ? (total - free) / total : 0, perRoom };
+}
+
+const HEAT_CLASSES = [
+  [0, "bg-white hover:bg-slate-50"],
+  [0.25, "bg-sky-100 hover:bg-sky-200"],
+  [0.5, "bg-sky-200 hover:bg-sky-300"],
+  [0.75, "bg-sky-300 hover:bg-sky-400"],
+  [1, "bg-sky-500 text-white hover:bg-sky-600"],
+];
+function heatClass(ratio) {
+  if (ratio <= 0) return HEAT_CLASSES[0][1];
+  return HEAT_CLASSES.find(([max]) => max > 0 && ratio <= max)[1];
+}
+function formatFree(minutes) {
+  const h = Math.floor(minutes / 60);
+  const m = Math.round(minutes % 60);
+  if (!h) return `${m} min`;
+  return m ? `${h} h ${m} min` : `${h} h`;
+}
+
+function MiniCalendar({
+  selected,
+  onSelect,
+  viewMonth,
+  onViewMonthChange: setViewMonth,
+  bookings,
+  rooms,
+  startHour,
+  endHour,
+}) {
+  const tz = useContext(OfficeTimeZone);
+  const start = startOfWeek(startOfMonth(viewMonth), { weekStartsOn: 1 });
+  const end = endOfWeek(endOfMonth(viewMonth), { weekStartsOn: 1 });
+  const days = eachDayOfInterval({ start, end });
+
+  const occupancy = useMemo(() => {
+    const byDay = {};
+    for (const d of days) {
+      const next = addDays(d, 1);
+      const dayBookings = bookings.filter(
+        (b) => fromUTCtoZoned(b.start, tz) < next && fromUTCtoZoned(b.end, tz) > d
+      );
+      byDay[toDateInput(d)] = occupancyForDay(d, dayBookings, rooms, startHour, endHour, tz);
+    }
+    return byDay;
+  }, [viewMonth, bookings, rooms, startHour, endHour, tz]); // days sale de viewMonth
+
+  function isSameDay(a, b) {
+    return format(a, "yyyy-MM-dd") === format(b, "yyyy-MM-dd");
+  }
+
+  return (
+    <div className="bg-white border rounded-2xl shadow-sm">
+      <div className="p-3 border-b flex items-center justify-between">
+        <button
+          className="p-2 rounded-lg border hover:bg-slate-50"
+          onClick={() => setViewMonth(subMonths(viewMonth, 1))}
+        >
+          <ChevronLeft className="w-4 h-4" />
+        </button>
+        <div className="font-semibold">
+          {format(viewMonth, "MMMM yyyy", { locale: es })}
+        </div>
+        <button
+          className="p-2 rounded-lg border hover:bg-slate-50"
+          onClick={() => setViewMonth(addMonths(viewMonth, 1))}
+        >
+          <ChevronRight className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="px-3 py-2 grid grid-cols-7 gap-1 text-center text-xs text-slate-500">
+        {["L", "M", "X", "J", "V", "S", "D"].map((d) => (
+          <div key={d} className="py-1">
+            {d}
+          </div>
+        ))}
+      </div>
+
+      <div className="px-2 pb-3 grid grid-cols-7 gap-1">
+        {days.map((d) => {
+          const isCurrentMonth = d.getMonth() === viewMonth.getMonth();
+          const active = isSameDay(d, selected);
+          const occ = occupancy[toDateInput(d)];
+          const title = [
+            `${format(d, "EEEE d 'de' MMMM", { locale: es })} · ${Math.round(occ.ratio * 100)}% ocupado`,
+            ...occ.perRoom.map(({ room, free }) => `${room.name}: ${formatFree(free)} libres`),
+          ].join("\n");
+          return (
+            <button
+              key={d.toISOString()}
+              onClick={() => onSelect(startOfDay(d))}
+              className={`py-2 rounded-xl text-sm border ${
+                active
+                  ? "bg-slate-900 text-white border-slate-900"
+                  : isCurrentMonth
+                  ? heatClass(occ.ratio)
+                  : "bg-slate-50 text-slate-400"
+              }`}
+              title={title}
+            >
+              {format(d, "d")}
+            </button>
+          );
+        })}
+      </div>
+
+      <div className="px-3 pb-3 flex items-center justify-end gap-1 text-[11px] text-slate-500">
+        Libre
+        {HEAT_CLASSES.map(([max, cls]) => (
+          <span key={max} className={`w-3 h-3 rounded border ${cls}`} />
+        ))}
+        Lleno
+      </div>
+    </div>
+  );
 }
 
 /* ========= Formulario ========= */
-function BookingForm({ currentDay, settings, onSubmit }) {
+// Botones para marcar el equipamiento que se necesita
+function EquipmentPicker({ options, value, onChange }) {
+  function toggle(tag) {
+    onChange(value.includes(tag) ? value.filter((t) => t !== tag) : [...value, tag]);
+  }
+  return (
+    <div className="flex flex-wrap gap-1">
+      {options.map((tag) => (
+        <button
+          key={tag}
+          type="button"
+          onClick={() => toggle(tag)}
+          className={`px-2 py-1 rounded-full border text-xs ${
+            value.includes(tag)
+              ? "bg-slate-900 text-white border-slate-900"
+              : "bg-white hover:bg-slate-50"
+          }`}
+        >
+          {tag}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+// Asistentes: usuarios (por nombre) o emails externos
+function AttendeesInput({ value, onChange, profiles, selfId }) {
+  const [text, setText] = useState("");
+  const added = new Set(value.map(attendeeKey));
+  const candidates = profiles.filter((p) => p.id !== selfId && !added.has(p.id));
+
+  function add() {
+    const query = text.trim();
+    if (!query) return;
+    const match = candidates.find((p) => normalizeLabel(p.display_name) === normalizeLabel(query));
+    let attendee;
+    if (match) {
+      attendee = { user_id: match.id, name: match.display_name, response: "pending" };
+    } else if (isEmail(query)) {
+      attendee = { email: query.toLowerCase(), response: "pending" };
+    } else {
+      toast.error("Escribe el nombre de un usuario o un email");
+      return;
+    }
+    if (!added.has(attendeeKey(attendee))) onChange([...value, attendee]);
+    setText("");
+  }
+
+  return (
+    <div className="space-y-1">
+      <div className="flex gap-2">
+        <input
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          onKeyDown={(e) => {
+            // Enter añade en vez de enviar el formulario
+            if (e.key !== "Enter") return;
+            e.preventDefault();
+            add();
+          }}
+          list="attendeeOptions"
+          placeholder="Nombre de un usuario o email"
+          className="flex-1 min-w-0 border rounded-lg px-3 py-2"
+        />
+        <datalist id="attendeeOptions">
+          {candidates.map((p) => (
+            <option key={p.id} value={p.display_name} />
+          ))}
+        </datalist>
+        <button
+          type="button"
+          onClick={add}
+          className="px-3 py-2 rounded-lg border bg-white hover:bg-slate-50 text-sm"
+        >
+          <Plus className="h-4 w-4" />
+        </button>
+      </div>
+      {value.length > 0 && (
+        <div className="flex flex-wrap gap-1">
+          {value.map((a) => (
+            <span
+              key={attendeeKey(a)}
+              title={a.email || undefined}
+              className={`pl-2 pr-1 py-0.5 rounded-full border text-xs flex items-center gap-1 ${
+                a.response === "accepted"
+                  ? "bg-green-50 border-green-200"
+                  : a.response === "declined"
+                  ? "bg-slate-50 text-slate-400 line-through"
+                  : "bg-white"
+              }`}
+            >
+              {a.name || a.email || "Invitado externo"}
+              {a.response !== "pending" && (
+                <span className="no-underline">· {ATTENDEE_RESPONSES[a.response]}</span>
+              )}
+              <button
+                type="button"
+                onClick={() => onChange(value.filter((x) => x !== a))}
+                className="p-0.5 rounded-full hover:bg-slate-100"
+                title="Quitar"
+              >
+                <X className="h-3 w-3" />
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function BookingForm({
+  currentDay,
+  settings,
+  viewerTZ,
+  defaultPerson,
+  profiles = [],
+  userId,
+  organizer,
+  onSubmit,
+}) {
+  const tz = settings.timezone;
   const [id, setId] = useState(null);
-  const [room, setRoom] = useState(0);
-  const [person, setPerson] = useState("");
+  const [roomId, setRoomId] = useState(null);
+  const [person, setPerson] = useState(defaultPerson || "");
+  // el perfil llega después del primer render
+  useEffect(() => {
+    if (defaultPerson) setPerson((p) => p || defaultPerson);
+  }, [defaultPerson]);
   const [purpose, setPurpose] = useState("");
-  const [startTime, setStartTime] = useState("09:00");
+  const [attendees, setAttendees] = useState([]);
+  // hora de Madrid; el fin puede caer otro día (nocturnas, varios días)
+  const [start, setStart] = useState(setHours(startOfDay(currentDay), 9));
+  const [end, setEnd] = useState(setHours(startOfDay(currentDay), 10));
+  // serie que se está editando y con qué ámbito ("this" | "following" | "series")
+  const [series, setSeries] = useState(null);
+  const [scope, setScope] = useState(null);
+  const [originalStart, setOriginalStart] = useState(null);
+  // repetición
+  const [freq, setFreq] = useState("none");
+  const [repeatInterval, setRepeatInterval] = useState(1);
+  const [weekdays, setWeekdays] = useState([isoWeekday(currentDay)]);
+  const [endType, setEndType] = useState("count");
+  const [until, setUntil] = useState(toDateInput(addMonths(currentDay, 3)));
+  const [count, setCount] = useState(10);
+
+  useEffect(() => {
+    function handleLoad(e) {
+      const b = e.detail;
+      setId(b.id);
+      setRoomId(b.room_id);
+      setPerson(b.person || "");
+      setPurpose(b.purpose || "");
+      setAttendees(b.attendees || []);
+      // los emails de los invitados externos no vienen con la reserva
+      if (b.attendees?.some((a) => !a.user_id)) {
+        fetchAttendeeEmails([b.id])
+          .then((emails) =>
+            setAttendees((list) => list.map((a) => ({ ...a, email: a.email ?? emails.get(a.id) })))
+          )
+          .catch((err) => console.error(err));
+      }
+      setScope(b.scope || null);
+      setOriginalStart(b.start);
+      const sr = b.scope && b.scope !== "this" ? b.series : null;
+      setSeries(b.series || null);
+      // toda la serie: se edita desde su primera fecha
+      const s = fromUTCtoZoned(b.scope === "series" ? sr.dtstart : b.start, tz);
+      setStart(s);
+      setEnd(b.scope === "series" ? addMinutes(s, sr.duration_minutes) : fromUTCtoZoned(b.end, tz));
+      setFreq(sr ? sr.freq : "none");
+      if (sr) {
+        setRepeatInterval(sr.interval || 1);
+        setWeekdays(sr.weekdays?.length ? sr.weekdays : [isoWeekday(s)]);
+        setEndType(sr.until ? "until" : "count");
+        if (sr.until) setUntil(sr.until);
+        // "esta y las siguientes" empieza una serie nueva con las fechas que quedan
+        // (COUNT cuenta también las anuladas)
+        if (sr.count) {
+          const before =
+            b.scope === "following"
+              ? expandRecurrence(fromUTCtoZoned(sr.dtstart, tz), sr.duration_minutes, sr).filter(
+                  (o) => new Date(toUTCISO(o.startLocal, tz)) < new Date(b.start)
+                ).length
+              : 0;
+          setCount(Math.max(1, sr.count - before));
+        }
+      }
+      document.getElementById("personInput")?.focus();
+    }
+    window.addEventListener("load-booking", handleLoad);
+    return () => window.removeEventListener("load-booking", handleLoad);
+  }, []);
+
+  // filtros del selector de despacho
+  const [people, setPeople] = useState("");
+  const [needs, setNeeds] = useState([]);
+
+  const activeRooms = settings.rooms.filter((r) => r.active);
+  const equipment = equipmentOptions(activeRooms);
+  // sin número, los que van a la reunión
+  const expected = attendees.length ? headcount(attendees) : 0;
+  const fitting = activeRooms.filter((r) =>
+    roomFits(r, { people: Number(people) || expected, equipment: needs })
+  );
+  // hasta que el usuario elija, el primero que cumple los filtros
+  const room = roomId ?? fitting[0]?.id ?? "";
+  const selectedRoom = settings.rooms.find((r) => r.id === room);
+
+  // horario de ese despacho el día en que empieza, como referencia
+  const hours = openingFor(settings, room, startOfDay(start));
+  const minutes = differenceInMinutes(end, start);
+
+  // al mover el inicio se conserva la duración
+  function changeStart(value) {
+    if (!value) return;
+    const next = parseISO(value);
+    setEnd(addMinutes(next, minutes > 0 ? minutes : SLOT_MINUTES * 2));
+    setStart(next);
+  }
+  function changeEnd(value) {
+    if (value) setEnd(parseISO(value));
+  }
+
+  const repeats = freq !== "none" && scope !== "this";
+  function recurrenceRule() {
+    return {
+      freq,
+      interval: Math.max(1, Number(repeatInterval) || 1),
+      weekdays,
+      until: endType === "until" ? until : null,
+      count: endType === "count" ? Math.max(1, Number(count) || 1) : null,
+    };
+  }
+  function toggleWeekday(wd) {
+    const next = weekdays.includes(wd) ? weekdays.filter((d) => d !== wd) : [...weekdays, wd];
+    if (next.length) setWeekdays(next.sort((a, b) => a - b));
+  }
+  function resetSeries() {
+    setSeries(null);
+    setScope(null);
+    setOriginalStart(null);
+    setFreq("none");
+    // vuelve al día que se está viendo con el mismo horario
+    const shift = differenceInCalendarDays(startOfDay(currentDay), startOfDay(start));
+    setStart(addDays(start, shift));
+    setEnd(addDays(end, shift));
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    if (!room) {
+      toast.error(
+        activeRooms.length ? "Ningún despacho cumple los filtros" : "No hay despachos configurados"
+      );
+      return;
+    }
+    if (minutes <= 0) {
+      toast.error("El fin debe ser posterior al inicio");
+      return;
+    }
+
+    const booking = {
+      id: id || uuidv4(),
+      room_id: room,
+      person: person.trim(),
+      purpose: purpose.trim(),
+      startLocal: start,
+      endLocal: end,
+      series_id: series?.id ?? null,
+      scope,
+      originalStart,
+      exdates: series?.exdates || [],
+      recurrence: repeats ? recurrenceRule() : null,
+      attendees,
+    };
+
+    const ok = await onSubmit(booking);
+    if (ok) {
+      setId(null);
+      setPurpose("");
+      setAttendees([]);
+      resetSeries();
+      toast.success("Lista para una nueva reserva");
+    }
+  }
+
+  function exportICS() {
+    const roomName = roomNameFor(settings.rooms, room);
+    const title = `Reserva ${roomName}${person ? ` · ${person}` : ""}`;
+    const description = icsDescription(purpose, start, end, tz);
+    const ics = generateICS({
+      title,
+      description,
+      location: roomName,
+      // con repetición van en hora de pared + TZID; si no, en UTC
+      start: repeats ? start : zonedTimeToUtc(start, tz),
+      end: repeats ? end : zonedTimeToUtc(end, tz),
+      tzid: tz,
+      rrule: repeats ? seriesToRRule(recurrenceRule(), tz) : null,
+      exdates: repeats ? (series?.exdates || []).map((x) => fromUTCtoZoned(x, tz)) : [],
+      ...(repeats
+        ? series && scope === "series" && { uid: bookingUID(series.id) }
+        : id && { uid: bookingUID(id) }),
+      // con asistentes es una invitación; los usuarios recién añadidos aún
+      // no tienen email (lo pone el servidor al guardar)
+      organizer,
+      attendees: attendees.filter((a) => a.email),
+    });
+    const blob = new Blob([ics], { type: "text/calendar;charset=utf-8" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `${format(start, "yyyyMMdd-HHmm")}-${roomName.replace(/\s+/g, "_")}.ics`;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  return (
+    <form id="bookingForm" onSubmit={handleSubmit} className="space-y-3">
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <div className="space-y-1">
+          <label className="text-sm font-medium flex items-center gap-2">
+            <Building2 className="h-4 w-4" /> Despacho
+          </label>
+          <select
+            value={room}
+            onChange={(e) => setRoomId(e.target.value)}
+            className="w-full border rounded-lg px-3 py-2"
+          >
+            {!room && <option value="">Ningún despacho cumple los filtros</option>}
+            {fitting.map((r) => (
+              <option key={r.id} value={r.id}>
+                {r.name}
+                {r.floor ? ` · ${r.floor}` : ""} · {r.capacity} pers.
+              </option>
+            ))}
+            {/* ya elegido (o de la reserva que se edita) aunque no cumpla los filtros */}
+            {room && !fitting.some((r) => r.id === room) && (
+              <option value={room}>
+                {roomNameFor(settings.rooms, room)}
+                {selectedRoom?.active ? " (no cumple los filtros)" : " (archivado)"}
+              </option>
+            )}
+          </select>
+          {selectedRoom?.equipment?.length > 0 && (
+            <p className="text-xs text-slate-500">Tiene: {selectedRoom.equipment.join(", ")}</p>
+          )}
+        </div>
+
+        <div className="space-y-1">
+          <label className="text-sm font-medium flex items-center gap-2">
+            <Filter className="h-4 w-4" /> Personas y equipamiento
+          </label>
+          <input
+            type="number"
+            min={1}
+            value={people}
+            onChange={(e) => setPeople(e.target.value)}
+            placeholder={expected ? `${expected} (con los asistentes)` : "Cualquier capacidad"}
+            className="w-full border rounded-lg px-3 py-2"
+          />
+          {equipment.length > 0 && (
+            <EquipmentPicker options={equipment} value={needs} onChange={setNeeds} />
+          )}
+        </div>
+
+        <div className="space-y-1">
+          <label className="text-sm font-medium flex items-center gap-2">
+            <Clock className="h-4 w-4" /> Inicio
+          </label>
+          <input
+            type="datetime-local"
+            value={format(start, "yyyy-MM-dd'T'HH:mm")}
+            onChange={(e) => changeStart(e.target.value)}
+            className="w-full border rounded-lg px-3 py-2"
+          />
+          {hours.closed ? (
+            <p className="text-xs text-amber-700">{hours.closed}</p>
+          ) : (
+            <p className="text-xs text-slate-500">
+              Abierto de {minutesLabel(hours.open)} a {minutesLabel(hours.close)}
+            </p>
+          )}
+        </div>
+
+        <div className="space-y-1">
+          <label className="text-sm font-medium">Fin</label>
+          <input
+            type="datetime-local"
+            value={format(end, "yyyy-MM-dd'T'HH:mm")}
+            min={format(start, "yyyy-MM-dd'T'HH:mm")}
+            onChange={(e) => changeEnd(e.target.value)}
+            className="w-full border rounded-lg px-3 py-2"
+          />
+          {minutes > 0 ? (
+            <p className="text-xs text-slate-500">
+              Duración: {formatFree(minutes)}
+              {viewerTZ &&
+                ` · en tu hora (${timeZoneCity(viewerTZ)}): ${zoneRangeLabel(start, end, tz, viewerTZ)}`}
+            </p>
+          ) : (
+            <p className="text-xs text-red-600">El fin debe ser posterior al inicio</p>
+          )}
+        </div>
+
+        <div className="space-y-1 sm:col-span-2">
+          <label className="text-sm font-medium flex items-center gap-2">
+            <Users className="h-4 w-4" /> Nombre / Equipo
+          </label>
+          <input
+            id="personInput"
+            value={person}
+            onChange={(e) => setPerson(e.target.value)}
+            placeholder="p. ej. Diego / Marketing"
+            className="w-full border rounded-lg px-3 py-2"
+          />
+        </div>
+
+        <div className="space-y-1 sm:col-span-2">
+          <label className="text-sm font-medium flex items-center gap-2">
+            <Users className="h-4 w-4" /> Asistentes (opcional)
+          </label>
+          <AttendeesInput
+            value={attendees}
+            onChange={setAttendees}
+            profiles={profiles}
+            selfId={userId}
+          />
+          {selectedRoom && expected > selectedRoom.capacity && (
+            <p className="text-xs text-amber-700">
+              Sois {expected} y {selectedRoom.name} es para {selectedRoom.capacity}
+            </p>
+          )}
+        </div>
+      </div>
+
+      {scope !== "this" && (
+        <div className="space-y-2">
+          <label className="text-sm font-medium flex items-center gap-2">
+            <Repeat className="h-4 w-4" /> Repetir
+          </label>
+          <select
+            value={freq}
+            onChange={(e) => setFreq(e.target.value)}
+            disabled={Boolean(scope)}
+            className="w-full border rounded-lg px-3 py-2 disabled:bg-slate-50"
+          >
+            {!scope && <option value="none">No se repite</option>}
+            <option value="daily">Cada día</option>
+            <option value="weekly">Cada semana</option>
+          </select>
+
+          {repeats && (
+            <div className="space-y-2 rounded-lg border p-3 text-sm">
+              <div className="flex items-center gap-2">
+                Cada
+                <input
+                  type="number"
+                  min={1}
+                  max={52}
+                  value={repeatInterval}
+                  onChange={(e) => setRepeatInterval(e.target.value)}
+                  className="w-16 border rounded-lg px-2 py-1"
+                />
+                {freq === "daily" ? "día(s)" : "semana(s)"}
+              </div>
+
+              {freq === "weekly" && (
+                <div className="flex gap-1">
+                  {WEEKDAY_LETTERS.map((l, i) => (
+                    <button
+                      key={l}
+                      type="button"
+                      onClick={() => toggleWeekday(i + 1)}
+                      className={`w-8 h-8 rounded-full border text-xs ${
+                        weekdays.includes(i + 1)
+                          ? "bg-slate-900 text-white border-slate-900"
+                          : "bg-white hover:bg-slate-50"
+                      }`}
+                    >
+                      {l}
+                    </button>
+                  ))}
+                </div>
+              )}
+
+              <div className="flex flex-wrap items-center gap-2">
+                <label className="flex items-center gap-1">
+                  <input
+                    type="radio"
+                    checked={endType === "until"}
+                    onChange={() => setEndType("until")}
+                  />
+                  Hasta el
+                </label>
+                <input
+                  type="date"
+                  value={until}
+                  min={toDateInput(start)}
+                  onChange={(e) => setUntil(e.target.value)}
+                  disabled={endType !== "until"}
+                  className="border rounded-lg px-2 py-1"
+                />
+                <label className="flex items-center gap-1">
+                  <input
+                    type="radio"
+                    checked={endType === "count"}
+                    onChange={() => setEndType("count")}
+                  />
+                  Tras
+                </label>
+                <input
+                  type="number"
+                  min={1}
+                  max={MAX_OCCURRENCES}
+                  value={count}
+                  onChange={(e) => setCount(e.target.value)}
+                  disabled={endType !== "count"}
+                  className="w-16 border rounded-lg px-2 py-1"
+                />
+                veces
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
+      <div className="space-y-1">
+        <label className="text-sm font-medium">Motivo (opcional)</label>
+        <textarea
+          value={purpose}
+          onChange={(e) => setPurpose(e.target.value)}
+          placeholder="Reunión cliente / Focus / Llamada"
+          rows={3}
+          className="w-full border rounded-lg px-3 py-2"
+        />
+      </div>
+
+      <div className="flex items-center gap-2">
+        <button
+          type="submit"
+          className="px-3 py-2 rounded-lg bg-slate-900 text-white hover:bg-black text-sm"
+        >
+          Guardar
+        </button>
+        <button
+          type="button"
+          onClick={exportICS}
+          className="px-3 py-2 rounded-lg border bg-white hover:bg-slate-50 text-sm flex items-center gap-2"
+        >
+          <Download className="h-4 w-4" /> .ics
+        </button>
+      </div>
+
+      {id && (
+        <p className="text-xs text-slate-500">
+          {scope === "this"
+            ? "Editando solo esta fecha de la serie"
+            : scope === "following"
+            ? "Editando esta fecha y las siguientes de la serie"
+            : scope === "series"
+            ? `Editando toda la serie (desde el ${format(start, "d LLL yyyy", { locale: es })})`
+            : "Editando reserva existente"}
+        </p>
+      )}
+    </form>
+  );
+}
+
+/* ========= Tarjeta de reserva (día y semana) ========= */
+// onDragStart/onResizeStart solo los pasa el timeline de día;
+// continuesBefore/After: la reserva sigue fuera de la franja visible;
+// invitationFor(b): la invitación del usuario a esa reserva, si la hay
+function BookingCard({
+  booking: b,
+  roomName,
+  capacity,
+  style,
+  continuesBefore = false,
+  continuesAfter = false,
+  canModify,
+  canCheckIn,
+  onCheckIn,
+  onHistory,
+  onEdit,
+  onDelete,
+  invitationFor,
+  onRespond,
+  onDragStart,
+  onResizeStart,
+  dragging = false,
+  viewerTZ = null,
+}) {
+  const tz = useContext(OfficeTimeZone);
+  const s = fromUTCtoZoned(b.start, tz);
+  const people = b.attendees?.length ? headcount(b.attendees) : 0;
+  const crowded = capacity != null && people > capacity;
+  const invitation = invitationFor?.(b);
+  const e = fromUTCtoZoned(b.end, tz);
+  // con el día delante si no empieza y acaba el mismo día
+  const multiDay = toDateInput(s) !== toDateInput(e);
+  const at = (d) => (multiDay ? format(d, "EEE d HH:mm", { locale: es }) : timeToLabel(d));
+  return (
+    <div
+      className={`absolute left-2 right-2 p-2 rounded-2xl border bg-white shadow-sm flex flex-col gap-1 ${
+        onDragStart ? "cursor-grab" : ""
+      } ${dragging ? "opacity-40" : ""} ${continuesBefore ? "rounded-t-none" : ""} ${
+        continuesAfter ? "rounded-b-none" : ""
+      }`}
+      style={{
+        ...style,
+        ...(continuesBefore && { borderTopStyle: "dashed" }),
+        ...(continuesAfter && { borderBottomStyle: "dashed" }),
+      }}
+      onPointerDown={(ev) => {
+        // los botones de la tarjeta siguen funcionando como siempre
+        if (!onDragStart || ev.button !== 0 || ev.target.closest("button")) return;
+        onDragStart(ev);
+      }}
+    >
+      {continuesBefore && (
+        <div className="text-[10px] text-slate-500 flex items-center gap-1">
+          <ArrowUp className="h-3 w-3 shrink-0" /> viene desde {at(s)}
+        </div>
+      )}
+      <div className="text-sm font-semibold text-slate-900 truncate flex items-center gap-1">
+        {b.series_id && (
+          <Repeat className="h-3 w-3 shrink-0 text-slate-500" aria-label="Periódica" />
+        )}
+        {b.person || "Reserva"}
+        {people > 0 && (
+          <span
+            className={`shrink-0 px-1 rounded flex items-center gap-0.5 text-[10px] font-medium ${
+              crowded ? "bg-red-100 text-red-700" : "bg-slate-100 text-slate-600"
+            }`}
+            title={
+              `${people} personas: ${b.attendees
+                .map((a) => `${a.name || "Invitado externo"} (${ATTENDEE_RESPONSES[a.response]})`)
+                .join(", ")}` + (crowded ? ` · el despacho es para ${capacity}` : "")
+            }
+          >
+            <Users className="h-3 w-3" />
+            {people}
+          </span>
+        )}
+        {b.checked_in_at && (
+          <span className="ml-auto shrink-0 px-1.5 rounded bg-green-100 text-green-800 text-[10px] font-medium">
+            Presente
+          </span>
+        )}
+      </div>
+      <div className="text-xs text-slate-700 break-words line-clamp-2">
+        {b.purpose || "—"}
+      </div>
+      <div className="text-[11px] text-slate-500 mt-auto flex items-center gap-1">
+        {continuesAfter ? (
+          <>
+            <ArrowDown className="h-3 w-3 shrink-0" /> sigue hasta {at(e)}
+          </>
+        ) : (
+          `${at(s)}–${at(e)}`
+        )}
+      </div>
+      {viewerTZ && (
+        <div className="text-[10px] text-slate-400" title={viewerTZ}>
+          {zoneRangeLabel(s, e, tz, viewerTZ)} tu hora
+        </div>
+      )}
+      <div className="flex flex-wrap items-center gap-1 mt-1">
+        {invitation &&
+          [
+            ["accepted", "Asistiré"],
+            ["declined", "No asistiré"],
+          ].map(([response, label]) => (
+            <button
+              key={response}
+              onClick={() => onRespond(b, response)}
+              disabled={invitation.response === response}
+              className={`px-2 py-1 rounded-lg border text-[11px] ${
+                invitation.response === response
+                  ? response === "accepted"
+                    ? "bg-green-600 border-green-600 text-white"
+                    : "bg-slate-200 text-slate-600"
+                  : ""
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        {canCheckIn?.(b) && (
+          <button
+            onClick={() => onCheckIn(b)}
+            className="px-2 py-1 rounded-lg bg-green-600 text-white text-[11px]"
+          >
+            Check-in
+          </button>
+        )}
+        {canModify(b) && (
+          <>
+            <button
+              onClick={() => onEdit(b)}
+              className="px-2 py-1 rounded-lg bg-slate-900 text-white text-[11px]"
+            >
+              Editar
+            </button>
+            <button
+              onClick={() => onDelete(b)}
+              className="px-2 py-1 rounded-lg border text-[11px]"
+            >
+              Cancelar
+            </button>
+          </>
+        )}
+        <button
+          onClick={() => downloadICSForBookingLocal(b, roomName, tz)}
+          className="px-2 py-1 rounded-lg border text-[11px]"
+        >
+          ICS
+        </button>
+        <CopyButtonLocal booking={b} roomName={roomName} viewerTZ={viewerTZ} />
+        {onHistory && (
+          <button
+            onClick={() => onHistory(b)}
+            className="p-1 rounded-lg border text-slate-600"
+            title="Historial"
+          >
+            <History className="h-3 w-3" />
+          </button>
+        )}
+      </div>
+      {onResizeStart && (
+        <div
+          className="absolute left-0 right-0 bottom-0 h-2 cursor-ns-resize rounded-b-2xl hover:bg-slate-200"
+          style={{ touchAction: "none" }}
+          onPointerDown={(e) => {
+            if (e.button !== 0) return;
+            e.stopPropagation();
+            onResizeStart(e);
+          }}
+        />
+      )}
+    </div>
+  );
+}
+
+/* ========= Tramos cerrados (día y semana) ========= */
+const CLOSED_PATTERN =
+  "repeating-linear-gradient(135deg, transparent 0 6px, rgba(148, 163, 184, 0.2) 6px 12px)";
+
+// spans: closedSpans() del despacho y día; toRail: minuto del día -> minuto
+// de la rejilla; total: cuántos muestra
+function ClosedSpans({ spans, toRail, total }) {
+  return spans.map((c, i) => {
+    const from = Math.max(0, toRail(c.from));
+    const to = Math.min(total, toRail(c.to));
+    if (to <= from) return null;
+    return (
+      <div
+        key={i}
+        className="absolute left-0 right-0 bg-slate-100/70 pointer-events-none flex items-center justify-center overflow-hidden"
+        style={{
+          top: from * PX_PER_MIN,
+          height: (to - from) * PX_PER_MIN,
+          backgroundImage: CLOSED_PATTERN,
+        }}
+      >
+        {c.label && (
+          <span className="px-2 text-[11px] font-medium text-slate-500 truncate">{c.label}</span>
+        )}
+      </div>
+    );
+  });
+}
+
+/* ========= Timeline columnas: rooms lado a lado ========= */
+function RoomsSideBySideTimeline({
+  day,
+  rooms,
+  bookings,
+  startHour = 8,
+  endHour = 22,
+  closedFor,
+  canModify,
+  canCheckIn,
+  onCheckIn,
+  onHistory,
+  onEdit,
+  onDelete,
+  invitationFor,
+  onRespond,
+  onCreate,
+  onMove,
+  viewerTZ = null,
+}) {
+  const tz = useContext(OfficeTimeZone);
+  const dayStart = setHours(setMinutes(startOfDay(day), 0), startHour);
+  const dayEnd = setHours(setMinutes(startOfDay(day), 0), endHour);
+  // minutos reales: el día del cambio de hora la franja mide una hora más o menos
+  const totalMinutes = minutesBetween(dayStart, dayEnd, tz);
+  const railHeight = totalMinutes * PX_PER_MIN;
+  // minuto del día (hora de reloj) -> minuto de la rejilla
+  const toRail = (m) => minutesBetween(dayStart, setMinutes(startOfDay(day), m), tz);
+
+  // Arrastre: minutos desde dayStart, ajustados a SLOT_MINUTES.
+  // drag = { mode: "create"|"move"|"resize", booking, roomIdx, start, end,
+  //          anchor, offset, x, y, moved }
+  const columnsRef = useRef(null);
+  const dragRef = useRef(null);
+  const [drag, setDragState] = useState(null);
+  const setDrag = (d) => {
+    dragRef.current = d;
+    setDragState(d);
+  };
+  const snap = (m) => Math.round(m / SLOT_MINUTES) * SLOT_MINUTES;
+  const clampMin = (m) => Math.min(Math.max(m, 0), totalMinutes);
+
+  function pointerToSlot(e) {
+    const rect = columnsRef.current.getBoundingClientRect();
+    const roomIdx = Math.min(
+      rooms.length - 1,
+      Math.max(0, Math.floor((e.clientX - rect.left) / COL_W))
+    );
+    return { roomIdx, minute: (e.clientY - rect.top) / PX_PER_MIN };
+  }
+
+  function startCreate(e, roomIdx) {
+    if (!onCreate || e.button !== 0 || e.target !== e.currentTarget) return;
+    if (!rooms[roomIdx].active) return;
+    const { minute } = pointerToSlot(e);
+    const anchor = clampMin(Math.floor(minute / SLOT_MINUTES) * SLOT_MINUTES);
+    setDrag({
+      mode: "create",
+      roomIdx,
+      anchor,
+      start: anchor,
+      end: Math.min(anchor + SLOT_MINUTES, totalMinutes),
+      x: e.clientX,
+      y: e.clientY,
+      moved: false,
+    });
+  }
+
+  function startBookingDrag(e, b, roomIdx, mode) {
+    const start = minutesBetween(dayStart, fromUTCtoZoned(b.start, tz), tz);
+    const end = minutesBetween(dayStart, fromUTCtoZoned(b.end, tz), tz);
+    const { minute } = pointerToSlot(e);
+    setDrag({
+      mode,
+      booking: b,
+      roomIdx,
+      start,
+      end,
+      offset: minute - start,
+      x: e.clientX,
+      y: e.clientY,
+      moved: false,
+    });
+  }
+
+  useEffect(() => {
+    if (!drag) return;
+    function handleMove(e) {
+      const d = dragRef.current;
+      const { roomIdx, minute } = pointerToSlot(e);
+      const moved = d.moved || Math.abs(e.clientX - d.x) + Math.abs(e.clientY - d.y) > 4;
+      if (d.mode === "create") {
+        const m = clampMin(snap(minute));
+        setDrag({
+          ...d,
+          moved,
+          start: Math.min(d.anchor, m),
+          end: Math.max(Math.min(d.anchor + SLOT_MINUTES, totalMinutes), m),
+        });
+      } else if (d.mode === "move") {
+        const duration = d.end - d.start;
+        const start = Math.min(clampMin(snap(minute - d.offset)), totalMinutes - duration);
+        setDrag({ ...d, moved, roomIdx, start, end: start + duration });
+      } else {
+        setDrag({ ...d, moved, end: Math.max(d.start + SLOT_MINUTES, clampMin(snap(minute))) });
+      }
+    }
+    function handleUp() {
+      const d = dragRef.current;
+      setDrag(null);
+      if (!d?.moved || dragInvalid(d)) return;
+      const room = rooms[d.roomIdx];
+      const change = {
+        room_id: room.id,
+        startLocal: addOfficeMinutes(dayStart, d.start, tz),
+        endLocal: addOfficeMinutes(dayStart, d.end, tz),
+      };
+      if (d.mode === "create") onCreate(change);
+      else onMove(d.booking, change);
+    }
+    function handleKey(e) {
+      if (e.key === "Escape") setDrag(null);
+    }
+    window.addEventListener("pointermove", handleMove);
+    window.addEventListener("pointerup", handleUp);
+    window.addEventListener("keydown", handleKey);
+    return () => {
+      window.removeEventListener("pointermove", handleMove);
+      window.removeEventListener("pointerup", handleUp);
+      window.removeEventListener("keydown", handleKey);
+    };
+    // los listeners leen siempre dragRef; basta con montarlos al empezar
+  }, [Boolean(drag)]);
+
+  // por qué no se puede soltar ahí (null = se puede): despacho archivado,
+  // tramo cerrado o choque con otra reserva del despacho destino
+  function dragInvalid(d) {
+    const room = rooms[d.roomIdx];
+    if (!room?.active) return "archivado";
+    const closed = (closedFor?.(room.id, day) || []).some(
+      (c) => toRail(c.from) < d.end && d.start < toRail(c.to)
+    );
+    if (closed) return "cerrado";
+    const busy = bookings.some((b) => {
+      if (b.room_id !== room.id || b.id === d.booking?.id) return false;
+      const bs = minutesBetween(dayStart, fromUTCtoZoned(b.start, tz), tz);
+      const be = minutesBetween(dayStart, fromUTCtoZoned(b.end, tz), tz);
+      return bs < d.end && d.start < be;
+    });
+    return busy ? "ocupado" : null;
+  }
+  const dragConflict = drag?.moved && dragInvalid(drag);
+
+  // Marcas horarias
+  const hours = hourMarks(dayStart, dayEnd, tz);
+
+  // Agrupar reservas por room
+  const grouped = rooms.map((r) => bookings.filter((b) => b.room_id === r.id));
+
+  const COL_W = 260; // ancho por despacho
+  const GUTTER_W = 68; // barra horaria
+
+  return (
+    <div className="overflow-x-auto">
+      <div
+        className="relative bg-white rounded-xl"
+        style={{ height: railHeight, width: GUTTER_W + rooms.length * COL_W }}
+      >
+        {/* Barra de horas a la izquierda */}
+        <div
+          className="absolute left-0 top-0 bg-white border-r"
+          style={{ width: GUTTER_W, height: railHeight }}
+        >
+          {hours.map(({ minute, time }, i) => (
+            <div key={i} className="absolute left-0 right-0" style={{ top: minute * PX_PER_MIN }}>
+              <div className="absolute left-2 -translate-y-1/2 text-[11px] text-slate-500">
+                {timeToLabel(time)}
+                {viewerTZ && (
+                  <div className="text-[10px] text-slate-400" title={viewerTZ}>
+                    {timeToLabel(officeToZone(time, tz, viewerTZ))}
+                  </div>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {/* Área de columnas */}
+        <div className="absolute top-0 right-0" style={{ left: GUTTER_W, height: railHeight }}>
+          {/* Líneas horizontales globales */}
+          <div className="absolute inset-0 pointer-events-none">
+            {hours.map(({ minute }, i) => (
+              <div
+                key={i}
+                className="absolute left-0 right-0 border-t border-slate-100"
+                style={{ top: minute * PX_PER_MIN }}
+              />
+            ))}
+          </div>
+
+          <div ref={columnsRef} className={`relative h-full flex ${drag ? "select-none" : ""}`}>
+            {rooms.map((room, idx) => (
+              <div
+                key={room.id}
+                className="relative h-full border-l border-slate-200"
+                style={{ width: COL_W }}
+              >
+                <ClosedSpans
+                  spans={closedFor?.(room.id, day) || []}
+                  toRail={toRail}
+                  total={totalMinutes}
+                />
+
+                {/* Vista previa del arrastre */}
+                {drag?.moved && drag.roomIdx === idx && (
+                  <div
+                    className={`absolute left-2 right-2 z-20 rounded-2xl border-2 border-dashed pointer-events-none px-2 py-1 text-[11px] font-medium ${
+                      dragConflict
+                        ? "border-red-500 bg-red-50/80 text-red-700"
+                        : "border-slate-900 bg-slate-100/80 text-slate-700"
+                    }`}
+                    style={{
+                      top: drag.start * PX_PER_MIN,
+                      height: (drag.end - drag.start) * PX_PER_MIN,
+                    }}
+                  >
+                    {timeToLabel(addOfficeMinutes(dayStart, drag.start, tz))}–
+                    {timeToLabel(addOfficeMinutes(dayStart, drag.end, tz))}
+                    {dragConflict && ` · ${dragConflict}`}
+                  </div>
+                )}
+
+                {/* Cabecera fija de columna */}
+                <div className="absolute left-0 right-0 top-0 z-10">
+                  {/* una sola línea (la pista empieza a 36px); el resto, en el title */}
+                  <div
+                    title={roomDetails(room) || undefined}
+                    className="h-9 px-3 flex items-center gap-1 whitespace-nowrap overflow-hidden text-sm font-semibold text-slate-700 bg-white/80 backdrop-blur border-b"
+                  >
+                    {room.photo_url && (
+                      <img
+                        src={room.photo_url}
+                        alt=""
+                        className="h-6 w-6 shrink-0 rounded object-cover"
+                      />
+                    )}
+                    <span className="truncate">{room.name}</span>
+                    {room.floor && (
+                      <span className="text-xs font-normal text-slate-500">· {room.floor}</span>
+                    )}
+                    {!room.active && (
+                      <span className="text-xs font-normal text-slate-400">(archivado)</span>
+                    )}
+                    <span className="ml-1 flex items-center gap-0.5 text-xs font-normal text-slate-500">
+                      <Users className="h-3 w-3" />
+                      {room.capacity}
+                    </span>
+                    {room.accessibility && (
+                      <Accessibility className="h-3 w-3 shrink-0 text-slate-500" />
+                    )}
+                    {(room.equipment || []).map((tag) => (
+                      <span
+                        key={tag}
+                        className="px-1.5 rounded-full bg-slate-100 text-[10px] font-normal text-slate-600"
+                      >
+                        {tag}
+                      </span>
+                    ))}
+                  </div>
+                </div>
+
+                {/* Pista de reservas (dejamos 36px para cabecera) */}
+                <div
+                  className={`absolute left-0 right-0 ${onCreate && room.active ? "cursor-crosshair" : ""}`}
+                  style={{ top: 36, bottom: 0 }}
+                  onPointerDown={(e) => startCreate(e, idx)}
+                >
+                  {grouped[idx].map((b) => {
+                    const s = fromUTCtoZoned(b.start, tz);
+                    const e = fromUTCtoZoned(b.end, tz);
+                    const clampedStart = s < dayStart ? dayStart : s;
+                    const clampedEnd = e > dayEnd ? dayEnd : e;
+                    // no toca la franja visible de este día
+                    if (clampedEnd <= clampedStart) return null;
+                    const top =
+                      minutesBetween(dayStart, clampedStart, tz) * PX_PER_MIN - 36;
+                    const height = Math.max(
+                      28,
+                      minutesBetween(clampedStart, clampedEnd, tz) * PX_PER_MIN
+                    );
+                    // solo se arrastran las que caben enteras en la franja visible
+                    const draggable =
+                      onMove && canModify(b) && s >= dayStart && e <= dayEnd;
+                    return (
+                      <BookingCard
+                        key={b.id}
+                        booking={b}
+                        roomName={room.name}
+                        capacity={room.capacity}
+                        style={{ top, height }}
+                        continuesBefore={s < dayStart}
+                        continuesAfter={e > dayEnd}
+                        viewerTZ={viewerTZ}
+                        canModify={canModify}
+                        canCheckIn={canCheckIn}
+                        onCheckIn={onCheckIn}
+                        onHistory={onHistory}
+                        onEdit={onEdit}
+                        onDelete={onDelete}
+                        invitationFor={invitationFor}
+                        onRespond={onRespond}
+                        onDragStart={
+                          draggable ? (ev) => startBookingDrag(ev, b, idx, "move") : undefined
+                        }
+                        onResizeStart={
+                          draggable ? (ev) => startBookingDrag(ev, b, idx, "resize") : undefined
+                        }
+                        dragging={drag?.moved && drag.booking?.id === b.id}
+                      />
+                    );
+                  })}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/* ========= Timeline semanal: días × despachos ========= */
+function WeekTimeline({
+  day,
+  rooms,
+  bookings,
+  startHour = 8,
+  endHour = 22,
+  closedFor,
+  canModify,
+  canCheckIn,
+  onCheckIn,
+  onHistory,
+  onEdit,
+  onDelete,
+  invitationFor,
+  onRespond,
+  onSelectDay,
+  viewerTZ = null,
+}) {
+  const tz = useContext(OfficeTimeZone);
+  const days = eachDayOfInterval({
+    start: startOfWeek(day, { weekStartsOn: 1 }),
+    end: endOfWeek(day, { weekStartsOn: 1 }),
+  });
+  // el carril es común a los 7 días, así que va en horas de reloj; la vista
+  // de día es la que refleja el cambio de hora
+  const railHeight = (endHour - startHour) * 60 * PX_PER_MIN;
+  const todayKey = toDateInput(utcToZonedTime(new Date(), tz));
+
+  const hours = [];
+  for (let h = startHour; h <= endHour; h++) hours.push(h);
+
+  const SUB_W = 150; // ancho por despacho dentro de cada día
+  const GUTTER_W = 68; // barra horaria
+  const dayW = Math.max(1, rooms.length) * SUB_W;
+
+  return (
+    <div className="overflow-x-auto">
+      <div style={{ width: GUTTER_W + days.length * dayW }}>
+        {/* Cabecera: día + despachos */}
+        <div className="flex border-b">
+          <div style={{ width: GUTTER_W }} className="shrink-0" />
+          {days.map((d) => (
+            <div
+              key={d.toISOString()}
+              className="shrink-0 border-l border-slate-200"
+              style={{ width: dayW }}
+            >
+              <button
+                onClick={() => onSelectDay(startOfDay(d))}
+                className={`w-full px-3 py-2 text-sm font-semibold text-left capitalize hover:bg-slate-50 ${
+                  toDateInput(d) === todayKey ? "text-slate-900" : "text-slate-600"
+                }`}
+                title="Ver este día"
+              >
+                {format(d, "EEEE d", { locale: es })}
+              </button>
+              <div className="flex">
+                {rooms.map((room) => (
+                  <div
+                    key={room.id}
+                    className="px-2 pb-1 text-[11px] text-slate-500 truncate"
+                    style={{ width: SUB_W }}
+                  >
+                    {room.name}
+                  </div>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {/* Carril horario */}
+        <div className="relative bg-white" style={{ height: railHeight }}>
+          <div
+            className="absolute left-0 top-0 bg-white border-r"
+            style={{ width: GUTTER_W, height: railHeight }}
+          >
+            {hours.map((h) => (
+              <div
+                key={h}
+                className="absolute left-2 -translate-y-1/2 text-[11px] text-slate-500"
+                style={{ top: (h - startHour) * 60 * PX_PER_MIN }}
+              >
+                {String(h).padStart(2, "0")}:00
+                {viewerTZ && (
+                  <div className="text-[10px] text-slate-400" title={viewerTZ}>
+                    {timeToLabel(officeToZone(setHours(startOfDay(day), h), tz, viewerTZ))}
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+
+          <div className="absolute top-0 right-0 bottom-0" style={{ left: GUTTER_W }}>
+            <div className="absolute inset-0 pointer-events-none">
+              {hours.map((h) => (
+                <div
+                  key={h}
+                  className="absolute left-0 right-0 border-t border-slate-100"
+                  style={{ top: (h - startHour) * 60 * PX_PER_MIN }}
+                />
+              ))}
+            </div>
+
+            <div className="relative h-full flex">
+              {days.map((d) => {
+                const dayStart = setHours(startOfDay(d), startHour);
+                const dayEnd = setHours(startOfDay(d), endHour);
+                return (
+                  <div
+                    key={d.toISOString()}
+                    className={`relative h-full flex border-l border-slate-200 ${
+                      toDateInput(d) === todayKey ? "bg-slate-50/60" : ""
+                    }`}
+                    style={{ width: dayW }}
+                  >
+                    {rooms.map((room) => (
+                      <div
+                        key={room.id}
+                        className="relative h-full border-l border-slate-100"
+                        style={{ width: SUB_W }}
+                      >
+                        <ClosedSpans
+                          spans={closedFor?.(room.id, d) || []}
+                          toRail={(m) => m - startHour * 60}
+                          total={(endHour - startHour) * 60}
+                        />
+                        {bookings
+                          .filter((b) => b.room_id === room.id)
+                          .map((b) => {
+                            const s = fromUTCtoZoned(b.start, tz);
+                            const e = fromUTCtoZoned(b.end, tz);
+                            const clampedStart = s < dayStart ? dayStart : s;
+                            const clampedEnd = e > dayEnd ? dayEnd : e;
+                            // no toca la franja visible de este día
+                            if (clampedEnd <= clampedStart) return null;
+                            return (
+                              <BookingCard
+                                key={b.id}
+                                booking={b}
+                                roomName={room.name}
+                                capacity={room.capacity}
+                                style={{
+                                  top: wallMinutesBetween(dayStart, clampedStart) * PX_PER_MIN,
+                                  height: Math.max(
+                                    28,
+                                    wallMinutesBetween(clampedStart, clampedEnd) * PX_PER_MIN
+                                  ),
+                                }}
+                                continuesBefore={s < dayStart}
+                                continuesAfter={e > dayEnd}
+                                viewerTZ={viewerTZ}
+                                canModify={canModify}
+                                canCheckIn={canCheckIn}
+                                onCheckIn={onCheckIn}
+                                onHistory={onHistory}
+                                onEdit={onEdit}
+                                onDelete={onDelete}
+                                invitationFor={invitationFor}
+                                onRespond={onRespond}
+                              />
+                            );
+                          })}
+                      </div>
+                    ))}
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/* ========= Ajustes ========= */
+// settings: los de la sede elegida (siteSettings); allSettings: todos, para
+// guardar sin tocar las demás sedes
+function SettingsPanel({ settings, allSettings, setSettings, readOnly, onClose }) {
+  const tz = settings.timezone;
+  const [local, setLocal] = useState(settings);
+  const [removedIds, setRemovedIds] = useState([]);
+  useEffect(() => {
+    setLocal(settings);
+    setRemovedIds([]);
+  }, [settings]);
+
+  const [saving, setSaving] = useState(false);
+  // equipos de los usuarios; solo se cargan y guardan los cambiados
+  const [profiles, setProfiles] = useState([]);
+  const [teamEdits, setTeamEdits] = useState({});
+  useEffect(() => {
+    if (readOnly) return;
+    fetchProfiles()
+      .then(setProfiles)
+      .catch((err) => {
+        console.error(err);
+        toast.error("No se pudieron cargar los usuarios");
+      });
+  }, [readOnly]);
+  const policyNumber = (min) => (e) =>
+    e.target.value === "" ? null : Math.max(min, Number(e.target.value));
+
+  function updateRoom(i, patch) {
+    const copy = [...local.rooms];
+    copy[i] = { ...copy[i], ...patch };
+    setLocal({ ...local, rooms: copy });
+  }
+  function moveRoom(i, delta) {
+    const j = i + delta;
+    if (j < 0 || j >= local.rooms.length) return;
+    const copy = [...local.rooms];
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+    setLocal({ ...local, rooms: copy });
+  }
+  function updateSite(i, patch) {
+    const copy = [...local.sites];
+    copy[i] = { ...copy[i], ...patch };
+    setLocal({ ...local, sites: copy });
+  }
+  // la sede nueva copia zona y horario de la actual
+  function addSite() {
+    const n = local.sites.length + 1;
+    const site = {
+      id: uuidv4(),
+      name: `Sede ${n}`,
+      slug: `sede-${n}`,
+      timezone: local.timezone,
+      start_hour: local.startHour,
+      end_hour: local.endHour,
+      isNew: true,
+    };
+    setLocal({ ...local, sites: [...local.sites, site] });
+  }
+  function addRoom() {
+    const room = {
+      id: uuidv4(),
+      site_id: local.siteId,
+      name: `Despacho ${local.rooms.length + 1}`,
+      capacity: 1,
+      active: true,
+      isNew: true,
+    };
+    setLocal({ ...local, rooms: [...local.rooms, room] });
+  }
+  function removeRoom(i) {
+    const room = local.rooms[i];
+    if (!room.isNew) setRemovedIds([...removedIds, room.id]);
+    setLocal({
+      ...local,
+      rooms: local.rooms.filter((_, k) => k !== i),
+      openingHours: local.openingHours.filter((o) => o.room_id !== room.id),
+      blackouts: local.blackouts.filter((x) => x.room_id !== room.id),
+    });
+  }
+
+  // horarios por día, festivos y cierres: listas que se guardan enteras
+  function updateItem(key, i, patch) {
+    const copy = [...local[key]];
+    copy[i] = { ...copy[i], ...patch };
+    setLocal({ ...local, [key]: copy });
+  }
+  function removeItem(key, i) {
+    setLocal({ ...local, [key]: local[key].filter((_, k) => k !== i) });
+  }
+  function addOpeningRule() {
+    const rule = {
+      id: uuidv4(),
+      site_id: local.siteId,
+      room_id: null,
+      weekday: 5,
+      opens: "08:00",
+      closes: "15:00",
+    };
+    setLocal({ ...local, openingHours: [...local.openingHours, rule] });
+  }
+  const [holidayDay, setHolidayDay] = useState("");
+  const [holidayName, setHolidayName] = useState("");
+  function addHolidays(list) {
+    const known = new Set(local.holidays.map((h) => h.day));
+    const added = list
+      .filter((h) => !known.has(h.day))
+      .map((h) => ({ ...h, id: uuidv4(), site_id: local.siteId }));
+    setLocal({
+      ...local,
+      holidays: [...local.holidays, ...added].sort((a, b) => a.day.localeCompare(b.day)),
+    });
+    return added.length;
+  }
+  function addBlackout() {
+    const start = setHours(startOfDay(utcToZonedTime(new Date(), tz)), local.startHour);
+    const blackout = {
+      id: uuidv4(),
+      site_id: local.siteId,
+      room_id: null,
+      start: toUTCISO(start, tz),
+      end: toUTCISO(addDays(start, 1), tz),
+      reason: "",
+    };
+    setLocal({ ...local, blackouts: [...local.blackouts, blackout] });
+  }
+  const thisYear = new Date().getFullYear();
+
+  async function save() {
+    if (local.sites.some((x) => !x.name.trim())) {
+      toast.error("Todas las sedes necesitan nombre");
+      return;
+    }
+    const slugs = local.sites.map((x) => x.slug);
+    if (slugs.some((x) => !/^[a-z0-9-]+$/.test(x)) || new Set(slugs).size < slugs.length) {
+      toast.error("Cada sede necesita un enlace distinto (minúsculas, números y guiones)");
+      return;
+    }
+    if (local.rooms.some((r) => !r.name.trim())) {
+      toast.error("Todos los despachos necesitan nombre");
+      return;
+    }
+    if (local.rooms.some((r) => r.photo_url?.trim() && !/^https?:\/\//i.test(r.photo_url.trim()))) {
+      toast.error("La foto de un despacho debe ser una URL http(s)");
+      return;
+    }
+    const ruleKeys = local.openingHours.map((o) => `${o.room_id}:${o.weekday}`);
+    if (new Set(ruleKeys).size < ruleKeys.length) {
+      toast.error("Hay dos horarios para el mismo despacho y día");
+      return;
+    }
+    if (local.openingHours.some((o) => o.opens && o.opens >= o.closes)) {
+      toast.error("Un horario cierra antes de abrir");
+      return;
+    }
+    if (local.blackouts.some((x) => new Date(x.end) <= new Date(x.start))) {
+      toast.error("Un cierre termina antes de empezar");
+      return;
+    }
+    setSaving(true);
+    try {
+      const merged = mergeSiteSettings(allSettings, local);
+      const { archived } = await saveSettingsDb(merged, removedIds);
+      for (const [id, team] of Object.entries(teamEdits)) {
+        await saveProfileTeam(id, team.trim() || null);
+      }
+      setTeamEdits({});
+      setSettings((await fetchSettings()) || merged);
+      toast.success("Ajustes guardados");
+      if (archived) {
+        toast(`${archived} despacho(s) con reservas se han archivado en lugar de borrarse`);
+      }
+      onClose?.();
+    } catch (err) {
+      console.error(err);
+      toast.error("No se pudieron guardar los ajustes");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <div className="space-y-4">
+      {readOnly && (
+        <p className="text-sm text-slate-500">
+          Solo los administradores pueden cambiar los ajustes.
+        </p>
+      )}
+      <fieldset disabled={readOnly} className="space-y-4">
+        <div>
+          <div className="text-sm font-medium mb-2">Sedes</div>
+          <div className="space-y-2">
+            {local.sites.map((x, i) => (
+              <div key={x.id} className="flex items-center gap-2">
+                <input
+                  value={x.name}
+                  onChange={(e) =>
+                    updateSite(i, {
+                      name: e.target.value,
+                      // el enlace de una sede ya guardada no cambia solo
+                      ...(x.isNew && { slug: slugify(e.target.value) }),
+                    })
+                  }
+                  className="flex-1 min-w-0 border rounded-lg px-3 py-2"
+                />
+                <input
+                  value={x.slug}
+                  onChange={(e) => updateSite(i, { slug: e.target.value.trim() })}
+                  title="Enlace: ?sede=…"
+                  className="w-32 border rounded-lg px-2 py-2 text-sm font-mono"
+                />
+                {x.id === local.siteId ? (
+                  <span className="w-16 text-xs text-slate-500">(actual)</span>
+                ) : x.isNew ? (
+                  <button
+                    onClick={() =>
+                      setLocal({ ...local, sites: local.sites.filter((_, k) => k !== i) })
+                    }
+                    className="p-2 rounded-lg border hover:bg-slate-50"
+                    title="Eliminar"
+                  >
+                    <Trash2 className="w-3 h-3" />
+                  </button>
+                ) : (
+                  <span className="w-16" />
+                )}
+              </div>
+            ))}
+          </div>
+          <button
+            onClick={addSite}
+            className="mt-2 px-3 py-2 rounded-lg border bg-white hover:bg-slate-50 text-sm flex items-center gap-2"
+          >
+            <Plus className="w-4 h-4" /> Añadir sede
+          </button>
+          <p className="text-xs text-slate-500 mt-1">
+            Despachos, horario, zona y cierres de abajo son los de la sede actual; para editar
+            otra, elígela arriba en la cabecera.
+          </p>
+        </div>
+
+        <div>
+          <div className="text-sm font-medium mb-2">Despachos</div>
+          <div className="space-y-2">
+            {local.rooms.map((r, i) => (
+              <div key={r.id} className="space-y-1">
+                <div className="flex items-center gap-2">
+                  <input
+                    value={r.name}
+                    onChange={(e) => updateRoom(i, { name: e.target.value })}
+                    className={`flex-1 min-w-0 border rounded-lg px-3 py-2 ${
+                      r.active ? "" : "text-slate-400"
+                    }`}
+                  />
+                  <input
+                    type="number"
+                    min={1}
+                    value={r.capacity}
+                    onChange={(e) =>
+                      updateRoom(i, { capacity: Math.max(1, Number(e.target.value)) })
+                    }
+                    title="Capacidad"
+                    className="w-16 border rounded-lg px-2 py-2"
+                  />
+                  <label className="flex items-center gap-1 text-xs text-slate-600">
+                    <input
+                      type="checkbox"
+                      checked={r.active}
+                      onChange={(e) => updateRoom(i, { active: e.target.checked })}
+                    />
+                    Activo
+                  </label>
+                  <button
+                    onClick={() => moveRoom(i, -1)}
+                    className="p-2 rounded-lg border hover:bg-slate-50"
+                    title="Subir"
+                  >
+                    <ArrowUp className="w-3 h-3" />
+                  </button>
+                  <button
+                    onClick={() => moveRoom(i, 1)}
+                    className="p-2 rounded-lg border hover:bg-slate-50"
+                    title="Bajar"
+                  >
+                    <ArrowDown className="w-3 h-3" />
+                  </button>
+                  <button
+                    onClick={() => removeRoom(i)}
+                    className="p-2 rounded-lg border hover:bg-slate-50"
+                    title="Eliminar"
+                  >
+                    <Trash2 className="w-3 h-3" />
+                  </button>
+                </div>
+                <div className="flex items-center gap-2 pl-1">
+                  <input
+                    value={r.floor || ""}
+                    onChange={(e) => updateRoom(i, { floor: e.target.value })}
+                    placeholder="Planta"
+                    className="w-20 border rounded-lg px-2 py-1 text-sm"
+                  />
+                  {local.sites.length > 1 && (
+                    <select
+                      value={r.site_id || local.siteId}
+                      onChange={(e) => updateRoom(i, { site_id: e.target.value })}
+                      title="Sede"
+                      className="w-28 border rounded-lg px-2 py-1 text-sm"
+                    >
+                      {local.sites.map((x) => (
+                        <option key={x.id} value={x.id}>
+                          {x.name}
+                        </option>
+                      ))}
+                    </select>
+                  )}
+                  <input
+                    type="number"
+                    min={1}
+                    placeholder="Sin máximo"
+                    value={r.max_duration_minutes ?? ""}
+                    onChange={(e) =>
+                      updateRoom(i, {
+                        max_duration_minutes:
+                          e.target.value === "" ? null : Math.max(1, Number(e.target.value)),
+                      })
+                    }
+                    title="Duración máxima por reserva (min)"
+                    className="w-28 border rounded-lg px-2 py-1 text-sm"
+                  />
+                  {/* se interpreta al salir del campo para poder escribir las comas */}
+                  <input
+                    defaultValue={(r.allowed_teams || []).join(", ")}
+                    onBlur={(e) =>
+                      updateRoom(i, {
+                        allowed_teams: e.target.value
+                          .split(",")
+                          .map((t) => t.trim())
+                          .filter(Boolean),
+                      })
+                    }
+                    placeholder="Solo equipos (separados por comas)"
+                    title="Vacío = cualquiera"
+                    className="flex-1 min-w-0 border rounded-lg px-2 py-1 text-sm"
+                  />
+                </div>
+                <div className="flex items-center gap-2 pl-1">
+                  <input
+                    defaultValue={(r.equipment || []).join(", ")}
+                    onBlur={(e) =>
+                      updateRoom(i, {
+                        equipment: [
+                          ...new Set(
+                            e.target.value
+                              .split(",")
+                              .map((t) => t.trim())
+                              .filter(Boolean)
+                          ),
+                        ],
+                      })
+                    }
+                    placeholder="Equipamiento: Pantalla, Videoconferencia…"
+                    className="flex-1 min-w-0 border rounded-lg px-2 py-1 text-sm"
+                  />
+                  <input
+                    type="url"
+                    value={r.photo_url || ""}
+                    onChange={(e) => updateRoom(i, { photo_url: e.target.value })}
+                    placeholder="URL de la foto"
+                    className="w-40 border rounded-lg px-2 py-1 text-sm"
+                  />
+                </div>
+                <div className="flex items-center gap-2 pl-1">
+                  <input
+                    value={r.description || ""}
+                    onChange={(e) => updateRoom(i, { description: e.target.value })}
+                    placeholder="Descripción"
+                    className="flex-1 min-w-0 border rounded-lg px-2 py-1 text-sm"
+                  />
+                  <input
+                    value={r.accessibility || ""}
+                    onChange={(e) => updateRoom(i, { accessibility: e.target.value })}
+                    placeholder="Accesibilidad (p. ej. acceso sin escalones)"
+                    className="flex-1 min-w-0 border rounded-lg px-2 py-1 text-sm"
+                  />
+                </div>
+              </div>
+            ))}
+          </div>
+          <button
+            onClick={addRoom}
+            className="mt-2 px-3 py-2 rounded-lg border bg-white hover:bg-slate-50 text-sm flex items-center gap-2"
+          >
+            <Plus className="w-4 h-4" /> Añadir despacho
+          </button>
+        </div>
+
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+          <div>
+            <label className="text-sm">Hora inicio</label>
+            <input
+              type="number"
+              min={0}
+              max={23}
+              value={local.startHour}
+              onChange={(e) =>
+                setLocal({ ...local, startHour: Number(e.target.value) })
+              }
+              className="w-full border rounded-lg px-3 py-2"
+            />
+          </div>
+          <div>
+            <label className="text-sm">Hora fin</label>
+            <input
+              type="number"
+              min={1}
+              max={24}
+              value={local.endHour}
+              onChange={(e) =>
+                setLocal({ ...local, endHour: Number(e.target.value) })
+              }
+              className="w-full border rounded-lg px-3 py-2"
+            />
+          </div>
+          <div className="flex items-center gap-2 mt-6">
+            <input
+              type="checkbox"
+              checked={local.requireName}
+              onChange={(e) =>
+                setLocal({ ...local, requireName: e.target.checked })
+              }
+            />
+            <span className="text-sm">Requerir nombre</span>
+          </div>
+        </div>
+
+        <div>
+          <label className="text-sm">Zona horaria de la sede</label>
+          <TimeZoneSelect
+            value={local.timezone}
+            onChange={(timezone) => setLocal({ ...local, timezone })}
+            className="w-full border rounded-lg px-3 py-2"
+          />
+          <p className="text-xs text-slate-500 mt-1">
+            Horarios, festivos y reservas se interpretan en esta zona; cada persona puede
+            ver además su hora local.
+          </p>
+        </div>
+
+        <div className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={local.allowPast}
+            onChange={(e) =>
+              setLocal({ ...local, allowPast: e.target.checked })
+            }
+          />
+          <span className="text-sm">Permitir reservas en pasado</span>
+        </div>
+
+        <div className="border rounded-xl p-3 space-y-2">
+          <div className="text-sm font-medium">Horario por día</div>
+          <p className="text-xs text-slate-500">
+            Recorta el horario general para un día de la semana, en toda la oficina o en un
+            despacho (que manda sobre la oficina).
+          </p>
+          {local.openingHours.map((o, i) => (
+            <div key={o.id} className="flex flex-wrap items-center gap-2">
+              <select
+                value={o.room_id ?? ""}
+                onChange={(e) =>
+                  updateItem("openingHours", i, {
+                    room_id: e.target.value || null,
+                    site_id: e.target.value ? null : local.siteId,
+                  })
+                }
+                className="border rounded-lg px-2 py-1 text-sm min-w-0"
+              >
+                <option value="">Toda la oficina</option>
+                {local.rooms.map((r) => (
+                  <option key={r.id} value={r.id}>
+                    {r.name}
+                  </option>
+                ))}
+              </select>
+              <select
+                value={o.weekday}
+                onChange={(e) => updateItem("openingHours", i, { weekday: Number(e.target.value) })}
+                className="border rounded-lg px-2 py-1 text-sm"
+              >
+                {WEEKDAY_NAMES.map((name, k) => (
+                  <option key={k} value={k + 1}>
+                    {name}
+                  </option>
+                ))}
+              </select>
+              <label className="flex items-center gap-1 text-xs text-slate-600">
+                <input
+                  type="checkbox"
+                  checked={!o.opens}
+                  onChange={(e) =>
+                    updateItem(
+                      "openingHours",
+                      i,
+                      e.target.checked
+                        ? { opens: null, closes: null }
+                        : { opens: "08:00", closes: "15:00" }
+                    )
+                  }
+                />
+                Cerrado
+              </label>
+              {o.opens && (
+                <>
+                  <input
+                    type="time"
+                    value={o.opens.slice(0, 5)}
+                    onChange={(e) => updateItem("openingHours", i, { opens: e.target.value })}
+                    className="border rounded-lg px-2 py-1 text-sm"
+                  />
+                  –
+                  <input
+                    type="time"
+                    value={o.closes.slice(0, 5)}
+                    onChange={(e) => updateItem("openingHours", i, { closes: e.target.value })}
+                    className="border rounded-lg px-2 py-1 text-sm"
+                  />
+                </>
+              )}
+              <button
+                onClick={() => removeItem("openingHours", i)}
+                className="p-2 rounded-lg border hover:bg-slate-50"
+                title="Eliminar"
+              >
+                <Trash2 className="w-3 h-3" />
+              </button>
+            </div>
+          ))}
+          <button
+            onClick={addOpeningRule}
+            className="px-3 py-2 rounded-lg border bg-white hover:bg-slate-50 text-sm flex items-center gap-2"
+          >
+            <Plus className="w-4 h-4" /> Añadir horario
+          </button>
+        </div>
+
+        <div className="border rounded-xl p-3 space-y-2">
+          <div className="text-sm font-medium">Festivos de la sede</div>
+          <div className="flex flex-wrap gap-2">
+            {[thisYear, thisYear + 1].map((year) => (
+              <button
+                key={year}
+                onClick={() => {
+                  const n = addHolidays(madridHolidays(year));
+                  toast(n ? `${n} festivos de ${year} añadidos` : `Ya estaban los festivos de ${year}`);
+                }}
+                className="px-3 py-2 rounded-lg border bg-white hover:bg-slate-50 text-sm"
+              >
+                Festivos de Madrid {year}
+              </button>
+            ))}
+          </div>
+          <div className="flex items-center gap-2">
+            <input
+              type="date"
+              value={holidayDay}
+              onChange={(e) => setHolidayDay(e.target.value)}
+              className="border rounded-lg px-2 py-1 text-sm"
+            />
+            <input
+              value={holidayName}
+              onChange={(e) => setHolidayName(e.target.value)}
+              placeholder="Nombre"
+              className="flex-1 min-w-0 border rounded-lg px-2 py-1 text-sm"
+            />
+            <button
+              onClick={() => {
+                if (!holidayDay) return;
+                addHolidays([{ day: holidayDay, name: holidayName.trim() || "Festivo" }]);
+                setHolidayDay("");
+                setHolidayName("");
+              }}
+              className="p-2 rounded-lg border hover:bg-slate-50"
+              title="Añadir festivo"
+            >
+              <Plus className="w-3 h-3" />
+            </button>
+          </div>
+          <div className="space-y-1 max-h-48 overflow-y-auto">
+            {local.holidays.map((h, i) => (
+              <div key={h.day} className="flex items-center gap-2 text-sm">
+                <span className="w-24 tabular-nums text-slate-600">
+                  {format(parseISO(h.day), "dd/MM/yyyy")}
+                </span>
+                <input
+                  value={h.name}
+                  onChange={(e) => updateItem("holidays", i, { name: e.target.value })}
+                  className="flex-1 min-w-0 border rounded-lg px-2 py-1 text-sm"
+                />
+                <button
+                  onClick={() => removeItem("holidays", i)}
+                  className="p-2 rounded-lg border hover:bg-slate-50"
+                  title="Eliminar"
+                >
+                  <Trash2 className="w-3 h-3" />
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div className="border rounded-xl p-3 space-y-2">
+          <div className="text-sm font-medium">Cierres</div>
+          <p className="text-xs text-slate-500">
+            Mantenimiento, obras…: no se puede reservar y aparece sombreado.
+          </p>
+          {local.blackouts.map((x, i) => (
+            <div key={x.id} className="flex flex-wrap items-center gap-2">
+              <select
+                value={x.room_id ?? ""}
+                onChange={(e) =>
+                  updateItem("blackouts", i, {
+                    room_id: e.target.value || null,
+                    site_id: e.target.value ? null : local.siteId,
+                  })
+                }
+                className="border rounded-lg px-2 py-1 text-sm min-w-0"
+              >
+                <option value="">Toda la oficina</option>
+                {local.rooms.map((r) => (
+                  <option key={r.id} value={r.id}>
+                    {r.name}
+                  </option>
+                ))}
+              </select>
+              <input
+                type="datetime-local"
+                value={format(fromUTCtoZoned(x.start, tz), "yyyy-MM-dd'T'HH:mm")}
+                onChange={(e) =>
+                  e.target.value &&
+                  updateItem("blackouts", i, { start: toUTCISO(parseISO(e.target.value), tz) })
+                }
+                className="border rounded-lg px-2 py-1 text-sm"
+              />
+              –
+              <input
+                type="datetime-local"
+                value={format(fromUTCtoZoned(x.end, tz), "yyyy-MM-dd'T'HH:mm")}
+                onChange={(e) =>
+                  e.target.value &&
+                  updateItem("blackouts", i, { end: toUTCISO(parseISO(e.target.value), tz) })
+                }
+                className="border rounded-lg px-2 py-1 text-sm"
+              />
+              <input
+                value={x.reason || ""}
+                onChange={(e) => updateItem("blackouts", i, { reason: e.target.value })}
+                placeholder="Motivo (mantenimiento)"
+                className="flex-1 min-w-0 border rounded-lg px-2 py-1 text-sm"
+              />
+              <button
+                onClick={() => removeItem("blackouts", i)}
+                className="p-2 rounded-lg border hover:bg-slate-50"
+                title="Eliminar"
+              >
+                <Trash2 className="w-3 h-3" />
+              </button>
+            </div>
+          ))}
+          <button
+            onClick={addBlackout}
+            className="px-3 py-2 rounded-lg border bg-white hover:bg-slate-50 text-sm flex items-center gap-2"
+          >
+            <Plus className="w-4 h-4" /> Añadir cierre
+          </button>
+        </div>
+
+        <div className="border rounded-xl p-3 space-y-2">
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={local.checkinEnabled}
+              onChange={(e) => setLocal({ ...local, checkinEnabled: e.target.checked })}
+            />
+            <span className="text-sm">Exigir check-in y liberar las reservas no ocupadas</span>
+          </label>
+          {local.checkinEnabled && (
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+              <div>
+                <label className="text-sm">Check-in desde (min antes)</label>
+                <input
+                  type="number"
+                  min={0}
+                  value={local.checkinOpenMinutes}
+                  onChange={(e) =>
+                    setLocal({ ...local, checkinOpenMinutes: Math.max(0, Number(e.target.value)) })
+                  }
+                  className="w-full border rounded-lg px-3 py-2"
+                />
+              </div>
+              <div>
+                <label className="text-sm">Cortesía tras el inicio (min)</label>
+                <input
+                  type="number"
+                  min={1}
+                  value={local.checkinGraceMinutes}
+                  onChange={(e) =>
+                    setLocal({ ...local, checkinGraceMinutes: Math.max(1, Number(e.target.value)) })
+                  }
+                  className="w-full border rounded-lg px-3 py-2"
+                />
+              </div>
+            </div>
+          )}
+          <p className="text-xs text-slate-500">
+            La liberación la hace el servidor cada minuto, aunque nadie tenga la app abierta.
+            Solo afecta a reservas que empiezan después de activarlo.
+          </p>
+        </div>
+
+        <div>
+          <label className="text-sm">Minutos para reclamar un hueco de la lista de espera</label>
+          <input
+            type="number"
+            min={1}
+            value={local.waitlistClaimMinutes}
+            onChange={(e) =>
+              setLocal({ ...local, waitlistClaimMinutes: Math.max(1, Number(e.target.value)) })
+            }
+            className="w-full border rounded-lg px-3 py-2"
+          />
+        </div>
+
+        <div className="border rounded-xl p-3 space-y-2">
+          <div className="text-sm font-medium">Reglas de reserva</div>
+          <p className="text-xs text-slate-500">
+            Vacío = sin límite. La duración máxima y los equipos se ajustan en cada despacho.
+            No se aplican a los administradores.
+          </p>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+            <div>
+              <label className="text-sm">Antelación máxima (días)</label>
+              <input
+                type="number"
+                min={1}
+                value={local.maxAdvanceDays ?? ""}
+                onChange={(e) => setLocal({ ...local, maxAdvanceDays: policyNumber(1)(e) })}
+                className="w-full border rounded-lg px-3 py-2"
+              />
+            </div>
+            <div>
+              <label className="text-sm">Margen entre reservas (min)</label>
+              <input
+                type="number"
+                min={0}
+                value={local.bufferMinutes}
+                onChange={(e) => setLocal({ ...local, bufferMinutes: policyNumber(0)(e) ?? 0 })}
+                className="w-full border rounded-lg px-3 py-2"
+              />
+            </div>
+            <div>
+              <label className="text-sm">Reservas pendientes por persona</label>
+              <input
+                type="number"
+                min={1}
+                value={local.maxActiveBookings ?? ""}
+                onChange={(e) => setLocal({ ...local, maxActiveBookings: policyNumber(1)(e) })}
+                className="w-full border rounded-lg px-3 py-2"
+              />
+            </div>
+            <div>
+              <label className="text-sm">Horas por persona y semana</label>
+              <input
+                type="number"
+                min={1}
+                step={0.5}
+                value={local.maxWeeklyHours ?? ""}
+                onChange={(e) => setLocal({ ...local, maxWeeklyHours: policyNumber(0.5)(e) })}
+                className="w-full border rounded-lg px-3 py-2"
+              />
+            </div>
+          </div>
+          <p className="text-xs text-slate-500">Una serie cuenta como una sola reserva pendiente.</p>
+        </div>
+
+        {profiles.length > 0 && (
+          <div className="border rounded-xl p-3 space-y-2">
+            <div className="text-sm font-medium">Equipos</div>
+            <div className="space-y-1 max-h-48 overflow-y-auto">
+              {profiles.map((p) => (
+                <div key={p.id} className="flex items-center gap-2">
+                  <span className="flex-1 min-w-0 truncate text-sm">
+                    {p.display_name}
+                    {p.role === "admin" && <span className="text-xs text-slate-500"> · admin</span>}
+                  </span>
+                  <input
+                    value={teamEdits[p.id] ?? p.team ?? ""}
+                    onChange={(e) => setTeamEdits({ ...teamEdits, [p.id]: e.target.value })}
+                    placeholder="Sin equipo"
+                    className="w-40 border rounded-lg px-2 py-1 text-sm"
+                  />
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+      </fieldset>
+
+      <div className="flex items-center justify-end gap-2">
+        <button onClick={onClose} className="px-3 py-2 rounded-lg border">
+          {readOnly ? "Cerrar" : "Cancelar"}
+        </button>
+        {!readOnly && (
+          <button
+            onClick={save}
+            disabled={saving}
+            className="px-3 py-2 rounded-lg bg-slate-900 text-white disabled:opacity-50"
+          >
+            Guardar
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/* ========= Buscar despacho libre ========= */
+const MAX_SEARCH_DAYS = 31;
+
+// Huecos libres de al menos durationMin por despacho y día, dentro de la
+// ventana [fromMin, toMin) recortada al horario de apertura de cada despacho.
+// Los cierres puntuales cuentan como ocupados.
+function findFreeSlots({ days, rooms, bookings, fromMin, toMin, durationMin, settings, notBefore }) {
+  const tz = settings.timezone;
+  const results = [];
+  for (const day of days) {
+    const base = startOfDay(day);
+    const { startUTC, endUTC } = dayRangeUTC(base, tz);
+    for (const room of rooms) {
+      const hours = openingFor(settings, room.id, base);
+      if (hours.closed) continue;
+      let open = addMinutes(base, Math.max(fromMin, hours.open));
+      const close = addMinutes(base, Math.min(toMin, hours.close));
+      if (notBefore && open < notBefore) {
+        // primer tramo completo a partir de ahora
+        const elapsed =
+          Math.ceil(wallMinutesBetween(base, notBefore) / SLOT_MINUTES) * SLOT_MINUTES;
+        open = addMinutes(base, elapsed);
+      }
+      if (minutesBetween(open, close, tz) < durationMin) continue;
+
+      const busy = [
+        ...bookings.filter((b) => b.room_id === room.id),
+        ...blackoutsFor(settings, room.id, startUTC, endUTC),
+      ]
+        .map((b) => [fromUTCtoZoned(b.start, tz), fromUTCtoZoned(b.end, tz)])
+        .filter(([bs, be]) => bs < close && be > open)
+        .sort((a, b) => a[0] - b[0]);
+      let cursor = open;
+      for (const [bs, be] of [...busy, [close, close]]) {
+        if (minutesBetween(cursor, bs, tz) >= durationMin) {
+          results.push({ room, start: cursor, end: bs });
+        }
+        if (be > cursor) cursor = be;
+      }
+    }
+  }
+  return results;
+}
+
+function FreeRoomSearch({ settings, currentDay, onBook }) {
+  const tz = settings.timezone;
+  const [fromDate, setFromDate] = useState(toDateInput(currentDay));
+  const [toDate, setToDate] = useState(toDateInput(currentDay));
+  const [fromTime, setFromTime] = useState(
+    `${String(settings.startHour).padStart(2, "0")}:00`
+  );
+  // <input type="time"> no admite 24:00
+  const [toTime, setToTime] = useState(
+    settings.endHour >= 24 ? "23:59" : `${String(settings.endHour).padStart(2, "0")}:00`
+  );
   const [duration, setDuration] = useState(60);
+  const [capacity, setCapacity] = useState("");
+  const [needs, setNeeds] = useState([]);
+  const equipment = equipmentOptions(settings.rooms.filter((r) => r.active));
+  const [results, setResults] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  async function search(e) {
+    e?.preventDefault();
+    const first = fromDateInput(fromDate);
+    const last = fromDateInput(toDate);
+    if (last < first) {
+      toast.error("La fecha final es anterior a la inicial");
+      return;
+    }
+    const days = eachDayOfInterval({ start: first, end: last });
+    if (days.length > MAX_SEARCH_DAYS) {
+      toast.error(`Busca como mucho ${MAX_SEARCH_DAYS} días`);
+      return;
+    }
+    if (minutesOfDay(toTime) - minutesOfDay(fromTime) < duration) {
+      toast.error("La franja es más corta que la duración");
+      return;
+    }
+    setBusy(true);
+    try {
+      const bookings = await fetchBookingsBetween(
+        dayRangeUTC(first, tz).startUTC,
+        dayRangeUTC(last, tz).endUTC,
+        settings.siteId
+      );
+      const filters = { people: Number(capacity) || 0, equipment: needs };
+      setResults(
+        findFreeSlots({
+          days,
+          rooms: settings.rooms.filter((r) => r.active && roomFits(r, filters)),
+          bookings,
+          fromMin: minutesOfDay(fromTime),
+          toMin: minutesOfDay(toTime),
+          durationMin: Number(duration),
+          settings,
+          notBefore: settings.allowPast ? null : utcToZonedTime(new Date(), tz),
+        })
+      );
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function book(slot) {
+    const ok = await onBook({
+      room_id: slot.room.id,
+      startLocal: slot.start,
+      endLocal: addMinutes(slot.start, Number(duration)),
+    });
+    if (ok) search();
+  }
+
+  return (
+    <div className="flex flex-col gap-3 min-h-0">
+      <form onSubmit={search} className="grid grid-cols-2 sm:grid-cols-3 gap-2 text-sm">
+        <label className="space-y-1">
+          <span className="font-medium">Desde el día</span>
+          <input
+            type="date"
+            value={fromDate}
+            onChange={(e) => setFromDate(e.target.value)}
+            className="w-full border rounded-lg px-2 py-1"
+          />
+        </label>
+        <label className="space-y-1">
+          <span className="font-medium">Hasta el día</span>
+          <input
+            type="date"
+            value={toDate}
+            min={fromDate}
+            onChange={(e) => setToDate(e.target.value)}
+            className="w-full border rounded-lg px-2 py-1"
+          />
+        </label>
+        <label className="space-y-1">
+          <span className="font-medium">Duración</span>
+          <select
+            value={duration}
+            onChange={(e) => setDuration(Number(e.target.value))}
+            className="w-full border rounded-lg px-2 py-1"
+          >
+            {[30, 60, 90, 120, 180, 240].map((d) => (
+              <option key={d} value={d}>
+                {d} min
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="space-y-1">
+          <span className="font-medium">Entre las</span>
+          <input
+            type="time"
+            step={SLOT_MINUTES * 60}
+            value={fromTime}
+            onChange={(e) => setFromTime(e.target.value)}
+            className="w-full border rounded-lg px-2 py-1"
+          />
+        </label>
+        <label className="space-y-1">
+          <span className="font-medium">y las</span>
+          <input
+            type="time"
+            step={SLOT_MINUTES * 60}
+            value={toTime}
+            onChange={(e) => setToTime(e.target.value)}
+            className="w-full border rounded-lg px-2 py-1"
+          />
+        </label>
+        <label className="space-y-1">
+          <span className="font-medium">Capacidad mínima</span>
+          <input
+            type="number"
+            min={1}
+            value={capacity}
+            onChange={(e) => setCapacity(e.target.value)}
+            placeholder="Cualquiera"
+            className="w-full border rounded-lg px-2 py-1"
+          />
+        </label>
+        {equipment.length > 0 && (
+          <div className="col-span-full space-y-1">
+            <span className="font-medium">Equipamiento</span>
+            <EquipmentPicker options={equipment} value={needs} onChange={setNeeds} />
+          </div>
+        )}
+        <div className="col-span-full">
+          <button
+            type="submit"
+            disabled={busy}
+            className="px-3 py-2 rounded-lg bg-slate-900 text-white hover:bg-black text-sm flex items-center gap-2 disabled:opacity-50"
+          >
+            <Search className="w-4 h-4" /> Buscar
+          </button>
+        </div>
+      </form>
+
+      {results && (
+        <div className="overflow-y-auto border rounded-xl divide-y">
+          {results.length === 0 && (
+            <p className="p-3 text-sm text-slate-500">No hay ningún hueco con esas condiciones.</p>
+          )}
+          {results.map((slot) => (
+            <div
+              key={`${slot.room.id}-${slot.start.toISOString()}`}
+              className="p-3 flex items-center gap-3 text-sm"
+            >
+              <div className="flex-1 min-w-0">
+                <div className="font-medium truncate">{slot.room.name}</div>
+                <div className="text-slate-500">
+                  <span className="capitalize">
+                    {format(slot.start, "EEEE d LLL", { locale: es })}
+                  </span>{" "}
+                  · libre {timeToLabel(slot.start)}–{timeToLabel(slot.end)}
+                </div>
+              </div>
+              <button
+                onClick={() => book(slot)}
+                className="px-3 py-1 rounded-lg border bg-white hover:bg-slate-50 text-xs"
+              >
+                Reservar {timeToLabel(slot.start)}–
+                {timeToLabel(addMinutes(slot.start, Number(duration)))}
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* ========= Mantenimiento ========= */
+function MaintenancePanel({ rooms, currentDay, onDone }) {
+  const tz = useContext(OfficeTimeZone);
+  const day = toDateInput(currentDay);
+  const [rangeFrom, setRangeFrom] = useState(day);
+  const [rangeTo, setRangeTo] = useState(day);
+  const [months, setMonths] = useState(12);
+  const [roomId, setRoomId] = useState(rooms[0]?.id ?? "");
+  const [roomFrom, setRoomFrom] = useState(day);
+  const [roomTo, setRoomTo] = useState(day);
+
+  // fechas del formulario (días completos, ambos incluidos) -> filtros en UTC
+  const tools = [
+    {
+      key: "range",
+      title: "Vaciar un intervalo de fechas",
+      filter: () => ({
+        from: dayRangeUTC(fromDateInput(rangeFrom), tz).startUTC,
+        to: dayRangeUTC(fromDateInput(rangeTo), tz).endUTC,
+      }),
+      fields: (
+        <>
+          <input
+            type="date"
+            value={rangeFrom}
+            onChange={(e) => setRangeFrom(e.target.value)}
+            className="border rounded-lg px-2 py-1"
+          />
+          –
+          <input
+            type="date"
+            value={rangeTo}
+            min={rangeFrom}
+            onChange={(e) => setRangeTo(e.target.value)}
+            className="border rounded-lg px-2 py-1"
+          />
+        </>
+      ),
+    },
+    {
+      key: "purge",
+      title: "Purgar reservas antiguas",
+      filter: () => ({ endedBefore: toUTCISO(startOfDay(subMonths(currentDay, months)), tz) }),
+      fields: (
+        <>
+          Terminadas hace más de
+          <input
+            type="number"
+            min={1}
+            value={months}
+            onChange={(e) => setMonths(Math.max(1, Number(e.target.value)))}
+            className="w-16 border rounded-lg px-2 py-1"
+          />
+          meses
+        </>
+      ),
+    },
+    {
+      key: "room",
+      title: "Cancelar todo un despacho en un periodo",
+      filter: () => ({
+        roomId,
+        from: dayRangeUTC(fromDateInput(roomFrom), tz).startUTC,
+        to: dayRangeUTC(fromDateInput(roomTo), tz).endUTC,
+      }),
+      fields: (
+        <>
+          <select
+            value={roomId}
+            onChange={(e) => setRoomId(e.target.value)}
+            className="border rounded-lg px-2 py-1"
+          >
+            {rooms.map((r) => (
+              <option key={r.id} value={r.id}>
+                {r.name}
+              </option>
+            ))}
+          </select>
+          <input
+            type="date"
+            value={roomFrom}
+            onChange={(e) => setRoomFrom(e.target.value)}
+            className="border rounded-lg px-2 py-1"
+          />
+          –
+          <input
+            type="date"
+            value={roomTo}
+            min={roomFrom}
+            onChange={(e) => setRoomTo(e.target.value)}
+            className="border rounded-lg px-2 py-1"
+          />
+        </>
+      ),
+    },
+  ];
+
+  return (
+    <div className="space-y-3">
+      {tools.map((t) => (
+        <MaintenanceTool key={t.key} title={t.title} filter={t.filter} onDone={onDone}>
+          {t.fields}
+        </MaintenanceTool>
+      ))}
+    </div>
+  );
+}
+
+// Cada herramienta: primero se calcula cuántas reservas afecta y solo
+// entonces se puede ejecutar (con confirmación).
+function MaintenanceTool({ title, filter, onDone, children }) {
+  const [preview, setPreview] = useState(null); // { count, filter }
+  const [busy, setBusy] = useState(false);
+
+  // cualquier cambio en los campos invalida el recuento
+  const filterKey = JSON.stringify(filter());
+  useEffect(() => setPreview(null), [filterKey]);
+
+  async function runPreview() {
+    setBusy(true);
+    try {
+      const f = filter();
+      setPreview({ count: await adminDeleteBookingsDb(f, true), filter: f });
+    } catch (err) {
+      console.error(err);
+      toast.error("No pude calcular las reservas afectadas");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function run() {
+    if (!window.confirm(`Se eliminarán ${preview.count} reservas. Esta acción no se puede deshacer. ¿Continuar?`)) {
+      return;
+    }
+    setBusy(true);
+    try {
+      const n = await adminDeleteBookingsDb(preview.filter, false);
+      toast.success(`${n} reservas eliminadas`);
+      setPreview(null);
+      await onDone?.();
+    } catch (err) {
+      console.error(err);
+      toast.error("No se pudo completar el mantenimiento");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="border rounded-xl p-3 space-y-2">
+      <div className="text-sm font-medium">{title}</div>
+      <div className="flex flex-wrap items-center gap-2 text-sm">{children}</div>
+      <div className="flex items-center gap-2">
+        <button
+          onClick={runPreview}
+          disabled={busy}
+          className="px-3 py-1 rounded-lg border bg-white hover:bg-slate-50 text-sm disabled:opacity-50"
+        >
+          Calcular
+        </button>
+        {preview && (
+          <>
+            <span className="text-sm text-slate-600">
+              {preview.count === 0
+                ? "Ninguna reserva afectada"
+                : `${preview.count} reserva(s) afectada(s)`}
+            </span>
+            {preview.count > 0 && (
+              <button
+                onClick={run}
+                disabled={busy}
+                className="ml-auto px-3 py-1 rounded-lg bg-red-600 text-white hover:bg-red-700 text-sm disabled:opacity-50"
+              >
+                Eliminar
+              </button>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/* ========= Importar ========= */
+// espacio de nombres para ids deterministas: reimportar el mismo archivo
+// actualiza las reservas en vez de duplicarlas
+const IMPORT_NAMESPACE = "6f1c2b1e-4d7a-4c55-9a8e-2f3b8d0e7a41";
+// reglas sin fin: no se generan más allá de un año
+const IMPORT_OPEN_ENDED_DAYS = 365;
+
+const normalizeLabel = (s) =>
+  String(s || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
+
+// CSV con comillas RFC 4180; el separador (, ; o tabulador) se deduce de la
+// cabecera porque Excel en español guarda con ";"
+function parseCSV(text) {
+  const src = String(text).replace(/^\uFEFF/, "");
+  const firstLine = src.split(/\r?\n/, 1)[0];
+  const sep = [";", "\t", ","].reduce((best, c) =>
+    firstLine.split(c).length > firstLine.split(best).length ? c : best
+  );
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === sep) {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else cell += ch;
+  }
+  if (cell || row.length) rows.push([...row, cell]);
+  return rows.filter((r) => r.some((c) => c.trim()));
+}
 
-  useEffect(() => {
-    function handleLoad(e) {
-      const b = e.detail;
-      setId(b.id);
-      setRoom(b.room);
-      setPerson(b.person || "");
-      setPurpose(b.purpose || "");
-      const s = fromUTCtoZoned(b.start);
-      setStartTime(format(s, "HH:mm"));
-      setDuration(differenceInMinutes(fromUTCtoZoned(b.end), s));
-      document.getElementById("personInput")?.focus();
-    }
-    window.addEventListener("load-booking", handleLoad);
-    return () => window.removeEventListener("load-booking", handleLoad);
-  }, []);
+// columnas que se pueden asignar y cabeceras que se reconocen solas
+const CSV_FIELDS = [
+  { key: "date", label: "Fecha", hints: ["fecha", "date", "dia"] },
+  { key: "start", label: "Inicio", hints: ["inicio", "start", "desde", "entrada"] },
+  { key: "end", label: "Fin", hints: ["fin", "end", "hasta", "salida"] },
+  { key: "duration", label: "Duración (min)", hints: ["duracion", "duration", "minutos"] },
+  { key: "room", label: "Despacho", hints: ["despacho", "sala", "room", "ubicacion", "location"] },
+  { key: "person", label: "Persona", hints: ["persona", "nombre", "quien", "person", "name"] },
+  { key: "purpose", label: "Motivo", hints: ["motivo", "asunto", "purpose", "descripcion", "summary"] },
+];
 
-  // opciones de inicio
-  const timeOptions = useMemo(() => {
-    const arr = [];
-    for (let h = settings.startHour; h < settings.endHour; h++) {
-      for (let m = 0; m < 60; m += SLOT_MINUTES) {
-        arr.push(`${String(h).padStart(2, "0")}:${String(m).padStart(2, "0")}`);
-      }
-    }
-    return arr;
-  }, [settings.startHour, settings.endHour]);
+function guessColumns(header) {
+  const used = new Set();
+  const mapping = {};
+  for (const f of CSV_FIELDS) {
+    const idx = header.findIndex(
+      (h, i) => !used.has(i) && f.hints.some((hint) => normalizeLabel(h).includes(hint))
+    );
+    mapping[f.key] = idx >= 0 ? idx : "";
+    if (idx >= 0) used.add(idx);
+  }
+  return mapping;
+}
 
-  async function handleSubmit(e) {
-    e.preventDefault();
-    const [hh, mm] = startTime.split(":").map(Number);
-    const startLocal = setHours(setMinutes(startOfDay(currentDay), mm), hh);
-    const endLocal = addMinutes(startLocal, Number(duration));
+// "2024-03-05", "05/03/2024", "5-3-24" -> día local
+function parseDateCell(s) {
+  const v = String(s).trim();
+  let m = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(v);
+  if (m) return new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+  m = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/.exec(v);
+  if (m) {
+    const year = m[3].length === 2 ? 2000 + Number(m[3]) : Number(m[3]);
+    return new Date(year, Number(m[2]) - 1, Number(m[1]));
+  }
+  return null;
+}
+// "9:00", "09.30", "10h" -> [h, m]
+function parseTimeCell(s) {
+  const m = /^(\d{1,2})(?:[:.h](\d{2})?)?(?::\d{2})?$/.exec(String(s).trim());
+  if (!m || Number(m[1]) > 24 || Number(m[2] || 0) > 59) return null;
+  return [Number(m[1]), Number(m[2] || 0)];
+}
+// celda de hora, que puede traer también la fecha ("2024-03-05 10:00")
+function parseDateTimeCell(s, day) {
+  const parts = String(s).trim().split(/[ T]+/);
+  const date = parts.length > 1 ? parseDateCell(parts[0]) : day;
+  const time = parseTimeCell(parts[parts.length - 1]);
+  if (!date || !time) return null;
+  return setHours(setMinutes(startOfDay(date), time[1]), time[0]);
+}
 
-    const booking = {
-      id: id || uuidv4(),
-      room: Number(room),
-      person: person.trim(),
-      purpose: purpose.trim(),
+function csvToRows(table, columns, tz) {
+  const cell = (r, key) => (columns[key] === "" ? "" : (r[columns[key]] ?? "").trim());
+  return table.slice(1).map((r, i) => {
+    const source = `Fila ${i + 2}`;
+    const day = columns.date === "" ? null : parseDateCell(cell(r, "date"));
+    const startLocal = parseDateTimeCell(cell(r, "start"), day);
+    let endLocal = cell(r, "end") ? parseDateTimeCell(cell(r, "end"), day) : null;
+    if (!endLocal && startLocal && Number(cell(r, "duration")) > 0) {
+      endLocal = addMinutes(startLocal, Number(cell(r, "duration")));
+    }
+    // fin antes que inicio en el mismo día: termina al día siguiente
+    if (startLocal && endLocal && endLocal <= startLocal && !/\d[/.-]/.test(cell(r, "end"))) {
+      endLocal = addDays(endLocal, 1);
+    }
+    const start = startLocal && toUTCISO(startLocal, tz);
+    return {
+      key: source,
+      source,
+      id: start ? uuidv5(`csv|${cell(r, "room")}|${start}`, IMPORT_NAMESPACE) : uuidv4(),
+      location: cell(r, "room"),
+      person: cell(r, "person"),
+      purpose: cell(r, "purpose"),
       startLocal,
       endLocal,
+      error: !startLocal
+        ? "Fecha u hora de inicio no válida"
+        : !endLocal
+        ? "Falta la hora de fin o la duración"
+        : null,
     };
+  });
+}
 
-    const ok = await onSubmit(booking);
-    if (ok) {
-      setId(null);
-      setPurpose("");
-      toast.success("Lista para una nueva reserva");
+// propiedad de fecha del .ics -> fecha en la zona de la oficina. Las TZID
+// que no son IANA (Outlook: "Romance Standard Time") se toman como la oficina.
+function icsPropToZoned(prop, tz) {
+  const d = parseICSDate(prop.value);
+  if (!d) return null;
+  const wall = new Date(d.year, d.month - 1, d.day, d.hours, d.minutes, d.seconds);
+  if (d.dateOnly) return { date: wall, dateOnly: true };
+  let utc = d.utc
+    ? new Date(Date.UTC(d.year, d.month - 1, d.day, d.hours, d.minutes, d.seconds))
+    : zonedTimeToUtc(wall, prop.params.TZID || tz);
+  if (isNaN(utc)) utc = zonedTimeToUtc(wall, tz);
+  return { date: utcToZonedTime(utc, tz), dateOnly: false };
+}
+const icsText = (ev, name) => (ev[name] ? unescapeICS(ev[name][0].value).trim() : "");
+
+// RRULE diaria/semanal -> regla de expandRecurrence; el resto no se admite
+function icsRuleFor(rrule, startLocal, tz) {
+  const r = parseRRule(rrule);
+  if (r.FREQ !== "DAILY" && r.FREQ !== "WEEKLY") return null;
+  const byday = r.BYDAY ? r.BYDAY.split(",") : [];
+  if (byday.some((c) => !WEEKDAY_CODES.includes(c))) return null; // "1MO", "-1FR"…
+  const until = r.UNTIL ? icsPropToZoned({ value: r.UNTIL, params: {} }, tz) : null;
+  return {
+    freq: r.FREQ.toLowerCase(),
+    interval: Number(r.INTERVAL) || 1,
+    weekdays: byday.map((c) => WEEKDAY_CODES.indexOf(c) + 1),
+    until: until
+      ? toDateInput(until.date)
+      : r.COUNT
+      ? null
+      : toDateInput(addDays(startLocal, IMPORT_OPEN_ENDED_DAYS)),
+    count: r.COUNT ? Number(r.COUNT) : null,
+  };
+}
+
+// Nuestros propios .ics ("Reserva <despacho> · <persona>", UID <id>@…) vuelven
+// a la misma reserva; los ajenos usan SUMMARY como motivo.
+function icsToRows(text, tz) {
+  const events = parseICS(text).filter((ev) => icsText(ev, "STATUS").toUpperCase() !== "CANCELLED");
+  // ocurrencias modificadas (RECURRENCE-ID) sustituyen a la generada por la regla
+  const overridden = new Set(
+    events
+      .filter((ev) => ev["RECURRENCE-ID"])
+      .map((ev) => `${icsText(ev, "UID")}|${icsPropToZoned(ev["RECURRENCE-ID"][0], tz)?.date.getTime()}`)
+  );
+  const rows = [];
+  events.forEach((ev, i) => {
+    const uid = icsText(ev, "UID") || `evento-${i}`;
+    const summary = icsText(ev, "SUMMARY");
+    const own = /^Reserva .+ · (.+)$/.exec(summary);
+    const description = icsText(ev, "DESCRIPTION");
+    const organizer = ev.ORGANIZER?.[0].params.CN || "";
+    const base = {
+      source: summary || uid,
+      location: icsText(ev, "LOCATION"),
+      person: own ? own[1] : organizer,
+      purpose: own ? (description === "Reserva de despacho" ? "" : description) : summary,
+    };
+    const start = ev.DTSTART && icsPropToZoned(ev.DTSTART[0], tz);
+    if (!start || start.dateOnly) {
+      rows.push({
+        ...base,
+        key: `${uid}-${i}`,
+        id: uuidv4(),
+        error: start ? "Evento de día completo: indica las horas" : "Sin DTSTART",
+      });
+      return;
+    }
+    const end = ev.DTEND
+      ? icsPropToZoned(ev.DTEND[0], tz)?.date
+      : ev.DURATION
+      ? addMinutes(start.date, parseICSDuration(ev.DURATION[0].value) || 0)
+      : null;
+    const durationMin = end ? differenceInMinutes(end, start.date) : 0;
+
+    let occurrences = [{ startLocal: start.date, endLocal: end }];
+    let warning = null;
+    if (ev.RRULE && !ev["RECURRENCE-ID"]) {
+      const rule = icsRuleFor(ev.RRULE[0].value, start.date, tz);
+      if (rule) {
+        const exdates = (ev.EXDATE || []).flatMap((p) =>
+          p.value.split(",").map((value) => icsPropToZoned({ value, params: p.params }, tz)?.date.getTime())
+        );
+        occurrences = expandRecurrence(start.date, durationMin, rule).filter(
+          (o) =>
+            !exdates.includes(o.startLocal.getTime()) &&
+            !overridden.has(`${uid}|${o.startLocal.getTime()}`)
+        );
+      } else {
+        warning = "Repetición no admitida: solo se importa la primera fecha";
+      }
+    }
+    const ownId = /^([0-9a-f-]{36})@reserva-despachos$/.exec(uid)?.[1];
+    for (const o of occurrences) {
+      const startISO = toUTCISO(o.startLocal, tz);
+      rows.push({
+        ...base,
+        key: `${uid}-${startISO}`,
+        id: ownId && occurrences.length === 1 ? ownId : uuidv5(`${uid}|${startISO}`, IMPORT_NAMESPACE),
+        startLocal: o.startLocal,
+        endLocal: o.endLocal,
+        warning,
+        error: !o.endLocal || o.endLocal <= o.startLocal ? "Fin no válido" : null,
+      });
+    }
+  });
+  return rows;
+}
+
+// despacho por nombre exacto o contenido en la ubicación ("Despacho 2, planta 1")
+function guessRoom(rooms, location) {
+  const label = normalizeLabel(location);
+  if (!label) return "";
+  const exact = rooms.find((r) => normalizeLabel(r.name) === label);
+  if (exact) return exact.id;
+  const contained = [...rooms]
+    .sort((a, b) => b.name.length - a.name.length)
+    .find((r) => label.includes(normalizeLabel(r.name)));
+  return contained?.id ?? "";
+}
+
+// Filas -> estado de la vista previa: error (no se importa), aviso (solo si se
+// marca) u ok. Los choques se buscan en BD y entre las propias filas.
+function checkImportRows(rows, { roomFor, existing, settings, defaultPerson }) {
+  const tz = settings.timezone;
+  const now = utcToZonedTime(new Date(), tz);
+  const accepted = [];
+  return rows.map((r) => {
+    const person = r.person || defaultPerson;
+    const room_id = roomFor(r.location);
+    const row = { ...r, person, room_id, status: "ok", note: r.warning };
+    const fail = (note) => ({ ...row, status: "error", note });
+    if (r.error) return fail(r.error);
+    if (!room_id) return fail(r.location ? `Despacho sin asignar: «${r.location}»` : "Sin despacho");
+    if (settings.requireName && !person.trim()) return fail("Falta la persona");
+    const clashes = (b) =>
+      b.room_id === room_id &&
+      new Date(b.start) < new Date(toUTCISO(r.endLocal, tz)) &&
+      new Date(toUTCISO(r.startLocal, tz)) < new Date(b.end);
+    // la propia reserva (reimportación) no cuenta como choque
+    const hit = existing.find((b) => b.id !== r.id && clashes(b));
+    if (hit) return fail(`Choca con ${describeBooking(hit, tz)}`);
+    const twin = accepted.find(clashes);
+    if (twin) return fail(`Choca con ${twin.source} del archivo`);
+    const closed = closureViolation(settings, { room_id, startLocal: r.startLocal, endLocal: r.endLocal });
+    accepted.push({
+      id: r.id,
+      room_id,
+      source: r.source,
+      start: toUTCISO(r.startLocal, tz),
+      end: toUTCISO(r.endLocal, tz),
+    });
+
+    // horario y cierres solo avisan: si se importa igualmente, lo que siga
+    // cerrado lo rechaza el servidor y cuenta como bloqueada
+    if (closed) return { ...row, status: "warning", note: closed };
+    if (!settings.allowPast && r.endLocal < now) {
+      return { ...row, status: "warning", note: "En el pasado" };
+    }
+    return row;
+  });
+}
+
+const IMPORT_STATUS = {
+  ok: { label: "OK", className: "bg-green-100 text-green-800" },
+  warning: { label: "Aviso", className: "bg-amber-100 text-amber-800" },
+  error: { label: "No", className: "bg-red-100 text-red-800" },
+};
+
+function ImportPanel({ settings, defaultPerson, onDone }) {
+  const tz = settings.timezone;
+  const [fileName, setFileName] = useState("");
+  const [kind, setKind] = useState(null); // "ics" | "csv"
+  const [table, setTable] = useState(null); // CSV en bruto
+  const [columns, setColumns] = useState({});
+  const [icsRows, setIcsRows] = useState([]);
+  const [roomMap, setRoomMap] = useState({}); // ubicación normalizada -> room id
+  const [defaultName, setDefaultName] = useState(defaultPerson || "");
+  const [preview, setPreview] = useState(null);
+  const [includeWarnings, setIncludeWarnings] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [progress, setProgress] = useState(null);
+
+  const activeRooms = useMemo(() => settings.rooms.filter((r) => r.active), [settings.rooms]);
+  const rows = useMemo(
+    () => (kind === "csv" && table ? csvToRows(table, columns, tz) : kind === "ics" ? icsRows : []),
+    [kind, table, columns, icsRows, tz]
+  );
+  const locations = useMemo(
+    () => [...new Set(rows.map((r) => r.location).filter(Boolean))],
+    [rows]
+  );
+
+  // al cambiar el archivo o las asignaciones hay que volver a comprobar
+  useEffect(() => setPreview(null), [rows, roomMap, defaultName]);
+  useEffect(() => {
+    setRoomMap((prev) => {
+      const next = {};
+      for (const loc of locations) {
+        const k = normalizeLabel(loc);
+        next[k] = prev[k] ?? guessRoom(activeRooms, loc);
+      }
+      return next;
+    });
+  }, [locations, activeRooms]);
+
+  async function readFile(e) {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    try {
+      const text = await file.text();
+      const isICS = /\.ics$/i.test(file.name) || text.includes("BEGIN:VCALENDAR");
+      setFileName(file.name);
+      setRoomMap({});
+      if (isICS) {
+        setKind("ics");
+        setIcsRows(icsToRows(text, tz));
+      } else {
+        const parsed = parseCSV(text);
+        if (parsed.length < 2) throw new Error("CSV vacío");
+        setKind("csv");
+        setTable(parsed);
+        setColumns(guessColumns(parsed[0]));
+      }
+    } catch (err) {
+      console.error(err);
+      toast.error("No pude leer el archivo");
     }
   }
 
-  function exportICS() {
-    const [hh, mm] = startTime.split(":").map(Number);
-    const startLocal = setHours(setMinutes(startOfDay(currentDay), mm), hh);
-    const endLocal = addMinutes(startLocal, Number(duration));
-    const roomName = settings.rooms[room] || `Despacho ${room + 1}`;
-    const title = `Reserva ${roomName}${person ? ` · ${person}` : ""}`;
-    const description = purpose || "Reserva de despacho";
-    const ics = generateICS({ title, description, location: roomName, start: startLocal, end: endLocal });
-    const blob = new Blob([ics], { type: "text/calendar;charset=utf-8" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `${format(startLocal, "yyyyMMdd-HHmm")}-${roomName.replace(/\s+/g, "_")}.ics`;
-    a.click();
-    URL.revokeObjectURL(url);
+  async function runPreview() {
+    const valid = rows.filter((r) => r.startLocal && r.endLocal);
+    if (!valid.length) {
+      setPreview(checkImportRows(rows, { roomFor: () => "", existing: [], settings, defaultPerson: defaultName }));
+      return;
+    }
+    setBusy(true);
+    try {
+      const first = valid.reduce((a, r) => (r.startLocal < a ? r.startLocal : a), valid[0].startLocal);
+      const last = valid.reduce((a, r) => (r.endLocal > a ? r.endLocal : a), valid[0].endLocal);
+      const existing = await fetchAllBookingsBetween(toUTCISO(first, tz), toUTCISO(last, tz), {
+        siteId: settings.siteId,
+      });
+      setPreview(
+        checkImportRows(rows, {
+          roomFor: (loc) => roomMap[normalizeLabel(loc)] || "",
+          existing,
+          settings,
+          defaultPerson: defaultName,
+        })
+      );
+    } catch (err) {
+      console.error(err);
+      toast.error("No pude comprobar las reservas existentes");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const toImport = (preview || []).filter(
+    (r) => r.status === "ok" || (includeWarnings && r.status === "warning")
+  );
+  const counts = (preview || []).reduce((acc, r) => ({ ...acc, [r.status]: (acc[r.status] || 0) + 1 }), {});
+
+  // una a una por upsertBooking: misma ruta (y misma constraint) que el formulario
+  async function runImport() {
+    if (!window.confirm(`Se importarán ${toImport.length} reservas. ¿Continuar?`)) return;
+    setBusy(true);
+    let saved = 0;
+    let conflicts = 0;
+    let blocked = 0;
+    let failed = 0;
+    for (const [i, r] of toImport.entries()) {
+      setProgress(`${i + 1}/${toImport.length}`);
+      try {
+        await upsertBooking({
+          id: r.id,
+          room_id: r.room_id,
+          person: r.person,
+          purpose: r.purpose,
+          startLocal: r.startLocal,
+          endLocal: r.endLocal,
+          // reimportar una reserva cancelada la vuelve a activar
+          status: "confirmed",
+        }, tz);
+        saved++;
+      } catch (err) {
+        if (err instanceof BookingConflictError) conflicts++;
+        else if (err.code === PG_POLICY_VIOLATION) blocked++;
+        else {
+          console.error(err);
+          failed++;
+        }
+      }
+    }
+    setBusy(false);
+    setProgress(null);
+    setPreview(null);
+    if (saved) toast.success(`${saved} reservas importadas`);
+    if (conflicts || blocked || failed) {
+      toast.error(`${conflicts + blocked + failed} reservas no se importaron`, {
+        description: [
+          conflicts && `${conflicts} por choques nuevos`,
+          blocked && `${blocked} por las reglas de reserva o el horario`,
+          failed && `${failed} por errores`,
+        ]
+          .filter(Boolean)
+          .join(" · "),
+      });
+    }
+    await onDone?.();
   }
 
   return (
-    <form id="bookingForm" onSubmit={handleSubmit} className="space-y-3">
-      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
-        <div className="space-y-1">
-          <label className="text-sm font-medium flex items-center gap-2">
-            <Building2 className="h-4 w-4" /> Despacho
+    <div className="space-y-3 overflow-y-auto">
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <label className="px-3 py-2 rounded-lg border bg-white hover:bg-slate-50 cursor-pointer flex items-center gap-2">
+          <Upload className="w-4 h-4" />
+          Elegir archivo .ics o .csv
+          <input type="file" accept=".ics,.csv,text/calendar,text/csv" onChange={readFile} className="hidden" />
+        </label>
+        {fileName && (
+          <span className="text-slate-600">
+            {fileName} · {rows.length} reservas
+          </span>
+        )}
+      </div>
+
+      {kind === "csv" && table && (
+        <div className="border rounded-xl p-3 space-y-2">
+          <div className="text-sm font-medium">Columnas</div>
+          <div className="grid grid-cols-2 sm:grid-cols-3 gap-2 text-sm">
+            {CSV_FIELDS.map((f) => (
+              <label key={f.key} className="space-y-1">
+                <span className="text-xs text-slate-600">{f.label}</span>
+                <select
+                  value={columns[f.key]}
+                  onChange={(e) =>
+                    setColumns((c) => ({
+                      ...c,
+                      [f.key]: e.target.value === "" ? "" : Number(e.target.value),
+                    }))
+                  }
+                  className="w-full border rounded-lg px-2 py-1"
+                >
+                  <option value="">—</option>
+                  {table[0].map((h, i) => (
+                    <option key={i} value={i}>
+                      {h || `Columna ${i + 1}`}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+          <p className="text-xs text-slate-500">
+            Fechas como 2024-03-05 o 05/03/2024; horas como 09:30. Inicio y fin pueden
+            incluir la fecha.
+          </p>
+        </div>
+      )}
+
+      {locations.length > 0 && (
+        <div className="border rounded-xl p-3 space-y-2">
+          <div className="text-sm font-medium">Despachos</div>
+          {locations.map((loc) => (
+            <div key={loc} className="flex items-center gap-2 text-sm">
+              <span className="flex-1 truncate">{loc}</span>
+              <select
+                value={roomMap[normalizeLabel(loc)] ?? ""}
+                onChange={(e) =>
+                  setRoomMap((m) => ({ ...m, [normalizeLabel(loc)]: e.target.value }))
+                }
+                className="border rounded-lg px-2 py-1"
+              >
+                <option value="">No importar</option>
+                {activeRooms.map((r) => (
+                  <option key={r.id} value={r.id}>
+                    {r.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {rows.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <label className="flex items-center gap-2">
+            Persona si falta
+            <input
+              value={defaultName}
+              onChange={(e) => setDefaultName(e.target.value)}
+              className="border rounded-lg px-2 py-1"
+            />
           </label>
-          <select
-            value={room}
-            onChange={(e) => setRoom(Number(e.target.value))}
-            className="w-full border rounded-lg px-3 py-2"
+          <button
+            onClick={runPreview}
+            disabled={busy}
+            className="ml-auto px-3 py-2 rounded-lg border bg-white hover:bg-slate-50 disabled:opacity-50"
           >
-            {settings.rooms.map((r, i) => (
-              <option key={i} value={i}>
-                {r}
-              </option>
+            Comprobar
+          </button>
+        </div>
+      )}
+
+      {preview && (
+        <div className="space-y-2">
+          <div className="text-sm text-slate-600">
+            {counts.ok || 0} correctas · {counts.warning || 0} con aviso · {counts.error || 0} no
+            se pueden importar
+          </div>
+          <div className="border rounded-xl max-h-72 overflow-y-auto divide-y">
+            {preview.map((r) => (
+              <div key={r.key} className="px-3 py-2 text-xs flex items-start gap-2">
+                <span className={`px-1.5 rounded ${IMPORT_STATUS[r.status].className}`}>
+                  {IMPORT_STATUS[r.status].label}
+                </span>
+                <div className="flex-1 min-w-0">
+                  <div className="truncate">
+                    {r.startLocal
+                      ? `${format(r.startLocal, "EEE d LLL yyyy HH:mm", { locale: es })}–${
+                          r.endLocal ? timeToLabel(r.endLocal) : "?"
+                        }`
+                      : r.source}
+                    {r.room_id && ` · ${roomNameFor(settings.rooms, r.room_id)}`}
+                    {r.person && ` · ${r.person}`}
+                  </div>
+                  {r.note && <div className="text-slate-500">{r.note}</div>}
+                </div>
+              </div>
             ))}
-          </select>
+          </div>
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            {counts.warning > 0 && (
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={includeWarnings}
+                  onChange={(e) => setIncludeWarnings(e.target.checked)}
+                />
+                Importar también las que tienen aviso
+              </label>
+            )}
+            <button
+              onClick={runImport}
+              disabled={busy || !toImport.length}
+              className="ml-auto px-3 py-2 rounded-lg bg-slate-900 text-white hover:bg-black disabled:opacity-50"
+            >
+              {progress ? `Importando ${progress}…` : `Importar ${toImport.length}`}
+            </button>
+          </div>
         </div>
+      )}
+    </div>
+  );
+}
 
-        <div className="space-y-1">
-          <label className="text-sm font-medium flex items-center gap-2">
-            <Users className="h-4 w-4" /> Nombre / Equipo
-          </label>
+/* ========= Exportar ========= */
+const EXPORT_PERIODS = [
+  ["day", "Día"],
+  ["week", "Semana"],
+  ["month", "Mes"],
+  ["custom", "Personalizado"],
+];
+
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// XLSX guarda fechas sin zona: se pasa la hora de pared de la oficina como si fuera UTC
+const asSheetDate = (d) =>
+  new Date(Date.UTC(d.getFullYear(), d.getMonth(), d.getDate(), d.getHours(), d.getMinutes()));
+
+// columnas comunes a CSV y XLSX; las cabeceras son las que reconoce la importación
+function exportRecords(bookings, rooms, tz) {
+  return bookings.map((b) => {
+    const s = fromUTCtoZoned(b.start, tz);
+    const e = fromUTCtoZoned(b.end, tz);
+    return {
+      booking: b,
+      start: s,
+      end: e,
+      duration: differenceInMinutes(e, s),
+      room: roomNameFor(rooms, b.room_id),
+      person: b.person || "",
+      purpose: b.purpose || "",
+    };
+  });
+}
+
+function toCSV(records) {
+  const quote = (v) => (/[";\r\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v);
+  const lines = [
+    ["Fecha", "Inicio", "Fin", "Duración (min)", "Despacho", "Persona", "Motivo"],
+    ...records.map((r) => [
+      format(r.start, "yyyy-MM-dd"),
+      format(r.start, "HH:mm"),
+      // si acaba otro día, fin con fecha
+      format(r.end, toDateInput(r.end) === toDateInput(r.start) ? "HH:mm" : "yyyy-MM-dd HH:mm"),
+      String(r.duration),
+      r.room,
+      r.person,
+      r.purpose,
+    ]),
+  ];
+  // ";" y BOM: Excel en español lo abre directamente con tildes
+  return "\uFEFF" + lines.map((l) => l.map(quote).join(";")).join("\r\n") + "\r\n";
+}
+
+const XLSX_SCHEMA = [
+  {
+    column: "Fecha",
+    type: Date,
+    format: "dd/mm/yyyy",
+    width: 12,
+    value: (r) => asSheetDate(startOfDay(r.start)),
+  },
+  { column: "Inicio", type: Date, format: "hh:mm", width: 8, value: (r) => asSheetDate(r.start) },
+  {
+    column: "Fin",
+    type: Date,
+    format: "dd/mm/yyyy hh:mm",
+    width: 17,
+    value: (r) => asSheetDate(r.end),
+  },
+  { column: "Duración (min)", type: Number, width: 14, value: (r) => r.duration },
+  { column: "Despacho", type: String, width: 18, value: (r) => r.room },
+  { column: "Persona", type: String, width: 20, value: (r) => r.person },
+  { column: "Motivo", type: String, width: 40, value: (r) => r.purpose },
+];
+
+// un VEVENT por reserva, con el mismo UID que el feed: importarlo no duplica
+function toMultiICS(records, name) {
+  return buildCalendar({
+    name,
+    events: records.map((r) =>
+      buildEvent({
+        uid: bookingUID(r.booking.id),
+        sequence: r.booking.sequence ?? 0,
+        title: `Reserva ${r.room}${r.person ? ` · ${r.person}` : ""}`,
+        description: r.purpose || "Reserva de despacho",
+        location: r.room,
+        start: r.booking.start,
+        end: r.booking.end,
+      })
+    ),
+  });
+}
+
+function ExportPanel({ rooms, siteId, currentDay }) {
+  const tz = useContext(OfficeTimeZone);
+  const [period, setPeriod] = useState("week");
+  const [from, setFrom] = useState(toDateInput(currentDay));
+  const [to, setTo] = useState(toDateInput(currentDay));
+  const [roomId, setRoomId] = useState("");
+  const [person, setPerson] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  // días locales [desde, hasta] incluidos
+  const range = useMemo(() => {
+    if (period === "day") return [startOfDay(currentDay), startOfDay(currentDay)];
+    if (period === "week") {
+      const s = startOfWeek(currentDay, { weekStartsOn: 1 });
+      return [s, addDays(s, 6)];
+    }
+    if (period === "month") return [startOfMonth(currentDay), startOfDay(endOfMonth(currentDay))];
+    return [fromDateInput(from), fromDateInput(to)];
+  }, [period, currentDay, from, to]);
+
+  async function run(kind) {
+    const [first, last] = range;
+    if (last < first) {
+      toast.error("La fecha final es anterior a la inicial");
+      return;
+    }
+    setBusy(true);
+    try {
+      const bookings = await fetchAllBookingsBetween(
+        dayRangeUTC(first, tz).startUTC,
+        dayRangeUTC(last, tz).endUTC,
+        { siteId, roomId, person: person.trim() }
+      );
+      if (!bookings.length) {
+        toast("No hay reservas con esos filtros");
+        return;
+      }
+      const records = exportRecords(bookings, rooms, tz);
+      const label = [
+        format(first, "yyyyMMdd"),
+        ...(last > first ? [format(last, "yyyyMMdd")] : []),
+        ...(roomId ? [roomNameFor(rooms, roomId)] : []),
+        ...(person.trim() ? [person.trim()] : []),
+      ]
+        .join("-")
+        .replace(/\s+/g, "_");
+      const fileName = `reservas-${label}`;
+      if (kind === "csv") {
+        downloadBlob(new Blob([toCSV(records)], { type: "text/csv;charset=utf-8" }), `${fileName}.csv`);
+      } else if (kind === "xlsx") {
+        await writeXlsxFile(records, {
+          schema: XLSX_SCHEMA,
+          sheet: "Reservas",
+          fileName: `${fileName}.xlsx`,
+        });
+      } else {
+        const ics = toMultiICS(records, `Reservas ${label.replace(/_/g, " ")}`);
+        downloadBlob(new Blob([ics], { type: "text/calendar;charset=utf-8" }), `${fileName}.ics`);
+      }
+      toast.success(`${records.length} reservas exportadas`);
+    } catch (err) {
+      console.error(err);
+      toast.error("No se pudo exportar", { description: err.message });
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="space-y-3 text-sm">
+      <div className="flex rounded-lg border overflow-hidden w-fit">
+        {EXPORT_PERIODS.map(([p, label]) => (
+          <button
+            key={p}
+            onClick={() => setPeriod(p)}
+            className={`px-3 py-2 ${period === p ? "bg-slate-900 text-white" : "bg-white hover:bg-slate-50"}`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      {period === "custom" ? (
+        <div className="flex items-center gap-2">
           <input
-            id="personInput"
-            value={person}
-            onChange={(e) => setPerson(e.target.value)}
-            placeholder="p. ej. Diego / Marketing"
-            className="w-full border rounded-lg px-3 py-2"
+            type="date"
+            value={from}
+            onChange={(e) => setFrom(e.target.value)}
+            className="border rounded-lg px-2 py-1"
+          />
+          –
+          <input
+            type="date"
+            value={to}
+            min={from}
+            onChange={(e) => setTo(e.target.value)}
+            className="border rounded-lg px-2 py-1"
           />
         </div>
-
-        <div className="space-y-1">
-          <label className="text-sm font-medium flex items-center gap-2">
-            <Clock className="h-4 w-4" /> Inicio
-          </label>
+      ) : (
+        <p className="text-slate-600">
+          {format(range[0], "d LLL yyyy", { locale: es })}
+          {range[1] > range[0] && ` – ${format(range[1], "d LLL yyyy", { locale: es })}`}
+        </p>
+      )}
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <label className="space-y-1">
+          <span className="text-xs text-slate-600">Despacho</span>
           <select
-            value={startTime}
-            onChange={(e) => setStartTime(e.target.value)}
-            className="w-full border rounded-lg px-3 py-2"
+            value={roomId}
+            onChange={(e) => setRoomId(e.target.value)}
+            className="w-full border rounded-lg px-2 py-1"
           >
-            {timeOptions.map((t) => (
-              <option key={t} value={t}>
-                {t}
+            <option value="">Todos</option>
+            {rooms.map((r) => (
+              <option key={r.id} value={r.id}>
+                {r.name}
+                {!r.active && " (archivado)"}
               </option>
             ))}
           </select>
+        </label>
+        <label className="space-y-1">
+          <span className="text-xs text-slate-600">Persona</span>
+          <input
+            value={person}
+            onChange={(e) => setPerson(e.target.value)}
+            placeholder="Todas"
+            className="w-full border rounded-lg px-2 py-1"
+          />
+        </label>
+      </div>
+      <div className="flex justify-end gap-2">
+        {[
+          ["csv", "CSV"],
+          ["xlsx", "Excel"],
+          ["ics", "Calendario .ics"],
+        ].map(([kind, label]) => (
+          <button
+            key={kind}
+            onClick={() => run(kind)}
+            disabled={busy}
+            className="px-3 py-2 rounded-lg border bg-white hover:bg-slate-50 flex items-center gap-2 disabled:opacity-50"
+          >
+            <Download className="w-4 h-4" />
+            {label}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/* ========= Estadísticas ========= */
+const ANALYTICS_PERIODS = [
+  ["month", "Este mes"],
+  ["4weeks", "Últimas 4 semanas"],
+  ["quarter", "Últimos 3 meses"],
+  ["year", "Este año"],
+  ["custom", "Personalizado"],
+];
+const percent = (ratio) => `${Math.round((Number(ratio) || 0) * 100)} %`;
+
+function AnalyticsPanel({ settings, currentDay }) {
+  const siteId = settings.siteId;
+  const [period, setPeriod] = useState("month");
+  const [from, setFrom] = useState(toDateInput(startOfMonth(currentDay)));
+  const [to, setTo] = useState(toDateInput(currentDay));
+  const [data, setData] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const range = useMemo(() => {
+    const today = startOfDay(currentDay);
+    if (period === "month") return [startOfMonth(today), startOfDay(endOfMonth(today))];
+    if (period === "4weeks") return [addDays(today, -27), today];
+    if (period === "quarter") return [addDays(subMonths(today, 3), 1), today];
+    if (period === "year") {
+      return [new Date(today.getFullYear(), 0, 1), new Date(today.getFullYear(), 11, 31)];
+    }
+    return [fromDateInput(from), fromDateInput(to)];
+  }, [period, currentDay, from, to]);
+  const rangeKey = range.map(toDateInput).join("|");
+
+  useEffect(() => {
+    const [first, last] = range;
+    if (!siteId || last < first) return;
+    let cancelled = false;
+    setBusy(true);
+    fetchAnalytics(toDateInput(first), toDateInput(last), siteId)
+      .then((d) => !cancelled && setData(d))
+      .catch((err) => {
+        console.error(err);
+        toast.error("No pude calcular las estadísticas");
+      })
+      .finally(() => !cancelled && setBusy(false));
+    return () => {
+      cancelled = true;
+    };
+  }, [rangeKey, siteId]);
+
+  const weeks = data ? [...new Set(data.occupancy.map((o) => o.week_start))] : [];
+  const roomIds = data ? [...new Set(data.occupancy.map((o) => o.room_id))] : [];
+  const occupancyOf = (roomId, week) =>
+    data.occupancy.find((o) => o.room_id === roomId && o.week_start === week);
+  const hours = Array.from(
+    { length: Math.max(0, Math.ceil(settings.endHour) - settings.startHour) },
+    (_, i) => settings.startHour + i
+  );
+  const peakOf = (weekday, hour) =>
+    data.peaks.find((p) => p.weekday === weekday && p.hour === hour);
+  const maxPersonMinutes = data
+    ? Math.max(1, ...data.people.map((p) => Number(p.booked_minutes)))
+    : 1;
+
+  return (
+    <div className="space-y-4 overflow-y-auto text-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        <div className="flex rounded-lg border overflow-hidden">
+          {ANALYTICS_PERIODS.map(([p, label]) => (
+            <button
+              key={p}
+              onClick={() => setPeriod(p)}
+              className={`px-3 py-2 ${period === p ? "bg-slate-900 text-white" : "bg-white hover:bg-slate-50"}`}
+            >
+              {label}
+            </button>
+          ))}
         </div>
+        {period === "custom" && (
+          <div className="flex items-center gap-2">
+            <input
+              type="date"
+              value={from}
+              onChange={(e) => setFrom(e.target.value)}
+              className="border rounded-lg px-2 py-1"
+            />
+            –
+            <input
+              type="date"
+              value={to}
+              min={from}
+              onChange={(e) => setTo(e.target.value)}
+              className="border rounded-lg px-2 py-1"
+            />
+          </div>
+        )}
+        {busy && <span className="text-slate-500">Calculando…</span>}
+      </div>
+
+      {data && (
+        <>
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+            {[
+              ["Reservas", data.summary.confirmed ?? 0],
+              ["Canceladas", data.summary.cancelled ?? 0],
+              ["Tasa de cancelación", percent(data.summary.cancellation_rate)],
+              [
+                "Duración media",
+                data.summary.avg_minutes ? formatFree(Number(data.summary.avg_minutes)) : "—",
+              ],
+            ].map(([label, value]) => (
+              <div key={label} className="border rounded-xl p-3">
+                <div className="text-xs text-slate-500">{label}</div>
+                <div className="text-lg font-semibold">{value}</div>
+              </div>
+            ))}
+          </div>
+
+          <section className="space-y-2">
+            <h4 className="font-medium">Ocupación por despacho y semana</h4>
+            <div className="overflow-x-auto">
+              <table className="text-xs">
+                <thead>
+                  <tr>
+                    <th className="text-left pr-2 font-normal text-slate-500">Despacho</th>
+                    {weeks.map((w) => (
+                      <th key={w} className="px-1 font-normal text-slate-500 whitespace-nowrap">
+                        {format(parseISO(w), "d LLL", { locale: es })}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {roomIds.map((id) => (
+                    <tr key={id}>
+                      <td className="pr-2 whitespace-nowrap">{roomNameFor(settings.rooms, id)}</td>
+                      {weeks.map((w) => {
+                        const o = occupancyOf(id, w);
+                        return (
+                          <td key={w} className="p-0.5">
+                            <div
+                              className={`w-12 py-1 rounded border text-center ${heatClass(
+                                Number(o?.occupancy || 0)
+                              )}`}
+                              title={
+                                o
+                                  ? `${formatFree(Number(o.booked_minutes))} de ${formatFree(
+                                      o.available_minutes
+                                    )}`
+                                  : ""
+                              }
+                            >
+                              {percent(o?.occupancy)}
+                            </div>
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </section>
+
+          <section className="space-y-2">
+            <h4 className="font-medium">Horas punta</h4>
+            <div className="overflow-x-auto">
+              <table className="text-xs">
+                <thead>
+                  <tr>
+                    <th />
+                    {hours.map((h) => (
+                      <th key={h} className="font-normal text-slate-500">
+                        {h}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {WEEKDAY_LETTERS.map((letter, i) => (
+                    <tr key={letter}>
+                      <td className="pr-2 text-slate-500">{letter}</td>
+                      {hours.map((h) => {
+                        const p = peakOf(i + 1, h);
+                        return (
+                          <td key={h} className="p-0.5">
+                            <div
+                              className={`w-6 h-6 rounded border ${heatClass(Number(p?.occupancy || 0))}`}
+                              title={`${WEEKDAY_LETTERS[i]} ${h}:00 · ${percent(p?.occupancy)}`}
+                            />
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </section>
+
+          <section className="space-y-2">
+            <h4 className="font-medium">Quién reserva más</h4>
+            {data.people.length === 0 ? (
+              <p className="text-slate-500">Sin reservas en el periodo</p>
+            ) : (
+              <ul className="space-y-1">
+                {data.people.map((p) => (
+                  <li key={p.person} className="flex items-center gap-2">
+                    <span className="w-40 truncate">{p.person}</span>
+                    <div className="flex-1 h-3 bg-slate-100 rounded">
+                      <div
+                        className="h-3 bg-sky-400 rounded"
+                        style={{ width: `${(Number(p.booked_minutes) / maxPersonMinutes) * 100}%` }}
+                      />
+                    </div>
+                    <span className="w-44 text-right text-xs text-slate-600">
+                      {p.bookings} · {formatFree(Number(p.booked_minutes))}
+                      {p.cancelled > 0 && ` · ${p.cancelled} canc.`}
+                      {p.no_shows > 0 && ` · ${p.no_shows} ausencias`}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </section>
+        </>
+      )}
+    </div>
+  );
+}
+
+/* ========= Lista de espera ========= */
+function WaitlistPanel({ entries, rooms, onClaim, onLeave }) {
+  const tz = useContext(OfficeTimeZone);
+  if (!entries.length) {
+    return <p className="text-sm text-slate-500">No estás esperando ningún hueco</p>;
+  }
+  return (
+    <ul className="space-y-2 overflow-y-auto">
+      {entries.map((w) => {
+        const offered = w.status === "offered";
+        return (
+          <li
+            key={w.id}
+            className={`border rounded-lg p-2 flex items-center gap-2 text-sm ${
+              offered ? "border-green-300 bg-green-50" : ""
+            }`}
+          >
+            <div className="flex-1 min-w-0">
+              <div className="font-medium truncate">{roomNameFor(rooms, w.room_id)}</div>
+              <div className="text-xs text-slate-600">{describeBooking(w, tz)}</div>
+              <div className="text-xs text-slate-500">
+                {offered
+                  ? `Libre para ti hasta las ${timeToLabel(fromUTCtoZoned(w.offer_expires_at, tz))}`
+                  : "Esperando a que se libere"}
+              </div>
+            </div>
+            {offered && (
+              <button
+                onClick={() => onClaim(w)}
+                className="px-2 py-1 rounded-lg bg-green-600 text-white text-[11px]"
+              >
+                Reservar
+              </button>
+            )}
+            <button onClick={() => onLeave(w)} className="px-2 py-1 rounded-lg border text-[11px]">
+              {offered ? "No lo quiero" : "Salir"}
+            </button>
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
 
-        <div className="space-y-1">
-          <label className="text-sm font-medium">Duración</label>
-          <select
-            onChange={(e) => setDuration(Number(e.target.value))}
-            className="w-full border rounded-lg px-3 py-2"
-            defaultValue={60}
+/* ========= Invitaciones ========= */
+// reuniones a las que me han invitado (de cualquier sede)
+function InvitationsPanel({ invitations, rooms, onRespond }) {
+  const tz = useContext(OfficeTimeZone);
+  if (!invitations.length) {
+    return <p className="text-sm text-slate-500">No tienes invitaciones pendientes</p>;
+  }
+  return (
+    <ul className="space-y-2 overflow-y-auto">
+      {invitations.map(({ id, response, booking: b }) => (
+        <li
+          key={id}
+          className={`border rounded-lg p-2 flex items-center gap-2 text-sm ${
+            response === "pending" ? "border-amber-300 bg-amber-50" : ""
+          }`}
+        >
+          <div className="flex-1 min-w-0">
+            <div className="font-medium truncate">{roomNameFor(rooms, b.room_id)}</div>
+            <div className="text-xs text-slate-600">{describeBooking(b, tz)}</div>
+            <div className="text-xs text-slate-500 truncate">
+              {b.purpose ? `${b.purpose} · ` : ""}
+              {ATTENDEE_RESPONSES[response]}
+            </div>
+          </div>
+          <button
+            onClick={() => onRespond(b, "accepted")}
+            disabled={response === "accepted"}
+            className="px-2 py-1 rounded-lg bg-green-600 text-white text-[11px] disabled:opacity-40"
           >
-            {[30, 60, 90, 120, 180, 240].map((d) => (
-              <option key={d} value={d}>
-                {d} min
-              </option>
-            ))}
-          </select>
-        </div>
-      </div>
+            Asistiré
+          </button>
+          <button
+            onClick={() => onRespond(b, "declined")}
+            disabled={response === "declined"}
+            className="px-2 py-1 rounded-lg border text-[11px] disabled:opacity-40"
+          >
+            No asistiré
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+}
 
-      <div className="space-y-1">
-        <label className="text-sm font-medium">Motivo (opcional)</label>
-        <textarea
-          value={purpose}
-          onChange={(e) => setPurpose(e.target.value)}
-          placeholder="Reunión cliente / Focus / Llamada"
-          rows={3}
-          className="w-full border rounded-lg px-3 py-2"
-        />
-      </div>
+/* ========= Historial y actividad ========= */
+const AUDIT_ACTIONS = {
+  create: { label: "Creada", className: "bg-green-100 text-green-800" },
+  update: { label: "Modificada", className: "bg-slate-100 text-slate-700" },
+  cancel: { label: "Cancelada", className: "bg-red-100 text-red-800" },
+  no_show: { label: "Liberada (no-show)", className: "bg-amber-100 text-amber-800" },
+  restore: { label: "Reactivada", className: "bg-green-100 text-green-800" },
+  delete: { label: "Borrada", className: "bg-red-100 text-red-800" },
+};
+const AUDIT_FIELDS = {
+  room_id: "Despacho",
+  person: "Persona",
+  purpose: "Motivo",
+  start: "Inicio",
+  end: "Fin",
+  status: "Estado",
+  checked_in_at: "Check-in",
+  series_id: "Serie",
+  owner_id: "Propietario",
+};
+const AUDIT_STATUS = { confirmed: "vigente", cancelled: "cancelada", no_show: "no-show" };
 
-      <div className="flex items-center gap-2">
-        <button
-          type="submit"
-          className="px-3 py-2 rounded-lg bg-slate-900 text-white hover:bg-black text-sm"
-        >
-          Guardar
-        </button>
-        <button
-          type="button"
-          onClick={exportICS}
-          className="px-3 py-2 rounded-lg border bg-white hover:bg-slate-50 text-sm flex items-center gap-2"
-        >
-          <Download className="h-4 w-4" /> .ics
-        </button>
-      </div>
+// "Inicio: 03/03/2025 10:00 → 03/03/2025 11:00" por cada campo conocido
+function describeAuditChanges(entry, rooms, tz) {
+  const show = (field, value) => {
+    if (value == null || value === "") return "—";
+    if (field === "room_id") return roomNameFor(rooms, value);
+    if (field === "status") return AUDIT_STATUS[value] || value;
+    if (["start", "end", "checked_in_at"].includes(field)) {
+      return format(fromUTCtoZoned(value, tz), "dd/MM/yyyy HH:mm");
+    }
+    // ids: basta con poder distinguirlos
+    if (field === "series_id" || field === "owner_id") return `…${String(value).slice(-6)}`;
+    return String(value);
+  };
+  return entry.changed
+    .filter((f) => AUDIT_FIELDS[f])
+    .map((f) => `${AUDIT_FIELDS[f]}: ${show(f, entry.before?.[f])} → ${show(f, entry.after?.[f])}`);
+}
 
-      {id && <p className="text-xs text-slate-500">Editando reserva existente</p>}
-    </form>
+function AuditEntry({ entry, rooms, showBooking = false }) {
+  const tz = useContext(OfficeTimeZone);
+  const action = AUDIT_ACTIONS[entry.action] || AUDIT_ACTIONS.update;
+  const snapshot = entry.after || entry.before;
+  return (
+    <li className="border rounded-lg p-2 text-sm space-y-1">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className={`px-1.5 rounded text-[11px] font-medium ${action.className}`}>
+          {action.label}
+        </span>
+        <span className="text-slate-700">{entry.actor_name || "Sistema"}</span>
+        <span className="ml-auto text-xs text-slate-500 tabular-nums">
+          {format(fromUTCtoZoned(entry.at, tz), "dd/MM/yyyy HH:mm:ss")}
+        </span>
+      </div>
+      {showBooking && snapshot && (
+        <div className="text-xs text-slate-600">
+          {roomNameFor(rooms, snapshot.room_id)} · {describeBooking(snapshot, tz)}
+        </div>
+      )}
+      {entry.action === "update" && (
+        <ul className="text-xs text-slate-600">
+          {describeAuditChanges(entry, rooms, tz).map((line) => (
+            <li key={line}>{line}</li>
+          ))}
+        </ul>
+      )}
+    </li>
   );
 }
 
-/* ========= Timeline columnas: rooms lado a lado ========= */
-function RoomsSideBySideTimeline({
-  day,
-  rooms,
-  bookings,
-  startHour = 8,
-  endHour = 22,
-  onEdit,
-  onDelete,
-}) {
-  const dayStart = setHours(setMinutes(startOfDay(day), 0), startHour);
-  const dayEnd = setHours(setMinutes(startOfDay(day), 0), endHour);
-  const totalMinutes = minutesBetween(dayStart, dayEnd);
-  const railHeight = totalMinutes * PX_PER_MIN;
+function BookingHistory({ bookingId, rooms }) {
+  const [entries, setEntries] = useState(null);
 
-  // Marcas horarias
-  const hours = [];
-  for (let h = startHour; h <= endHour; h++) {
-    hours.push(setHours(setMinutes(startOfDay(day), 0), h));
+  useEffect(() => {
+    fetchBookingHistory(bookingId)
+      .then(setEntries)
+      .catch((err) => {
+        console.error(err);
+        toast.error("No se pudo cargar el historial");
+      });
+  }, [bookingId]);
+
+  if (!entries) return <p className="text-sm text-slate-500">Cargando…</p>;
+  if (!entries.length) {
+    return <p className="text-sm text-slate-500">Sin cambios registrados.</p>;
   }
+  return (
+    <ul className="space-y-2 overflow-y-auto">
+      {entries.map((e) => (
+        <AuditEntry key={e.id} entry={e} rooms={rooms} />
+      ))}
+    </ul>
+  );
+}
 
-  // Agrupar reservas por room
-  const grouped = rooms.map((_, i) => bookings.filter((b) => b.room === i));
+// lo más reciente primero; "Ver más" pide la página anterior
+function ActivityFeed({ rooms }) {
+  const [entries, setEntries] = useState([]);
+  const [hasMore, setHasMore] = useState(true);
+  const [busy, setBusy] = useState(false);
 
-  const COL_W = 260; // ancho por despacho
-  const GUTTER_W = 68; // barra horaria
+  async function loadMore(beforeId = null) {
+    setBusy(true);
+    try {
+      const page = await fetchActivity(beforeId);
+      setEntries((prev) => (beforeId ? [...prev, ...page] : page));
+      setHasMore(page.length === ACTIVITY_PAGE);
+    } catch (err) {
+      console.error(err);
+      toast.error("No se pudo cargar la actividad");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  useEffect(() => {
+    loadMore();
+  }, []);
 
   return (
-    <div className="overflow-x-auto">
-      <div
-        className="relative bg-white rounded-xl"
-        style={{ height: railHeight, width: GUTTER_W + rooms.length * COL_W }}
-      >
-        {/* Barra de horas a la izquierda */}
-        <div
-          className="absolute left-0 top-0 bg-white border-r"
-          style={{ width: GUTTER_W, height: railHeight }}
-        >
-          {hours.map((t, i) => {
-            const top = minutesBetween(dayStart, t) * PX_PER_MIN;
-            return (
-              <div key={i} className="absolute left-0 right-0" style={{ top }}>
-                <div className="absolute left-2 -translate-y-1/2 text-[11px] text-slate-500">
-                  {timeToLabel(t)}
-                </div>
-              </div>
-            );
-          })}
+    <div className="flex flex-col gap-2 min-h-0">
+      <ul className="space-y-2 overflow-y-auto">
+        {entries.map((e) => (
+          <AuditEntry key={e.id} entry={e} rooms={rooms} showBooking />
+        ))}
+      </ul>
+      {!busy && !entries.length && (
+        <p className="text-sm text-slate-500">Todavía no hay actividad registrada.</p>
+      )}
+      {hasMore && entries.length > 0 && (
+        <div className="flex justify-center">
+          <button
+            onClick={() => loadMore(entries[entries.length - 1].id)}
+            disabled={busy}
+            className="px-3 py-2 rounded-lg border text-sm hover:bg-slate-50 disabled:opacity-50"
+          >
+            {busy ? "Cargando…" : "Ver más"}
+          </button>
         </div>
+      )}
+    </div>
+  );
+}
 
-        {/* Área de columnas */}
-        <div className="absolute top-0 right-0" style={{ left: GUTTER_W, height: railHeight }}>
-          {/* Líneas horizontales globales */}
-          <div className="absolute inset-0 pointer-events-none">
-            {hours.map((t, i) => {
-              const top = minutesBetween(dayStart, t) * PX_PER_MIN;
-              return (
-                <div
-                  key={i}
-                  className="absolute left-0 right-0 border-t border-slate-100"
-                  style={{ top }}
-                />
-              );
-            })}
-          </div>
+/* ========= Feeds .ics ========= */
+const FEED_URL = `${import.meta.env.VITE_SUPABASE_URL}/functions/v1/ics-feed`;
 
-          <div className="relative h-full flex">
-            {rooms.map((roomName, idx) => (
-              <div
-                key={idx}
-                className="relative h-full border-l border-slate-200"
-                style={{ width: COL_W }}
-              >
-                {/* Cabecera fija de columna */}
-                <div className="absolute left-0 right-0 top-0 z-10">
-                  <div className="px-3 py-2 text-sm font-semibold text-slate-700 bg-white/80 backdrop-blur border-b">
-                    {roomName}
-                  </div>
-                </div>
+function FeedLinks({ userId, site, rooms, person }) {
+  const [token, setToken] = useState(null);
 
-                {/* Pista de reservas (dejamos 36px para cabecera) */}
-                <div className="absolute left-0 right-0" style={{ top: 36, bottom: 0 }}>
-                  {grouped[idx].map((b) => {
-                    const s = fromUTCtoZoned(b.start);
-                    const e = fromUTCtoZoned(b.end);
-                    const clampedStart = s < dayStart ? dayStart : s;
-                    const clampedEnd = e > dayEnd ? dayEnd : e;
-                    const top =
-                      minutesBetween(dayStart, clampedStart) * PX_PER_MIN - 36;
-                    const height = Math.max(
-                      28,
-                      minutesBetween(clampedStart, clampedEnd) * PX_PER_MIN
-                    );
-                    return (
-                      <div
-                        key={b.id}
-                        className="absolute left-2 right-2 p-2 rounded-2xl border bg-white shadow-sm flex flex-col gap-1"
-                        style={{ top, height }}
-                      >
-                        <div className="text-sm font-semibold text-slate-900 truncate">
-                          {b.person || "Reserva"}
-                        </div>
-                        <div className="text-xs text-slate-700 break-words line-clamp-2">
-                          {b.purpose || "—"}
-                        </div>
-                        <div className="text-[11px] text-slate-500 mt-auto">
-                          {timeToLabel(fromUTCtoZoned(b.start))}–
-                          {timeToLabel(fromUTCtoZoned(b.end))}
-                        </div>
-                        <div className="flex flex-wrap items-center gap-1 mt-1">
-                          <button
-                            onClick={() => onEdit(b)}
-                            className="px-2 py-1 rounded-lg bg-slate-900 text-white text-[11px]"
-                          >
-                            Editar
-                          </button>
-                          <button
-                            onClick={() => onDelete(b.id)}
-                            className="px-2 py-1 rounded-lg border text-[11px]"
-                          >
-                            Cancelar
-                          </button>
-                          <button
-                            onClick={() => downloadICSForBookingLocal(b)}
-                            className="px-2 py-1 rounded-lg border text-[11px]"
-                          >
-                            ICS
-                          </button>
-                          <CopyButtonLocal booking={b} />
-                        </div>
-                      </div>
-                    );
-                  })}
-                </div>
-              </div>
-            ))}
-          </div>
-        </div>
+  useEffect(() => {
+    fetchFeedToken(userId)
+      .then(setToken)
+      .catch((err) => {
+        console.error(err);
+        toast.error("No se pudo obtener el enlace de suscripción");
+      });
+  }, [userId]);
+
+  async function regenerate() {
+    if (!window.confirm("Los enlaces anteriores dejarán de funcionar. ¿Continuar?")) return;
+    try {
+      setToken(await regenerateFeedToken(userId));
+      toast.success("Enlaces renovados");
+    } catch (err) {
+      console.error(err);
+      toast.error("No se pudieron renovar los enlaces");
+    }
+  }
+
+  if (!token) return <p className="text-sm text-slate-500">Cargando…</p>;
+
+  const feeds = [
+    ...(site ? [{ label: `Toda la sede (${site.name})`, query: `&site=${site.slug}` }] : []),
+    { label: "Todas las sedes", query: "" },
+    { label: `Mis reservas (${person})`, query: `&person=${encodeURIComponent(person)}` },
+    ...rooms.map((r) => ({ label: r.name, query: `&room=${r.id}` })),
+  ];
+
+  return (
+    <div className="space-y-3 overflow-y-auto">
+      <p className="text-sm text-slate-600">
+        Añade estos enlaces en Outlook o Google Calendar («Desde URL»). Se actualizan
+        solos: las modificaciones y cancelaciones aparecen sin volver a importar.
+      </p>
+      <ul className="space-y-2">
+        {feeds.map((f) => {
+          const url = `${FEED_URL}?token=${token}${f.query}`;
+          return (
+            <li key={f.label} className="border rounded-lg p-2 flex items-center gap-2">
+              <span className="text-sm font-medium flex-1 truncate">{f.label}</span>
+              <a
+                href={url.replace(/^https?:/, "webcal:")}
+                className="px-2 py-1 rounded-lg text-[11px] border flex items-center gap-1"
+              >
+                <CalendarIcon className="h-3 w-3" /> Abrir
+              </a>
+              <button
+                onClick={() =>
+                  navigator.clipboard.writeText(url).then(() => toast("Enlace copiado"))
+                }
+                className="px-2 py-1 rounded-lg text-[11px] border flex items-center gap-1"
+              >
+                <Copy className="h-3 w-3" /> Copiar
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+      <div className="flex justify-end">
+        <button
+          onClick={regenerate}
+          className="px-3 py-2 rounded-lg border text-sm hover:bg-slate-50"
+        >
+          Renovar enlaces
+        </button>
       </div>
     </div>
   );
 }
 
-/* ========= Ajustes ========= */
-function SettingsPanel({ settings, setSettings, onClose }) {
-  const [local, setLocal] = useState(settings);
-  useEffect(() => setLocal(settings), [settings]);
+/* ========= Avisos por correo ========= */
+const NOTIFICATION_OPTIONS = [
+  ["on_created", "Cuando se confirma una reserva mía"],
+  ["on_updated", "Cuando se modifica"],
+  ["on_cancelled", "Cuando se cancela o se libera"],
+  ["on_reminder", "Recordatorio 15 minutos antes de empezar"],
+  ["on_invited", "Cuando me invitan a una reunión"],
+];
 
-  function save() {
-    setSettings(local);
-    toast.success("Ajustes guardados");
-    onClose?.();
+function NotificationPrefs({ userId, email, onClose }) {
+  const [prefs, setPrefs] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchNotificationPrefs(userId)
+      .then(setPrefs)
+      .catch((err) => {
+        console.error(err);
+        toast.error("No se pudieron cargar tus avisos");
+      });
+  }, [userId]);
+
+  async function save() {
+    setSaving(true);
+    try {
+      await saveNotificationPrefs(userId, prefs);
+      toast.success("Avisos guardados");
+      onClose();
+    } catch (err) {
+      console.error(err);
+      toast.error("No se pudieron guardar los avisos");
+    } finally {
+      setSaving(false);
+    }
   }
 
+  if (!prefs) return <p className="text-sm text-slate-500">Cargando…</p>;
+
   return (
-    <div className="space-y-4">
-      <div>
-        <div className="text-sm font-medium mb-2">Nombres de despachos</div>
-        <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
-          {local.rooms.map((r, i) => (
+    <div className="space-y-3">
+      <p className="text-sm text-slate-600">
+        Se envían a <span className="font-medium">{email}</span> con la reserva adjunta
+        (.ics) para añadirla o actualizarla en tu calendario.
+      </p>
+      <div className="space-y-2">
+        {NOTIFICATION_OPTIONS.map(([key, label]) => (
+          <label key={key} className="flex items-center gap-2 text-sm">
             <input
-              key={i}
-              value={r}
-              onChange={(e) => {
-                const copy = [...local.rooms];
-                copy[i] = e.target.value;
-                setLocal({ ...local, rooms: copy });
-              }}
-              className="border rounded-lg px-3 py-2"
+              type="checkbox"
+              checked={prefs[key]}
+              onChange={(e) => setPrefs((p) => ({ ...p, [key]: e.target.checked }))}
             />
-          ))}
-        </div>
-      </div>
-
-      <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
-        <div>
-          <label className="text-sm">Hora inicio</label>
-          <input
-            type="number"
-            min={0}
-            max={23}
-            value={local.startHour}
-            onChange={(e) =>
-              setLocal({ ...local, startHour: Number(e.target.value) })
-            }
-            className="w-full border rounded-lg px-3 py-2"
-          />
-        </div>
-        <div>
-          <label className="text-sm">Hora fin</label>
-          <input
-            type="number"
-            min={1}
-            max={24}
-            value={local.endHour}
-            onChange={(e) =>
-              setLocal({ ...local, endHour: Number(e.target.value) })
-            }
-            className="w-full border rounded-lg px-3 py-2"
-          />
-        </div>
-        <div className="flex items-center gap-2 mt-6">
-          <input
-            type="checkbox"
-            checked={local.requireName}
-            onChange={(e) =>
-              setLocal({ ...local, requireName: e.target.checked })
-            }
-          />
-          <span className="text-sm">Requerir nombre</span>
-        </div>
-      </div>
-
-      <div className="flex items-center gap-2">
-        <input
-          type="checkbox"
-          checked={local.allowPast}
-          onChange={(e) =>
-            setLocal({ ...local, allowPast: e.target.checked })
-          }
-        />
-        <span className="text-sm">Permitir reservas en pasado</span>
+            {label}
+          </label>
+        ))}
       </div>
-
-      <div className="flex items-center justify-end gap-2">
-        <button onClick={onClose} className="px-3 py-2 rounded-lg border">
+      <div className="flex justify-end gap-2">
+        <button onClick={onClose} className="px-3 py-2 rounded-lg border text-sm hover:bg-slate-50">
           Cancelar
         </button>
-        <button onClick={save} className="px-3 py-2 rounded-lg bg-slate-900 text-white">
+        <button
+          onClick={save}
+          disabled={saving}
+          className="px-3 py-2 rounded-lg bg-slate-900 text-white text-sm disabled:opacity-50"
+        >
           Guardar
         </button>
       </div>
@@ -847,14 +6671,78 @@ function SettingsPanel({ settings, setSettings, onClose }) {
   );
 }
 
+/* ========= Ámbito de series ========= */
+function SeriesScopeDialog({ action, onChoose, onClose }) {
+  const verb = action === "edit" ? "Editar" : "Cancelar";
+  const options = [
+    ["this", "Solo esta fecha"],
+    ["following", "Esta y las siguientes"],
+    ["series", "Toda la serie"],
+  ];
+  return (
+    <div className="fixed inset-0 bg-black/30 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-sm p-4 border">
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="text-lg font-semibold">{verb} reserva periódica</h3>
+          <button onClick={onClose} className="p-2 hover:bg-slate-100 rounded-lg">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+        <div className="flex flex-col gap-2">
+          {options.map(([scope, label]) => (
+            <button
+              key={scope}
+              onClick={() => onChoose(scope)}
+              className="px-3 py-2 rounded-lg border bg-white hover:bg-slate-50 text-sm text-left"
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
 /* ========= Copiar / ICS ========= */
-function downloadICSForBookingLocal(b) {
-  const s = fromUTCtoZoned(b.start);
-  const e = fromUTCtoZoned(b.end);
-  const roomName = `Despacho ${b.room + 1}`;
+// en una reserva periódica se descarga la serie completa (RRULE + EXDATE)
+// descripción del .ics: el calendario muestra la hora local de quien lo abre,
+// así que se deja también la de la oficina
+function icsDescription(purpose, startLocal, endLocal, tz) {
+  return `${purpose || "Reserva de despacho"}\nHora de la oficina (${tz}): ${format(
+    startLocal,
+    "d LLL yyyy HH:mm",
+    { locale: es }
+  )}–${timeToLabel(endLocal)}`;
+}
+async function downloadICSForBookingLocal(b, roomName, tz) {
+  let series = null;
+  if (b.series_id) {
+    try {
+      series = await fetchSeries(b.series_id);
+    } catch (err) {
+      console.error(err);
+      toast.error("No pude cargar la serie");
+      return;
+    }
+  }
+  const s = fromUTCtoZoned(series ? series.dtstart : b.start, tz);
+  const e = series ? addMinutes(s, series.duration_minutes) : fromUTCtoZoned(b.end, tz);
   const title = `Reserva ${roomName}${b.person ? ` · ${b.person}` : ""}`;
-  const description = b.purpose || "Reserva de despacho";
-  const ics = generateICS({ title, description, location: roomName, start: s, end: e });
+  const description = icsDescription(b.purpose, s, e, tz);
+  const ics = generateICS({
+    title,
+    description,
+    location: roomName,
+    // las series van en hora de pared + TZID; una reserva suelta, en UTC
+    start: series ? s : zonedTimeToUtc(s, tz),
+    end: series ? e : zonedTimeToUtc(e, tz),
+    tzid: tz,
+    rrule: series ? seriesToRRule(series, tz) : null,
+    exdates: series ? series.exdates.map((x) => fromUTCtoZoned(x, tz)) : [],
+    uid: bookingUID(series ? series.id : b.id),
+    sequence: series ? 0 : b.sequence ?? 0,
+  });
   const blob = new Blob([ics], { type: "text/calendar;charset=utf-8" });
   const url = URL.createObjectURL(blob);
   const a = document.createElement("a");
@@ -863,11 +6751,16 @@ function downloadICSForBookingLocal(b) {
   a.click();
   URL.revokeObjectURL(url);
 }
-function CopyButtonLocal({ booking }) {
+function CopyButtonLocal({ booking, roomName, viewerTZ }) {
+  const tz = useContext(OfficeTimeZone);
   function copy() {
-    const s = fromUTCtoZoned(booking.start);
-    const e = fromUTCtoZoned(booking.end);
-    const txt = `${booking.person || "Reserva"} — ${booking.purpose || ""}\n${format(s, "d LLL yyyy HH:mm", { locale: es })}–${format(e, "HH:mm", { locale: es })}\nDespacho ${booking.room + 1}`;
+    const s = fromUTCtoZoned(booking.start, tz);
+    const e = fromUTCtoZoned(booking.end, tz);
+    // con dos zonas se dice cuál es cuál
+    const local = viewerTZ
+      ? ` (${timeZoneCity(tz)}) · ${zoneRangeLabel(s, e, tz, viewerTZ)} (${timeZoneCity(viewerTZ)})`
+      : "";
+    const txt = `${booking.person || "Reserva"} — ${booking.purpose || ""}\n${format(s, "d LLL yyyy HH:mm", { locale: es })}–${format(e, "HH:mm", { locale: es })}${local}\n${roomName}`;
     navigator.clipboard.writeText(txt).then(() => toast("Copiado al portapapeles"));
   }
   return (
@@ -879,48 +6772,3 @@ function CopyButtonLocal({ booking }) {
     </button>
   );
 }
-
-/* ========= ICS helpers ========= */
-function pad(n) {
-  return String(n).padStart(2, "0");
-}
-function toICSDate(dt) {
-  return (
-    dt.getUTCFullYear() +
-    pad(dt.getUTCMonth() + 1) +
-    pad(dt.getUTCDate()) +
-    "T" +
-    pad(dt.getUTCHours()) +
-    pad(dt.getUTCMinutes()) +
-    pad(dt.getUTCSeconds()) +
-    "Z"
-  );
-}
-function generateICS({ title, description, location, start, end }) {
-  const uid = uuidv4();
-  const lines = [
-    "BEGIN:VCALENDAR",
-    "VERSION:2.0",
-    "PRODID:-//ReservaDespachos//v1//ES",
-    "CALSCALE:GREGORIAN",
-    "METHOD:PUBLISH",
-    "BEGIN:VEVENT",
-    `UID:${uid}`,
-    `DTSTAMP:${toICSDate(new Date())}`,
-    `DTSTART:${toICSDate(new Date(start))}`,
-    `DTEND:${toICSDate(new Date(end))}`,
-    `SUMMARY:${escapeICS(title)}`,
-    `DESCRIPTION:${escapeICS(description)}`,
-    `LOCATION:${escapeICS(location)}`,
-    "END:VEVENT",
-    "END:VCALENDAR",
-  ];
-  return lines.join("\r\n");
-}
-function escapeICS(text = "") {
-  return String(text)
-    .replace(/\\/g, "\\\\")
-    .replace(/\n/g, "\\n")
-    .replace(/,/g, "\\,")
-    .replace(/;/g, "\\;");
-}
@@ -0,0 +1,385 @@
+// Utilidades iCalendar (RFC 5545) compartidas por la app y las Edge Functions.
+// Sin dependencias: se usa igual desde el navegador (Vite) y desde Deno.
+
+export const PRODID = "-//ReservaDespachos//v1//ES";
+const UID_DOMAIN = "reserva-despachos";
+
+// UID estable: reimportar o refrescar un feed actualiza en vez de duplicar
+export const bookingUID = (id) => `${id}@${UID_DOMAIN}`;
+
+function pad(n) {
+  return String(n).padStart(2, "0");
+}
+export function toICSDate(dt) {
+  return (
+    dt.getUTCFullYear() +
+    pad(dt.getUTCMonth() + 1) +
+    pad(dt.getUTCDate()) +
+    "T" +
+    pad(dt.getUTCHours()) +
+    pad(dt.getUTCMinutes()) +
+    pad(dt.getUTCSeconds()) +
+    "Z"
+  );
+}
+// hora de pared (campos locales del Date) para DTSTART;TZID=...
+export function toICSLocalDate(dt) {
+  return (
+    dt.getFullYear() +
+    pad(dt.getMonth() + 1) +
+    pad(dt.getDate()) +
+    "T" +
+    pad(dt.getHours()) +
+    pad(dt.getMinutes()) +
+    pad(dt.getSeconds())
+  );
+}
+export function escapeICS(text = "") {
+  return String(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/\r?\n/g, "\\n")
+    .replace(/,/g, "\\,")
+    .replace(/;/g, "\\;");
+}
+
+// Zonas de la oficina más probables, con las reglas europeas actuales. Un
+// TZID tiene que ir definido en el calendario (RFC 5545): con cualquier otra
+// zona las horas se pasan a UTC (ver buildEvent).
+const VTIMEZONES = {
+  "Europe/Madrid": [
+    "BEGIN:VTIMEZONE",
+    "TZID:Europe/Madrid",
+    "BEGIN:DAYLIGHT",
+    "TZOFFSETFROM:+0100",
+    "TZOFFSETTO:+0200",
+    "TZNAME:CEST",
+    "DTSTART:19700329T020000",
+    "RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU",
+    "END:DAYLIGHT",
+    "BEGIN:STANDARD",
+    "TZOFFSETFROM:+0200",
+    "TZOFFSETTO:+0100",
+    "TZNAME:CET",
+    "DTSTART:19701025T030000",
+    "RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU",
+    "END:STANDARD",
+    "END:VTIMEZONE",
+  ],
+  "Atlantic/Canary": [
+    "BEGIN:VTIMEZONE",
+    "TZID:Atlantic/Canary",
+    "BEGIN:DAYLIGHT",
+    "TZOFFSETFROM:+0000",
+    "TZOFFSETTO:+0100",
+    "TZNAME:WEST",
+    "DTSTART:19700329T010000",
+    "RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU",
+    "END:DAYLIGHT",
+    "BEGIN:STANDARD",
+    "TZOFFSETFROM:+0100",
+    "TZOFFSETTO:+0000",
+    "TZNAME:WET",
+    "DTSTART:19701025T020000",
+    "RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU",
+    "END:STANDARD",
+    "END:VTIMEZONE",
+  ],
+};
+
+// Líneas de más de 75 octetos se parten con CRLF + espacio
+const encoder = new TextEncoder();
+function foldLine(line) {
+  if (encoder.encode(line).length <= 75) return line;
+  const parts = [];
+  let current = "";
+  let size = 0;
+  for (const ch of line) {
+    const n = encoder.encode(ch).length;
+    // la primera línea admite 75 octetos; las siguientes 74 + el espacio
+    if (size + n > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = "";
+      size = 0;
+    }
+    current += ch;
+    size += n;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+// respuesta de un asistente (booking_attendees.response) -> PARTSTAT
+export const PARTSTAT = {
+  pending: "NEEDS-ACTION",
+  accepted: "ACCEPTED",
+  declined: "DECLINED",
+};
+
+// hora de pared (campos locales del Date) en `tz` -> instante UTC, con Intl
+// para no depender de librerías; la segunda vuelta corrige los días de
+// cambio de hora
+function wallTimeToUTC(d, tz) {
+  const fmt = new Intl.DateTimeFormat("en-US", {
+    timeZone: tz,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  });
+  const offset = (t) => {
+    const p = Object.fromEntries(fmt.formatToParts(new Date(t)).map((x) => [x.type, x.value]));
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - t;
+  };
+  const wall = Date.UTC(
+    d.getFullYear(),
+    d.getMonth(),
+    d.getDate(),
+    d.getHours(),
+    d.getMinutes(),
+    d.getSeconds()
+  );
+  const first = wall - offset(wall);
+  return new Date(wall - offset(first));
+}
+
+// CN entre comillas: el nombre puede llevar ":" o ";"
+const calAddress = (name, email) =>
+  `${name ? `;CN="${String(name).replace(/"/g, "'")}"` : ""}:mailto:${email}`;
+
+// Un VEVENT. Con tzid, start/end/exdates son horas de pared en esa zona
+// (necesario con rrule para no desplazarse al cambiar el horario); sin
+// tzid, o si no hay VTIMEZONE para ella, se escriben en UTC. organizer { name, email } y attendees
+// [{ name, email, response }] convierten el evento en una invitación.
+export function buildEvent({
+  uid,
+  sequence = 0,
+  status = null,
+  title,
+  description,
+  location,
+  start,
+  end,
+  tzid = null,
+  rrule = null,
+  exdates = [],
+  organizer = null,
+  attendees = [],
+  stamp = new Date(),
+}) {
+  if (tzid && !VTIMEZONES[tzid]) {
+    const toUTC = (d) => wallTimeToUTC(new Date(d), tzid);
+    return buildEvent({
+      uid,
+      sequence,
+      status,
+      title,
+      description,
+      location,
+      start: toUTC(start),
+      end: toUTC(end),
+      rrule,
+      exdates: exdates.map(toUTC),
+      organizer,
+      attendees,
+      stamp,
+    });
+  }
+  const dt = (name, d) =>
+    tzid ? `${name};TZID=${tzid}:${toICSLocalDate(d)}` : `${name}:${toICSDate(new Date(d))}`;
+  return [
+    "BEGIN:VEVENT",
+    `UID:${uid}`,
+    `SEQUENCE:${sequence}`,
+    `DTSTAMP:${toICSDate(stamp)}`,
+    dt("DTSTART", start),
+    dt("DTEND", end),
+    ...(rrule ? [`RRULE:${rrule}`] : []),
+    ...(rrule && exdates.length
+      ? [
+          tzid
+            ? `EXDATE;TZID=${tzid}:${exdates.map(toICSLocalDate).join(",")}`
+            : `EXDATE:${exdates.map((d) => toICSDate(new Date(d))).join(",")}`,
+        ]
+      : []),
+    ...(status ? [`STATUS:${status}`] : []),
+    `SUMMARY:${escapeICS(title)}`,
+    `DESCRIPTION:${escapeICS(description)}`,
+    `LOCATION:${escapeICS(location)}`,
+    ...(organizer ? [`ORGANIZER${calAddress(organizer.name, organizer.email)}`] : []),
+    ...attendees.map(
+      (a) =>
+        `ATTENDEE;ROLE=REQ-PARTICIPANT;PARTSTAT=${PARTSTAT[a.response] || PARTSTAT.pending};RSVP=TRUE${calAddress(a.name, a.email)}`
+    ),
+    "END:VEVENT",
+  ];
+}
+
+// VCALENDAR completo. events: arrays de líneas de buildEvent.
+// name/refreshMinutes solo tienen sentido en feeds suscritos.
+export function buildCalendar({
+  events,
+  method = "PUBLISH",
+  tzid = null,
+  name = null,
+  refreshMinutes = null,
+}) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    `METHOD:${method}`,
+    ...(name ? [`X-WR-CALNAME:${escapeICS(name)}`] : []),
+    ...(refreshMinutes
+      ? [
+          `REFRESH-INTERVAL;VALUE=DURATION:PT${refreshMinutes}M`,
+          `X-PUBLISHED-TTL:PT${refreshMinutes}M`,
+        ]
+      : []),
+    ...(tzid && VTIMEZONES[tzid] ? VTIMEZONES[tzid] : []),
+    ...events.flat(),
+    "END:VCALENDAR",
+  ];
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+// Calendario de un solo evento (descargas y adjuntos de correo). Con rrule
+// las fechas van en hora de pared + TZID para que la serie no se desplace una
+// hora al cruzar el cambio de horario. Sin uid (reserva aún no guardada) se
+// inventa uno. Con asistentes es una invitación (METHOD:REQUEST) salvo que
+// se pida otro método (p. ej. CANCEL).
+export function generateICS({
+  title,
+  description,
+  location,
+  start,
+  end,
+  rrule = null,
+  exdates = [],
+  uid = crypto.randomUUID(),
+  sequence = 0,
+  status = null,
+  method = null,
+  tzid = "Europe/Madrid",
+  organizer = null,
+  attendees = [],
+}) {
+  const zone = rrule ? tzid : null;
+  const invite = Boolean(organizer && attendees.length);
+  return buildCalendar({
+    method: method || (invite ? "REQUEST" : "PUBLISH"),
+    tzid: zone,
+    events: [
+      buildEvent({
+        uid,
+        sequence,
+        status,
+        title,
+        description,
+        location,
+        start,
+        end,
+        tzid: zone,
+        rrule,
+        exdates,
+        ...(invite && { organizer, attendees }),
+      }),
+    ],
+  });
+}
+
+/* ---- lectura ---- */
+
+export function unescapeICS(text = "") {
+  return String(text).replace(/\\([\\;,nN])/g, (_, c) => (c === "n" || c === "N" ? "\n" : c));
+}
+
+// "DTSTART;TZID=Europe/Madrid:20240305T100000" -> { name, params, value }
+function parseContentLine(line) {
+  let quoted = false;
+  let i = 0;
+  for (; i < line.length; i++) {
+    if (line[i] === '"') quoted = !quoted;
+    else if (line[i] === ":" && !quoted) break;
+  }
+  const [name, ...rawParams] = line.slice(0, i).split(";");
+  const params = {};
+  for (const p of rawParams) {
+    const eq = p.indexOf("=");
+    if (eq > 0) params[p.slice(0, eq).toUpperCase()] = p.slice(eq + 1).replace(/^"|"$/g, "");
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(i + 1) };
+}
+
+// VEVENTs de un calendario: por evento, NOMBRE -> [{ value, params }] (una
+// propiedad puede repetirse, p. ej. EXDATE). No interpreta fechas: la zona
+// horaria por defecto la decide quien llama. Se ignoran VALARM y similares.
+export function parseICS(text) {
+  const lines = String(text)
+    .replace(/\r?\n[ \t]/g, "")
+    .split(/\r?\n/);
+  const events = [];
+  let current = null;
+  let nested = 0;
+  for (const line of lines) {
+    if (!line) continue;
+    if (line === "BEGIN:VEVENT") {
+      current = {};
+      nested = 0;
+    } else if (line === "END:VEVENT") {
+      if (current) events.push(current);
+      current = null;
+    } else if (current) {
+      if (line.startsWith("BEGIN:")) nested++;
+      else if (line.startsWith("END:")) nested--;
+      else if (!nested) {
+        const { name, params, value } = parseContentLine(line);
+        (current[name] ||= []).push({ value, params });
+      }
+    }
+  }
+  return events;
+}
+
+// "20240305T100000Z" / "20240305T100000" / "20240305" -> campos sueltos
+export function parseICSDate(value) {
+  const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(String(value).trim());
+  if (!m) return null;
+  return {
+    year: Number(m[1]),
+    month: Number(m[2]),
+    day: Number(m[3]),
+    hours: Number(m[4] || 0),
+    minutes: Number(m[5] || 0),
+    seconds: Number(m[6] || 0),
+    dateOnly: !m[4],
+    utc: Boolean(m[7]),
+  };
+}
+
+// "PT1H30M", "P1D" -> minutos
+export function parseICSDuration(value) {
+  const m = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(
+    String(value).trim()
+  );
+  if (!m) return null;
+  const [, sign, w, d, h, min] = m;
+  const total = (Number(w || 0) * 7 + Number(d || 0)) * 1440 + Number(h || 0) * 60 + Number(min || 0);
+  return sign === "-" ? -total : total;
+}
+
+// "FREQ=WEEKLY;BYDAY=TU,TH" -> { FREQ: "WEEKLY", BYDAY: "TU,TH" }
+export function parseRRule(value) {
+  return Object.fromEntries(
+    String(value)
+      .split(";")
+      .filter(Boolean)
+      .map((part) => {
+        const [k, v = ""] = part.split("=");
+        return [k.toUpperCase(), v];
+      })
+  );
+}
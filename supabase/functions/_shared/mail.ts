@@ -0,0 +1,57 @@
+// Envío de correo intercambiable. MAIL_TRANSPORT elige la implementación:
+//   smtp (por defecto)  SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_SECURE
+//   log                 no envía nada; escribe el mensaje en el log
+// En local, con MailHog/Mailpit: SMTP_HOST=host.docker.internal SMTP_PORT=1025.
+// Otro proveedor (API HTTP, SES...) solo tiene que cumplir MailTransport.
+import nodemailer from "npm:nodemailer@6";
+
+export type MailAttachment = {
+  filename: string;
+  content: string;
+  contentType: string;
+};
+
+export type Mail = {
+  to: string;
+  subject: string;
+  text: string;
+  // invitación de calendario (text/calendar) que los clientes muestran en línea
+  icalEvent?: { method: string; content: string };
+  attachments?: MailAttachment[];
+};
+
+export interface MailTransport {
+  send(mail: Mail): Promise<void>;
+}
+
+const FROM = Deno.env.get("MAIL_FROM") || "Reservas <reservas@localhost>";
+
+export function smtpTransport(): MailTransport {
+  const user = Deno.env.get("SMTP_USER");
+  const transporter = nodemailer.createTransport({
+    host: Deno.env.get("SMTP_HOST") || "localhost",
+    port: Number(Deno.env.get("SMTP_PORT") || 1025),
+    secure: Deno.env.get("SMTP_SECURE") === "true",
+    auth: user ? { user, pass: Deno.env.get("SMTP_PASS") || "" } : undefined,
+  });
+  return {
+    async send(mail) {
+      await transporter.sendMail({ from: FROM, ...mail });
+    },
+  };
+}
+
+export function logTransport(): MailTransport {
+  return {
+    async send(mail) {
+      console.log(`[mail] ${mail.to} · ${mail.subject}\n${mail.text}`);
+    },
+  };
+}
+
+export function transportFromEnv(): MailTransport {
+  const kind = Deno.env.get("MAIL_TRANSPORT") || "smtp";
+  if (kind === "log") return logTransport();
+  if (kind === "smtp") return smtpTransport();
+  throw new Error(`MAIL_TRANSPORT desconocido: ${kind}`);
+}
@@ -0,0 +1,109 @@
+// Feed .ics para suscribirse desde Outlook / Google Calendar.
+//   ?token=<feed_tokens.token>            obligatorio
+//   ?site=<sites.slug>                    solo una sede
+//   ?room=<uuid>                          solo un despacho
+//   ?person=<nombre>                      solo las reservas de esa persona
+// Sin filtros: todas las sedes. Cada reserva es un VEVENT con UID
+// estable (id de la reserva), SEQUENCE y STATUS:CANCELLED si se anuló.
+import { createClient } from "npm:@supabase/supabase-js@2";
+import { bookingUID, buildCalendar, buildEvent } from "../_shared/ics.js";
+
+const PAST_DAYS = 90;
+const FUTURE_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// PostgREST corta cada respuesta (max-rows, 1000 por defecto): se lee por páginas
+const PAGE = 1000;
+
+// service role: el acceso lo controla el token, no RLS
+const supabase = createClient(
+  Deno.env.get("SUPABASE_URL")!,
+  Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!,
+);
+
+Deno.serve(async (req) => {
+  const url = new URL(req.url);
+  const token = url.searchParams.get("token");
+  const siteSlug = url.searchParams.get("site");
+  const roomId = url.searchParams.get("room");
+  const person = url.searchParams.get("person");
+  if (!token) return new Response("Falta el token", { status: 401 });
+
+  const { data: owner, error: tokenError } = await supabase
+    .from("feed_tokens")
+    .select("user_id")
+    .eq("token", token)
+    .maybeSingle();
+  if (tokenError || !owner) return new Response("Token no válido", { status: 403 });
+
+  const { data: rooms, error: roomsError } = await supabase.from("rooms").select("id, name");
+  if (roomsError) return new Response("No se pudieron leer los despachos", { status: 500 });
+  const roomNames = new Map(rooms.map((r) => [r.id, r.name]));
+  if (roomId && !roomNames.has(roomId)) {
+    return new Response("Despacho desconocido", { status: 404 });
+  }
+
+  let site = null;
+  if (siteSlug) {
+    const { data, error } = await supabase
+      .from("sites")
+      .select("id, name")
+      .eq("slug", siteSlug)
+      .maybeSingle();
+    if (error) return new Response("No se pudo leer la sede", { status: 500 });
+    if (!data) return new Response("Sede desconocida", { status: 404 });
+    site = data;
+  }
+
+  const now = Date.now();
+  const bookings = [];
+  for (let from = 0; ; from += PAGE) {
+    let query = supabase
+      .from("bookings")
+      .select("id, room_id, person, purpose, start, end, status, sequence")
+      .gte("start", new Date(now - PAST_DAYS * DAY_MS).toISOString())
+      .lt("start", new Date(now + FUTURE_DAYS * DAY_MS).toISOString());
+    if (site) query = query.eq("site_id", site.id);
+    if (roomId) query = query.eq("room_id", roomId);
+    // comparación exacta sin distinguir mayúsculas (escapando comodines)
+    if (person) query = query.ilike("person", person.replace(/[\\%_]/g, "\\$&"));
+
+    // orden total (id desempata) para que las páginas no se pisen
+    const { data, error } = await query
+      .order("start", { ascending: true })
+      .order("id", { ascending: true })
+      .range(from, from + PAGE - 1);
+    if (error) return new Response("No se pudieron leer las reservas", { status: 500 });
+    bookings.push(...data);
+    if (data.length < PAGE) break;
+  }
+
+  const events = bookings.map((b) => {
+    const roomName = roomNames.get(b.room_id) || "Despacho";
+    return buildEvent({
+      uid: bookingUID(b.id),
+      sequence: b.sequence,
+      // anuladas y liberadas por no-show desaparecen del calendario
+      status: b.status === "confirmed" ? "CONFIRMED" : "CANCELLED",
+      title: `Reserva ${roomName}${b.person ? ` · ${b.person}` : ""}`,
+      description: b.purpose || "Reserva de despacho",
+      location: roomName,
+      start: b.start,
+      end: b.end,
+    });
+  });
+
+  const name = roomId
+    ? `Reservas · ${roomNames.get(roomId)}`
+    : person
+    ? `Reservas · ${person}`
+    : site
+    ? `Reservas · ${site.name}`
+    : "Reservas · Todas las sedes";
+
+  return new Response(buildCalendar({ events, name, refreshMinutes: 15 }), {
+    headers: {
+      "Content-Type": "text/calendar; charset=utf-8",
+      "Cache-Control": "max-age=300",
+    },
+  });
+});
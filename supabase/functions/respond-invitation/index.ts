@@ -0,0 +1,128 @@
+// Respuesta a una invitación desde los enlaces del correo.
+//   GET  ?token=&response=&series=   página de confirmación, no cambia nada
+//   POST token, response, series      (formulario de esa página) guarda la respuesta
+//     token      booking_attendees.token, obligatorio
+//     response   accepted | declined, obligatorio
+//     series     "1": también las fechas siguientes de la serie
+// Los antivirus y previsualizaciones del correo abren los enlaces (GET): por
+// eso la respuesta solo se guarda al pulsar el botón.
+// Sin sesión: el token identifica al asistente (puede ser un externo).
+import { createClient } from "npm:@supabase/supabase-js@2";
+
+// service role: el acceso lo controla el token, no RLS
+const supabase = createClient(
+  Deno.env.get("SUPABASE_URL")!,
+  Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!,
+);
+
+const QUESTIONS = {
+  accepted: "¿Confirmas que asistirás?",
+  declined: "¿Confirmas que no asistirás?",
+};
+const BUTTONS = { accepted: "Asistiré", declined: "No asistiré" };
+const ANSWERS = {
+  accepted: "Has aceptado la invitación",
+  declined: "Has rechazado la invitación",
+};
+
+const escapeHTML = (s: string) =>
+  s.replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+const page = (body: string, status = 200) =>
+  new Response(
+    `<!doctype html><html lang="es"><head><meta charset="utf-8">` +
+      `<meta name="viewport" content="width=device-width, initial-scale=1">` +
+      `<meta name="robots" content="noindex"><title>Invitación</title></head>` +
+      `<body style="font-family: system-ui, sans-serif; max-width: 32rem; margin: 3rem auto; padding: 0 1rem">` +
+      `${body}</body></html>`,
+    { status, headers: { "Content-Type": "text/html; charset=utf-8" } },
+  );
+const message = (text: string, status = 200) => page(`<p>${escapeHTML(text)}</p>`, status);
+
+const describe = (booking: { room_name?: string; start: string; timezone: string }) => {
+  const when = new Intl.DateTimeFormat("es-ES", {
+    timeZone: booking.timezone,
+    dateStyle: "full",
+    timeStyle: "short",
+  }).format(new Date(booking.start));
+  return `${booking.room_name || "Despacho"} · ${when}`;
+};
+
+async function confirmPage(token: string, response: "accepted" | "declined", series: boolean) {
+  const { data: attendee, error } = await supabase
+    .from("booking_attendees")
+    .select("response, booking:bookings(start, status, room_id, room:rooms(name))")
+    .eq("token", token)
+    .maybeSingle();
+  // un token que no es un uuid también cuenta como desconocido
+  if (error?.code === "22P02" || (!error && !attendee)) {
+    return message("Invitación no encontrada", 404);
+  }
+  if (error) {
+    console.error(error);
+    return message("No se pudo cargar la invitación", 500);
+  }
+  const { data: timezone, error: tzError } = await supabase.rpc("room_timezone", {
+    p_room_id: attendee.booking.room_id,
+  });
+  if (tzError) {
+    console.error(tzError);
+    return message("No se pudo cargar la invitación", 500);
+  }
+
+  const what = describe({
+    room_name: attendee.booking.room?.name,
+    start: attendee.booking.start,
+    timezone,
+  });
+  if (attendee.booking.status !== "confirmed") {
+    return message(`${what}. Esta reserva ya no está vigente.`);
+  }
+  return page(
+    `<p>${escapeHTML(what)}${series ? " y las fechas siguientes de la serie" : ""}.</p>` +
+      `<p>${QUESTIONS[response]}</p>` +
+      `<form method="post">` +
+      `<input type="hidden" name="token" value="${escapeHTML(token)}">` +
+      `<input type="hidden" name="response" value="${response}">` +
+      `<input type="hidden" name="series" value="${series ? "1" : ""}">` +
+      `<button type="submit" style="font-size: 1rem; padding: 0.5rem 1rem">${BUTTONS[response]}</button>` +
+      `</form>`,
+  );
+}
+
+async function saveResponse(token: string, response: "accepted" | "declined", series: boolean) {
+  const { data: booking, error } = await supabase.rpc("respond_to_invitation", {
+    p_token: token,
+    p_response: response,
+    p_series: series,
+  });
+  if (error?.code === "22P02" || (!error && !booking)) {
+    return message("Invitación no encontrada", 404);
+  }
+  if (error) {
+    console.error(error);
+    return message("No se pudo guardar la respuesta", 500);
+  }
+  const cancelled = booking.status !== "confirmed" ? " (Esta reserva ya no está vigente.)" : "";
+  return message(`${ANSWERS[response]}: ${describe(booking)}.${cancelled}`);
+}
+
+Deno.serve(async (req) => {
+  if (req.method !== "GET" && req.method !== "POST") {
+    return new Response("Método no permitido", { status: 405, headers: { Allow: "GET, POST" } });
+  }
+  const params = req.method === "POST"
+    ? new URLSearchParams(await req.text())
+    : new URL(req.url).searchParams;
+  const token = params.get("token");
+  const response = params.get("response");
+  if (!token) return message("Falta el token", 401);
+  if (response !== "accepted" && response !== "declined") {
+    return message("Respuesta no válida", 400);
+  }
+  const series = params.get("series") === "1";
+
+  return req.method === "POST"
+    ? saveResponse(token, response, series)
+    : confirmPage(token, response, series);
+});
@@ -0,0 +1,274 @@
+// Envía los avisos pendientes de notification_outbox. La llama pg_cron (ver
+// dispatch_notifications) con la service role; cada ejecución reserva un lote
+// con claim_notifications, así que dos llamadas solapadas no duplican correos.
+// Los avisos de una misma serie generados juntos (un alta, un cambio con sus
+// fechas nuevas, modificadas y anuladas) salen en un solo correo.
+// Las horas van en la zona de cada destinatario (profiles.timezone) y, si no
+// es la de la oficina (la sede del despacho), también en la de la oficina.
+// Los asistentes (usuarios o emails externos) reciben invitaciones con
+// METHOD:REQUEST y enlaces para aceptar o rechazar (Edge Function
+// respond-invitation).
+import { createClient } from "npm:@supabase/supabase-js@2";
+import { bookingUID, buildCalendar, buildEvent, generateICS } from "../_shared/ics.js";
+import { type Mail, transportFromEnv } from "../_shared/mail.ts";
+
+const DEFAULT_TIMEZONE = "Europe/Madrid";
+const BATCH = 100;
+const SERVICE_KEY = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!;
+const RESPOND_URL = `${Deno.env.get("SUPABASE_URL")}/functions/v1/respond-invitation`;
+
+const supabase = createClient(Deno.env.get("SUPABASE_URL")!, SERVICE_KEY);
+const transport = transportFromEnv();
+
+type Person = { name: string | null; email: string };
+type Attendee = Person & { response: "pending" | "accepted" | "declined" };
+
+type Snapshot = {
+  id: string;
+  room_id: string;
+  room_name: string | null;
+  organizer: Person | null;
+  attendees: Attendee[] | null;
+  person: string | null;
+  purpose: string | null;
+  start: string;
+  end: string;
+  sequence: number | null;
+};
+
+type OutboxRow = {
+  id: number;
+  kind: "created" | "updated" | "cancelled" | "reminder" | "invitation";
+  booking_id: string;
+  series_id: string | null;
+  // externos: sin usuario, solo email
+  user_id: string | null;
+  email: string | null;
+  // solo en los avisos a asistentes
+  invite_token: string | null;
+  actor_id: string | null;
+  booking: Snapshot;
+  previous: Snapshot | null;
+  // transacción que encoló el aviso
+  txid: number;
+};
+
+const SUBJECTS = {
+  created: "Reserva confirmada",
+  updated: "Reserva modificada",
+  cancelled: "Reserva cancelada",
+  reminder: "Empieza en 15 minutos",
+  invitation: "Invitación",
+};
+
+const RESPONSES = { pending: "sin responder", accepted: "asiste", declined: "no asiste" };
+
+// qué le ha pasado a cada fecha en un cambio de serie
+const CHANGES = {
+  created: "nueva",
+  invitation: "nueva",
+  updated: "cambiada",
+  cancelled: "anulada",
+  reminder: "",
+};
+
+// formateadores por zona horaria
+const formats = new Map<string, { day: Intl.DateTimeFormat; time: Intl.DateTimeFormat }>();
+function formatsFor(timeZone: string) {
+  if (!formats.has(timeZone)) {
+    formats.set(timeZone, {
+      day: new Intl.DateTimeFormat("es-ES", {
+        timeZone,
+        weekday: "long",
+        day: "numeric",
+        month: "long",
+        year: "numeric",
+      }),
+      time: new Intl.DateTimeFormat("es-ES", { timeZone, hour: "2-digit", minute: "2-digit" }),
+    });
+  }
+  return formats.get(timeZone)!;
+}
+
+// zones.user: la del destinatario (null: la de la oficina); zones.office: la
+// de la sede de cada despacho
+type Zones = { user: string | null; office: Map<string, string> };
+
+function describe(b: Snapshot, zones: Zones) {
+  const start = new Date(b.start);
+  const end = new Date(b.end);
+  const officeZone = zones.office.get(b.room_id) || DEFAULT_TIMEZONE;
+  const userZone = zones.user || officeZone;
+  const { day, time } = formatsFor(userZone);
+  let when = `${day.format(start)}, ${time.format(start)}–${time.format(end)}`;
+  if (userZone !== officeZone) {
+    const office = formatsFor(officeZone).time;
+    when += ` (${office.format(start)}–${office.format(end)} hora de la oficina)`;
+  }
+  return `${b.room_name || "Despacho"} · ${when}${b.purpose ? ` · ${b.purpose}` : ""}`;
+}
+
+const attendeeList = (b: Snapshot) =>
+  (b.attendees || []).map((a) => `${a.name || a.email} (${RESPONSES[a.response]})`).join(", ");
+
+const respondLink = (token: string, response: string, series: boolean) =>
+  `${RESPOND_URL}?token=${token}&response=${response}${series ? "&series=1" : ""}`;
+
+// invite: con organizador y asistentes, para que el calendario la trate como reunión
+const eventFields = (b: Snapshot, invite = false) => ({
+  uid: bookingUID(b.id),
+  sequence: b.sequence ?? 0,
+  title: `Reserva ${b.room_name || "Despacho"}${b.person ? ` · ${b.person}` : ""}`,
+  description: b.purpose || "Reserva de despacho",
+  location: b.room_name || "Despacho",
+  start: new Date(b.start),
+  end: new Date(b.end),
+  ...(invite && b.organizer && { organizer: b.organizer, attendees: b.attendees || [] }),
+});
+
+// Un correo por grupo: la reserva suelta o todas las de la serie. Si el grupo
+// mezcla tipos es un cambio de serie: un solo «Reserva modificada» que dice
+// qué ha pasado con cada fecha.
+function compose(
+  rows: OutboxRow[],
+  email: string,
+  actorName: string | null,
+  zones: Zones,
+): Mail {
+  // por fecha: el enlace de respuesta de la serie es el de la primera vigente
+  rows = [...rows].sort((a, b) => a.booking.start.localeCompare(b.booking.start));
+  const mixed = new Set(rows.map((r) => r.kind)).size > 1;
+  const kind = mixed ? "updated" : rows[0].kind;
+  const cancelled = rows.every((r) => r.kind === "cancelled");
+  const invite_token = (rows.find((r) => r.kind !== "cancelled") || rows[0]).invite_token;
+  const invite = Boolean(invite_token);
+  const bookings = rows.map((r) => r.booking);
+  const series = bookings.length > 1;
+  const subject = series
+    ? `${SUBJECTS[kind]}: ${bookings.length} reservas de ${bookings[0].room_name || "la serie"}`
+    : `${SUBJECTS[kind]}: ${describe(bookings[0], zones)}`;
+
+  const lines = rows.map(
+    (r) => `• ${describe(r.booking, zones)}${mixed ? ` (${CHANGES[r.kind]})` : ""}`,
+  );
+  if (kind === "updated" && !series && rows[0].previous) {
+    lines.unshift(`Antes: ${describe(rows[0].previous, zones)}`, "Ahora:");
+  }
+  const { organizer } = bookings[0];
+  if (invite) {
+    if (organizer) lines.push("", `Te invita ${organizer.name || organizer.email}.`);
+    // en una serie, la respuesta vale para todas sus fechas
+    if (!cancelled) {
+      lines.push(
+        "",
+        `Asistiré: ${respondLink(invite_token!, "accepted", series)}`,
+        `No asistiré: ${respondLink(invite_token!, "declined", series)}`,
+      );
+    }
+  } else {
+    if (bookings[0].attendees?.length) lines.push("", `Asistentes: ${attendeeList(bookings[0])}`);
+    if (actorName && kind !== "reminder") lines.push("", `Hecho por ${actorName}.`);
+  }
+  const mail: Mail = { to: email, subject, text: lines.join("\n") };
+  if (kind === "reminder") return mail;
+
+  const method = cancelled ? "CANCEL" : invite ? "REQUEST" : "PUBLISH";
+  const statusOf = (r: OutboxRow) => (r.kind === "cancelled" ? "CANCELLED" : "CONFIRMED");
+  const content = series
+    ? buildCalendar({
+        method,
+        events: rows.map((r) => buildEvent({ ...eventFields(r.booking, invite), status: statusOf(r) })),
+      })
+    : generateICS({ ...eventFields(bookings[0], invite), status: statusOf(rows[0]), method });
+  mail.icalEvent = { method, content };
+  return mail;
+}
+
+// por transacción y no por serie: al partir una serie ("esta y las
+// siguientes") las fechas anuladas y las que siguen son de series distintas
+function groupKey(r: OutboxRow) {
+  return r.series_id && r.kind !== "reminder"
+    ? `${r.user_id || r.email}:${r.txid}`
+    : `row:${r.id}`;
+}
+
+Deno.serve(async (req) => {
+  if (req.headers.get("Authorization") !== `Bearer ${SERVICE_KEY}`) {
+    return new Response("No autorizado", { status: 401 });
+  }
+
+  const { data: rows, error } = await supabase.rpc("claim_notifications", { p_limit: BATCH });
+  if (error) return new Response("No se pudo leer la cola", { status: 500 });
+
+  const groups = new Map<string, OutboxRow[]>();
+  for (const row of rows as OutboxRow[]) {
+    const key = groupKey(row);
+    groups.set(key, [...(groups.get(key) || []), row]);
+  }
+
+  // autores (para decir quién fue), destinatarios (su zona horaria) y
+  // despachos (la zona de su sede)
+  const profileIds = [
+    ...new Set(rows.flatMap((r: OutboxRow) => [r.actor_id, r.user_id]).filter(Boolean)),
+  ];
+  const roomIds = [
+    ...new Set(
+      rows.flatMap((r: OutboxRow) => [r.booking.room_id, r.previous?.room_id]).filter(Boolean),
+    ),
+  ];
+  const [{ data: profiles }, { data: rooms }] = await Promise.all([
+    profileIds.length
+      ? supabase.from("profiles").select("id, display_name, timezone").in("id", profileIds)
+      : { data: [] },
+    roomIds.length
+      ? supabase.from("rooms").select("id, site:sites(timezone)").in("id", roomIds)
+      : { data: [] },
+  ]);
+  const actorNames = new Map((profiles || []).map((p) => [p.id, p.display_name]));
+  const userZones = new Map((profiles || []).map((p) => [p.id, p.timezone || null]));
+  const officeZones = new Map<string, string>(
+    (rooms || []).map((r) => [r.id, r.site?.timezone || DEFAULT_TIMEZONE]),
+  );
+
+  const emails = new Map<string, string | null>();
+  async function emailOf(userId: string | null, email: string | null) {
+    if (!userId) return email;
+    if (!emails.has(userId)) {
+      const { data } = await supabase.auth.admin.getUserById(userId);
+      emails.set(userId, data?.user?.email || null);
+    }
+    return emails.get(userId);
+  }
+
+  let sent = 0;
+  let failed = 0;
+  for (const group of groups.values()) {
+    const ids = group.map((r) => r.id);
+    const { user_id, email: external, actor_id } = group[0];
+    try {
+      const email = await emailOf(user_id, external);
+      if (!email) throw new Error("El usuario no tiene email");
+      // solo se dice quién fue si no es el propio destinatario (p. ej. un admin)
+      const actorName = actor_id && actor_id !== user_id ? actorNames.get(actor_id) || null : null;
+      const zones = {
+        user: (user_id && userZones.get(user_id)) || null,
+        office: officeZones,
+      };
+      await transport.send(compose(group, email, actorName, zones));
+      await supabase
+        .from("notification_outbox")
+        .update({ sent_at: new Date().toISOString(), locked_until: null, last_error: null })
+        .in("id", ids);
+      sent += group.length;
+    } catch (err) {
+      console.error(err);
+      await supabase
+        .from("notification_outbox")
+        .update({ locked_until: null, last_error: String(err?.message || err) })
+        .in("id", ids);
+      failed += group.length;
+    }
+  }
+
+  return Response.json({ sent, failed });
+});
@@ -0,0 +1,25 @@
+-- Tabla de reservas tal y como la usa la app desde el principio.
+-- `room` es el índice del despacho dentro de la lista de ajustes.
+create table if not exists public.bookings (
+  id uuid primary key,
+  room integer not null,
+  person text,
+  purpose text,
+  start timestamptz not null,
+  "end" timestamptz not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists bookings_start_idx on public.bookings (start);
+
+alter table public.bookings enable row level security;
+
+drop policy if exists "bookings abiertas" on public.bookings;
+create policy "bookings abiertas" on public.bookings
+  for all using (true) with check (true);
+
+do $$
+begin
+  alter publication supabase_realtime add table public.bookings;
+exception when duplicate_object then null;
+end $$;
@@ -0,0 +1,48 @@
+-- Ajustes compartidos (una sola fila) y catálogo de despachos.
+create table if not exists public.settings (
+  id integer primary key default 1 check (id = 1),
+  start_hour integer not null default 8 check (start_hour between 0 and 23),
+  end_hour integer not null default 22 check (end_hour between 1 and 24),
+  require_name boolean not null default true,
+  allow_past boolean not null default false,
+  updated_at timestamptz not null default now(),
+  check (end_hour > start_hour)
+);
+
+insert into public.settings (id) values (1) on conflict (id) do nothing;
+
+-- `position` coincide con el índice que guarda bookings.room
+create table if not exists public.rooms (
+  position integer primary key check (position >= 0),
+  name text not null
+);
+
+insert into public.rooms (position, name) values
+  (0, 'Despacho 1'),
+  (1, 'Despacho 2'),
+  (2, 'Despacho 3'),
+  (3, 'Despacho 4')
+on conflict (position) do nothing;
+
+alter table public.settings enable row level security;
+alter table public.rooms enable row level security;
+
+drop policy if exists "settings abiertos" on public.settings;
+create policy "settings abiertos" on public.settings
+  for all using (true) with check (true);
+
+drop policy if exists "rooms abiertos" on public.rooms;
+create policy "rooms abiertos" on public.rooms
+  for all using (true) with check (true);
+
+do $$
+begin
+  alter publication supabase_realtime add table public.settings;
+exception when duplicate_object then null;
+end $$;
+
+do $$
+begin
+  alter publication supabase_realtime add table public.rooms;
+exception when duplicate_object then null;
+end $$;
@@ -0,0 +1,29 @@
+-- Los despachos pasan a tener identidad propia (uuid) y las reservas
+-- apuntan a ella en lugar de al índice de la lista.
+alter table public.rooms add column if not exists id uuid not null default gen_random_uuid();
+alter table public.rooms add column if not exists capacity integer not null default 1 check (capacity > 0);
+alter table public.rooms add column if not exists active boolean not null default true;
+
+alter table public.rooms drop constraint if exists rooms_pkey;
+alter table public.rooms add primary key (id);
+-- `position` queda solo como orden de presentación
+alter table public.rooms alter column position set default 0;
+
+alter table public.bookings add column if not exists room_id uuid references public.rooms (id) on delete restrict;
+
+-- Índices antiguos sin despacho configurado: se crean archivados para no perder reservas
+insert into public.rooms (position, name, active)
+select distinct b.room, 'Despacho ' || (b.room + 1), false
+from public.bookings b
+where b.room_id is null
+  and not exists (select 1 from public.rooms r where r.position = b.room);
+
+update public.bookings b
+set room_id = r.id
+from public.rooms r
+where b.room_id is null and r.position = b.room;
+
+alter table public.bookings alter column room_id set not null;
+alter table public.bookings drop column if exists room;
+
+create index if not exists bookings_room_start_idx on public.bookings (room_id, start);
@@ -0,0 +1,32 @@
+-- Solapes imposibles a nivel de BD: dos reservas del mismo despacho no
+-- pueden compartir ningún instante. Si ya existen solapes históricos hay
+-- que resolverlos antes de aplicar esta migración.
+create extension if not exists btree_gist;
+
+alter table public.bookings
+  drop constraint if exists bookings_end_after_start,
+  add constraint bookings_end_after_start check ("end" > start);
+
+alter table public.bookings
+  drop constraint if exists bookings_no_overlap,
+  add constraint bookings_no_overlap
+  exclude using gist (room_id with =, tstzrange(start, "end", '[)') with &&);
+
+-- Reservas que chocan con un tramo (para explicar el conflicto en la UI)
+create or replace function public.booking_conflicts(
+  p_room_id uuid,
+  p_start timestamptz,
+  p_end timestamptz,
+  p_exclude_id uuid default null
+)
+returns setof public.bookings
+language sql
+stable
+as $$
+  select *
+  from public.bookings b
+  where b.room_id = p_room_id
+    and tstzrange(b.start, b."end", '[)') && tstzrange(p_start, p_end, '[)')
+    and (p_exclude_id is null or b.id <> p_exclude_id)
+  order by b.start;
+$$;
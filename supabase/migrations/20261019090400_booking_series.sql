@@ -0,0 +1,186 @@
+-- Reservas periódicas. La serie guarda la regla y cada ocurrencia se
+-- materializa como una fila normal de bookings (así la exclusion
+-- constraint comprueba cada una contra el resto).
+create table if not exists public.booking_series (
+  id uuid primary key,
+  room_id uuid not null references public.rooms (id) on delete restrict,
+  person text,
+  purpose text,
+  freq text not null check (freq in ('daily', 'weekly')),
+  "interval" integer not null default 1 check ("interval" between 1 and 52),
+  -- ISO: 1 = lunes … 7 = domingo (solo para weekly)
+  weekdays smallint[] not null default '{}',
+  dtstart timestamptz not null,
+  duration_minutes integer not null check (duration_minutes > 0),
+  until date,
+  count integer check (count > 0),
+  -- inicio de las ocurrencias anuladas
+  exdates timestamptz[] not null default '{}',
+  created_at timestamptz not null default now(),
+  check (until is not null or count is not null)
+);
+
+alter table public.bookings
+  add column if not exists series_id uuid references public.booking_series (id) on delete cascade;
+
+create index if not exists bookings_series_idx on public.bookings (series_id, start);
+
+alter table public.booking_series enable row level security;
+
+drop policy if exists "series abiertas" on public.booking_series;
+create policy "series abiertas" on public.booking_series
+  for all using (true) with check (true);
+
+do $$
+begin
+  alter publication supabase_realtime add table public.booking_series;
+exception when duplicate_object then null;
+end $$;
+
+-- Crea o reescribe una serie en una sola transacción.
+--   p_series       fila de booking_series (json)
+--   p_occurrences  [{ id, start, end }] ya expandidas por el cliente
+--   p_previous_id  serie que se está editando (null si es nueva)
+--   p_from         ocurrencias de p_previous_id desde este instante se sustituyen
+--                  (null = todas)
+--   p_previous_until  nuevo fin de la serie anterior cuando se parte en dos
+create or replace function public.save_booking_series(
+  p_series jsonb,
+  p_occurrences jsonb,
+  p_previous_id uuid default null,
+  p_from timestamptz default null,
+  p_previous_until date default null
+)
+returns uuid
+language plpgsql
+as $$
+declare
+  v_id uuid := (p_series ->> 'id')::uuid;
+begin
+  if p_previous_id is not null then
+    delete from public.bookings
+    where series_id = p_previous_id
+      and start >= coalesce(p_from, '-infinity'::timestamptz);
+
+    if p_previous_id <> v_id then
+      update public.booking_series
+      set until = p_previous_until, count = null
+      where id = p_previous_id;
+
+      delete from public.booking_series s
+      where s.id = p_previous_id
+        and not exists (select 1 from public.bookings b where b.series_id = s.id);
+    end if;
+  end if;
+
+  insert into public.booking_series (
+    id, room_id, person, purpose, freq, "interval", weekdays,
+    dtstart, duration_minutes, until, count, exdates
+  )
+  values (
+    v_id,
+    (p_series ->> 'room_id')::uuid,
+    p_series ->> 'person',
+    p_series ->> 'purpose',
+    p_series ->> 'freq',
+    coalesce((p_series ->> 'interval')::integer, 1),
+    coalesce(array(select jsonb_array_elements_text(p_series -> 'weekdays'))::smallint[], '{}'),
+    (p_series ->> 'dtstart')::timestamptz,
+    (p_series ->> 'duration_minutes')::integer,
+    (p_series ->> 'until')::date,
+    (p_series ->> 'count')::integer,
+    coalesce(array(select jsonb_array_elements_text(p_series -> 'exdates'))::timestamptz[], '{}')
+  )
+  on conflict (id) do update set
+    room_id = excluded.room_id,
+    person = excluded.person,
+    purpose = excluded.purpose,
+    freq = excluded.freq,
+    "interval" = excluded."interval",
+    weekdays = excluded.weekdays,
+    dtstart = excluded.dtstart,
+    duration_minutes = excluded.duration_minutes,
+    until = excluded.until,
+    count = excluded.count,
+    exdates = excluded.exdates;
+
+  insert into public.bookings (id, room_id, person, purpose, start, "end", series_id, created_at)
+  select o.id, (p_series ->> 'room_id')::uuid, p_series ->> 'person', p_series ->> 'purpose',
+         o.start, o."end", v_id, now()
+  from jsonb_to_recordset(p_occurrences) as o(id uuid, start timestamptz, "end" timestamptz);
+
+  return v_id;
+end;
+$$;
+
+-- Anula ocurrencias de una serie.
+--   p_scope 'this'      solo p_occurrence_id (queda como EXDATE)
+--           'following' p_occurrence_id y las siguientes; la serie termina en p_until
+--           'series'    la serie entera
+create or replace function public.cancel_booking_series(
+  p_series_id uuid,
+  p_scope text,
+  p_occurrence_id uuid default null,
+  p_until date default null
+)
+returns void
+language plpgsql
+as $$
+declare
+  v_start timestamptz;
+begin
+  if p_scope = 'series' then
+    delete from public.booking_series where id = p_series_id;
+    return;
+  end if;
+
+  select start into v_start
+  from public.bookings
+  where id = p_occurrence_id and series_id = p_series_id;
+  if v_start is null then
+    raise exception 'La ocurrencia no pertenece a la serie';
+  end if;
+
+  if p_scope = 'this' then
+    delete from public.bookings where id = p_occurrence_id;
+    update public.booking_series
+    set exdates = array_append(exdates, v_start)
+    where id = p_series_id;
+  elsif p_scope = 'following' then
+    delete from public.bookings where series_id = p_series_id and start >= v_start;
+    update public.booking_series
+    set until = p_until, count = null
+    where id = p_series_id;
+  else
+    raise exception 'Ámbito desconocido: %', p_scope;
+  end if;
+
+  delete from public.booking_series s
+  where s.id = p_series_id
+    and not exists (select 1 from public.bookings b where b.series_id = s.id);
+end;
+$$;
+
+-- Saca una ocurrencia de su serie para editarla por separado.
+create or replace function public.detach_series_occurrence(p_occurrence_id uuid)
+returns void
+language plpgsql
+as $$
+declare
+  v_series uuid;
+  v_start timestamptz;
+begin
+  select series_id, start into v_series, v_start
+  from public.bookings
+  where id = p_occurrence_id;
+  if v_series is null then
+    return;
+  end if;
+
+  update public.booking_series
+  set exdates = array_append(exdates, v_start)
+  where id = v_series;
+
+  update public.bookings set series_id = null where id = p_occurrence_id;
+end;
+$$;
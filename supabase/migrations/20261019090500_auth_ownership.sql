@@ -0,0 +1,114 @@
+-- Usuarios (Supabase Auth), perfiles y propiedad de las reservas.
+create table if not exists public.profiles (
+  id uuid primary key references auth.users (id) on delete cascade,
+  display_name text not null,
+  role text not null default 'user' check (role in ('user', 'admin')),
+  created_at timestamptz not null default now()
+);
+
+-- Perfil automático al registrarse; el nombre viene de los metadatos del
+-- alta o, si no hay (magic link), de la parte local del email.
+create or replace function public.handle_new_user()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  insert into public.profiles (id, display_name)
+  values (
+    new.id,
+    coalesce(nullif(new.raw_user_meta_data ->> 'display_name', ''), split_part(new.email, '@', 1))
+  )
+  on conflict (id) do nothing;
+  return new;
+end;
+$$;
+
+drop trigger if exists on_auth_user_created on auth.users;
+create trigger on_auth_user_created
+  after insert on auth.users
+  for each row execute function public.handle_new_user();
+
+-- security definer para poder usarla dentro de las políticas de profiles
+create or replace function public.is_admin()
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (select 1 from public.profiles where id = auth.uid() and role = 'admin');
+$$;
+
+alter table public.profiles enable row level security;
+
+drop policy if exists "perfiles visibles" on public.profiles;
+create policy "perfiles visibles" on public.profiles
+  for select to authenticated using (true);
+
+-- cada uno cambia su nombre; el rol solo lo cambia un admin
+drop policy if exists "perfil propio" on public.profiles;
+create policy "perfil propio" on public.profiles
+  for update to authenticated
+  using (id = auth.uid() or public.is_admin())
+  with check (
+    public.is_admin()
+    or (id = auth.uid() and role = (select p.role from public.profiles p where p.id = auth.uid()))
+  );
+
+-- Propietario de reservas y series. Las filas anteriores quedan sin dueño
+-- y solo un admin puede modificarlas.
+alter table public.bookings
+  add column if not exists owner_id uuid references auth.users (id) on delete set null default auth.uid();
+alter table public.booking_series
+  add column if not exists owner_id uuid references auth.users (id) on delete set null default auth.uid();
+
+create index if not exists bookings_owner_idx on public.bookings (owner_id);
+
+drop policy if exists "bookings abiertas" on public.bookings;
+drop policy if exists "bookings lectura" on public.bookings;
+drop policy if exists "bookings alta" on public.bookings;
+drop policy if exists "bookings cambios" on public.bookings;
+drop policy if exists "bookings borrado" on public.bookings;
+
+create policy "bookings lectura" on public.bookings
+  for select to authenticated using (true);
+create policy "bookings alta" on public.bookings
+  for insert to authenticated with check (owner_id = auth.uid() or public.is_admin());
+create policy "bookings cambios" on public.bookings
+  for update to authenticated
+  using (owner_id = auth.uid() or public.is_admin())
+  with check (owner_id = auth.uid() or public.is_admin());
+create policy "bookings borrado" on public.bookings
+  for delete to authenticated using (owner_id = auth.uid() or public.is_admin());
+
+drop policy if exists "series abiertas" on public.booking_series;
+drop policy if exists "series lectura" on public.booking_series;
+drop policy if exists "series alta" on public.booking_series;
+drop policy if exists "series cambios" on public.booking_series;
+drop policy if exists "series borrado" on public.booking_series;
+
+create policy "series lectura" on public.booking_series
+  for select to authenticated using (true);
+create policy "series alta" on public.booking_series
+  for insert to authenticated with check (owner_id = auth.uid() or public.is_admin());
+create policy "series cambios" on public.booking_series
+  for update to authenticated
+  using (owner_id = auth.uid() or public.is_admin())
+  with check (owner_id = auth.uid() or public.is_admin());
+create policy "series borrado" on public.booking_series
+  for delete to authenticated using (owner_id = auth.uid() or public.is_admin());
+
+-- Ajustes y despachos: ahora solo para usuarios con sesión
+drop policy if exists "settings abiertos" on public.settings;
+create policy "settings abiertos" on public.settings
+  for all to authenticated using (true) with check (true);
+
+drop policy if exists "rooms abiertos" on public.rooms;
+create policy "rooms abiertos" on public.rooms
+  for all to authenticated using (true) with check (true);
+
+-- Para nombrar al primer admin (desde el SQL editor):
+--   update public.profiles set role = 'admin'
+--   where id = (select id from auth.users where email = 'alguien@empresa.com');
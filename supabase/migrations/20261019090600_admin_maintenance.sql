@@ -0,0 +1,72 @@
+-- Ajustes y catálogo de despachos: todos leen, solo admins modifican.
+drop policy if exists "settings abiertos" on public.settings;
+drop policy if exists "settings lectura" on public.settings;
+drop policy if exists "settings admin" on public.settings;
+create policy "settings lectura" on public.settings
+  for select to authenticated using (true);
+create policy "settings admin" on public.settings
+  for all to authenticated using (public.is_admin()) with check (public.is_admin());
+
+drop policy if exists "rooms abiertos" on public.rooms;
+drop policy if exists "rooms lectura" on public.rooms;
+drop policy if exists "rooms admin" on public.rooms;
+create policy "rooms lectura" on public.rooms
+  for select to authenticated using (true);
+create policy "rooms admin" on public.rooms
+  for all to authenticated using (public.is_admin()) with check (public.is_admin());
+
+-- Borrado masivo para mantenimiento. Con p_dry_run solo cuenta.
+--   p_from/p_to       reservas que tocan ese intervalo
+--   p_ended_before    alternativa: reservas ya terminadas antes de esa fecha
+--   p_room_id         limitar a un despacho
+-- Las ocurrencias de series borradas quedan como EXDATE y las series
+-- vacías desaparecen.
+create or replace function public.admin_delete_bookings(
+  p_from timestamptz default null,
+  p_to timestamptz default null,
+  p_room_id uuid default null,
+  p_ended_before timestamptz default null,
+  p_dry_run boolean default true
+)
+returns integer
+language plpgsql
+as $$
+declare
+  v_count integer;
+begin
+  if not public.is_admin() then
+    raise exception 'Solo un administrador puede hacer esto' using errcode = '42501';
+  end if;
+  if p_ended_before is null and (p_from is null or p_to is null) then
+    raise exception 'Falta el intervalo';
+  end if;
+
+  create temporary table _affected on commit drop as
+  select b.id, b.series_id, b.start
+  from public.bookings b
+  where (p_room_id is null or b.room_id = p_room_id)
+    and case
+      when p_ended_before is not null then b."end" <= p_ended_before
+      else b.start < p_to and b."end" > p_from
+    end;
+
+  select count(*) into v_count from _affected;
+  if p_dry_run then
+    drop table _affected;
+    return v_count;
+  end if;
+
+  update public.booking_series s
+  set exdates = s.exdates || array(select a.start from _affected a where a.series_id = s.id)
+  where s.id in (select series_id from _affected where series_id is not null);
+
+  delete from public.bookings where id in (select id from _affected);
+
+  delete from public.booking_series s
+  where s.id in (select series_id from _affected where series_id is not null)
+    and not exists (select 1 from public.bookings b where b.series_id = s.id);
+
+  drop table _affected;
+  return v_count;
+end;
+$$;
@@ -0,0 +1,237 @@
+-- Cancelaciones "blandas" y número de secuencia para que los calendarios
+-- suscritos (feeds .ics) vean cambios y anulaciones en lugar de duplicados.
+alter table public.bookings
+  add column if not exists status text not null default 'confirmed'
+    check (status in ('confirmed', 'cancelled')),
+  add column if not exists sequence integer not null default 0;
+
+create index if not exists bookings_status_start_idx on public.bookings (status, start);
+
+-- Solo las reservas vigentes ocupan el despacho
+alter table public.bookings drop constraint if exists bookings_no_overlap;
+alter table public.bookings
+  add constraint bookings_no_overlap
+  exclude using gist (room_id with =, tstzrange(start, "end", '[)') with &&)
+  where (status = 'confirmed');
+
+-- SEQUENCE sube con cada cambio visible en el calendario
+create or replace function public.bookings_bump_sequence()
+returns trigger
+language plpgsql
+as $$
+begin
+  if (new.start, new."end", new.room_id, new.person, new.purpose, new.status)
+     is distinct from (old.start, old."end", old.room_id, old.person, old.purpose, old.status) then
+    new.sequence := old.sequence + 1;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists bookings_sequence on public.bookings;
+create trigger bookings_sequence
+  before update on public.bookings
+  for each row execute function public.bookings_bump_sequence();
+
+create or replace function public.booking_conflicts(
+  p_room_id uuid,
+  p_start timestamptz,
+  p_end timestamptz,
+  p_exclude_id uuid default null
+)
+returns setof public.bookings
+language sql
+stable
+as $$
+  select *
+  from public.bookings b
+  where b.room_id = p_room_id
+    and b.status = 'confirmed'
+    and tstzrange(b.start, b."end", '[)') && tstzrange(p_start, p_end, '[)')
+    and (p_exclude_id is null or b.id <> p_exclude_id)
+  order by b.start;
+$$;
+
+-- Las series ya no borran filas: las ocurrencias sustituidas o anuladas
+-- quedan como 'cancelled' (y la serie se conserva aunque no le queden
+-- reservas vigentes).
+create or replace function public.save_booking_series(
+  p_series jsonb,
+  p_occurrences jsonb,
+  p_previous_id uuid default null,
+  p_from timestamptz default null,
+  p_previous_until date default null
+)
+returns uuid
+language plpgsql
+as $$
+declare
+  v_id uuid := (p_series ->> 'id')::uuid;
+begin
+  if p_previous_id is not null then
+    update public.bookings
+    set status = 'cancelled'
+    where series_id = p_previous_id
+      and status = 'confirmed'
+      and start >= coalesce(p_from, '-infinity'::timestamptz);
+
+    if p_previous_id <> v_id then
+      update public.booking_series
+      set until = p_previous_until, count = null
+      where id = p_previous_id;
+    end if;
+  end if;
+
+  insert into public.booking_series (
+    id, room_id, person, purpose, freq, "interval", weekdays,
+    dtstart, duration_minutes, until, count, exdates
+  )
+  values (
+    v_id,
+    (p_series ->> 'room_id')::uuid,
+    p_series ->> 'person',
+    p_series ->> 'purpose',
+    p_series ->> 'freq',
+    coalesce((p_series ->> 'interval')::integer, 1),
+    coalesce(array(select jsonb_array_elements_text(p_series -> 'weekdays'))::smallint[], '{}'),
+    (p_series ->> 'dtstart')::timestamptz,
+    (p_series ->> 'duration_minutes')::integer,
+    (p_series ->> 'until')::date,
+    (p_series ->> 'count')::integer,
+    coalesce(array(select jsonb_array_elements_text(p_series -> 'exdates'))::timestamptz[], '{}')
+  )
+  on conflict (id) do update set
+    room_id = excluded.room_id,
+    person = excluded.person,
+    purpose = excluded.purpose,
+    freq = excluded.freq,
+    "interval" = excluded."interval",
+    weekdays = excluded.weekdays,
+    dtstart = excluded.dtstart,
+    duration_minutes = excluded.duration_minutes,
+    until = excluded.until,
+    count = excluded.count,
+    exdates = excluded.exdates;
+
+  insert into public.bookings (id, room_id, person, purpose, start, "end", series_id, created_at)
+  select o.id, (p_series ->> 'room_id')::uuid, p_series ->> 'person', p_series ->> 'purpose',
+         o.start, o."end", v_id, now()
+  from jsonb_to_recordset(p_occurrences) as o(id uuid, start timestamptz, "end" timestamptz);
+
+  return v_id;
+end;
+$$;
+
+create or replace function public.cancel_booking_series(
+  p_series_id uuid,
+  p_scope text,
+  p_occurrence_id uuid default null,
+  p_until date default null
+)
+returns void
+language plpgsql
+as $$
+declare
+  v_start timestamptz;
+begin
+  if p_scope = 'series' then
+    update public.bookings
+    set status = 'cancelled'
+    where series_id = p_series_id and status = 'confirmed';
+    return;
+  end if;
+
+  select start into v_start
+  from public.bookings
+  where id = p_occurrence_id and series_id = p_series_id;
+  if v_start is null then
+    raise exception 'La ocurrencia no pertenece a la serie';
+  end if;
+
+  if p_scope = 'this' then
+    update public.bookings set status = 'cancelled' where id = p_occurrence_id;
+    update public.booking_series
+    set exdates = array_append(exdates, v_start)
+    where id = p_series_id;
+  elsif p_scope = 'following' then
+    update public.bookings
+    set status = 'cancelled'
+    where series_id = p_series_id and status = 'confirmed' and start >= v_start;
+    update public.booking_series
+    set until = p_until, count = null
+    where id = p_series_id;
+  else
+    raise exception 'Ámbito desconocido: %', p_scope;
+  end if;
+end;
+$$;
+
+-- Vaciar un intervalo / cerrar un despacho = cancelar (los calendarios se
+-- enteran); purgar antiguas (p_ended_before) = borrar de verdad.
+create or replace function public.admin_delete_bookings(
+  p_from timestamptz default null,
+  p_to timestamptz default null,
+  p_room_id uuid default null,
+  p_ended_before timestamptz default null,
+  p_dry_run boolean default true
+)
+returns integer
+language plpgsql
+as $$
+declare
+  v_count integer;
+begin
+  if not public.is_admin() then
+    raise exception 'Solo un administrador puede hacer esto' using errcode = '42501';
+  end if;
+  if p_ended_before is null and (p_from is null or p_to is null) then
+    raise exception 'Falta el intervalo';
+  end if;
+
+  create temporary table _affected on commit drop as
+  select b.id, b.series_id, b.start
+  from public.bookings b
+  where (p_room_id is null or b.room_id = p_room_id)
+    and case
+      when p_ended_before is not null then b."end" <= p_ended_before
+      else b.status = 'confirmed' and b.start < p_to and b."end" > p_from
+    end;
+
+  select count(*) into v_count from _affected;
+  if p_dry_run then
+    drop table _affected;
+    return v_count;
+  end if;
+
+  if p_ended_before is not null then
+    delete from public.bookings where id in (select id from _affected);
+    delete from public.booking_series s
+    where not exists (select 1 from public.bookings b where b.series_id = s.id);
+  else
+    update public.booking_series s
+    set exdates = s.exdates || array(select a.start from _affected a where a.series_id = s.id)
+    where s.id in (select series_id from _affected where series_id is not null);
+
+    update public.bookings set status = 'cancelled' where id in (select id from _affected);
+  end if;
+
+  drop table _affected;
+  return v_count;
+end;
+$$;
+
+-- Token secreto por usuario para las URLs de suscripción (los clientes
+-- de calendario no pueden mandar un JWT). Solo lo ve su dueño.
+create table if not exists public.feed_tokens (
+  user_id uuid primary key references auth.users (id) on delete cascade,
+  token uuid not null unique default gen_random_uuid(),
+  created_at timestamptz not null default now()
+);
+
+alter table public.feed_tokens enable row level security;
+
+drop policy if exists "token propio" on public.feed_tokens;
+create policy "token propio" on public.feed_tokens
+  for all to authenticated
+  using (user_id = auth.uid())
+  with check (user_id = auth.uid());
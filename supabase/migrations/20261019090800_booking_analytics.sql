@@ -0,0 +1,173 @@
+-- Estadísticas de uso. Todas reciben días locales [p_from, p_to] (ambos
+-- incluidos) y la zona de la oficina; se ejecutan con los permisos de quien
+-- llama, así que respetan RLS.
+
+-- Límites UTC de un día local
+create or replace function public.local_day_bounds(p_day date, p_tz text)
+returns tstzrange
+language sql
+stable
+as $$
+  select tstzrange(p_day::timestamp at time zone p_tz, (p_day + 1)::timestamp at time zone p_tz, '[)');
+$$;
+
+-- Ocupación por despacho y semana: minutos reservados dentro del horario de
+-- apertura / minutos abiertos de los días del periodo que caen en esa semana.
+create or replace function public.booking_occupancy_by_week(
+  p_from date,
+  p_to date,
+  p_tz text default 'Europe/Madrid'
+)
+returns table (
+  room_id uuid,
+  week_start date,
+  booked_minutes numeric,
+  available_minutes integer,
+  occupancy numeric
+)
+language sql
+stable
+as $$
+  with s as (
+    select start_hour, end_hour from public.settings where id = 1
+  ),
+  days as (
+    select d::date as day
+    from generate_series(p_from::timestamp, p_to::timestamp, interval '1 day') d
+  ),
+  open_slots as (
+    select date_trunc('week', d.day)::date as week_start,
+      tstzrange(
+        (d.day + make_interval(hours => s.start_hour))::timestamp at time zone p_tz,
+        (d.day + make_interval(hours => s.end_hour))::timestamp at time zone p_tz,
+        '[)'
+      ) as slot
+    from days d cross join s
+  ),
+  weeks as (
+    select week_start, count(*)::integer as n_days from open_slots group by week_start
+  ),
+  booked as (
+    select b.room_id, o.week_start,
+      sum(extract(epoch from upper(x.r) - lower(x.r)) / 60) as minutes
+    from public.bookings b
+    join open_slots o on tstzrange(b.start, b."end", '[)') && o.slot
+    cross join lateral (select tstzrange(b.start, b."end", '[)') * o.slot as r) x
+    where b.status = 'confirmed'
+    group by b.room_id, o.week_start
+  )
+  select r.id,
+    w.week_start,
+    round(coalesce(bk.minutes, 0), 1),
+    w.n_days * (s.end_hour - s.start_hour) * 60,
+    round(coalesce(bk.minutes, 0) / nullif(w.n_days * (s.end_hour - s.start_hour) * 60, 0), 4)
+  from public.rooms r
+  cross join weeks w
+  cross join s
+  left join booked bk on bk.room_id = r.id and bk.week_start = w.week_start
+  where r.active or bk.minutes > 0
+  order by r.position, w.week_start;
+$$;
+
+-- Horas punta: minutos reservados por día de la semana (ISO, 1 = lunes) y
+-- hora local, y la ocupación media de esa franja sobre los despachos activos.
+create or replace function public.booking_peak_hours(
+  p_from date,
+  p_to date,
+  p_tz text default 'Europe/Madrid'
+)
+returns table (
+  weekday integer,
+  hour integer,
+  booked_minutes numeric,
+  occupancy numeric
+)
+language sql
+stable
+as $$
+  with hours as (
+    select h,
+      tstzrange(h at time zone p_tz, (h + interval '1 hour') at time zone p_tz, '[)') as slot
+    from generate_series(
+      p_from::timestamp,
+      (p_to + 1)::timestamp - interval '1 hour',
+      interval '1 hour'
+    ) h
+  ),
+  per_hour as (
+    select hr.h,
+      coalesce(sum(extract(epoch from upper(x.r) - lower(x.r)) / 60), 0) as minutes
+    from hours hr
+    left join public.bookings b
+      on b.status = 'confirmed' and tstzrange(b.start, b."end", '[)') && hr.slot
+    left join lateral (select tstzrange(b.start, b."end", '[)') * hr.slot as r) x on true
+    group by hr.h
+  ),
+  active_rooms as (
+    select greatest(count(*), 1) as n from public.rooms where active
+  )
+  select extract(isodow from p.h)::integer,
+    extract(hour from p.h)::integer,
+    round(sum(p.minutes), 1),
+    round(sum(p.minutes) / (count(*) * 60 * max(a.n)), 4)
+  from per_hour p cross join active_rooms a
+  group by 1, 2
+  order by 1, 2;
+$$;
+
+-- Quién reserva más (por `person`, sin distinguir mayúsculas ni espacios)
+create or replace function public.booking_top_people(
+  p_from date,
+  p_to date,
+  p_tz text default 'Europe/Madrid',
+  p_limit integer default 10
+)
+returns table (
+  person text,
+  bookings bigint,
+  booked_minutes numeric,
+  cancelled bigint
+)
+language sql
+stable
+as $$
+  select min(trim(b.person)),
+    count(*) filter (where b.status = 'confirmed'),
+    round(coalesce(sum(extract(epoch from b."end" - b.start) / 60)
+      filter (where b.status = 'confirmed'), 0), 1),
+    count(*) filter (where b.status = 'cancelled')
+  from public.bookings b
+  where b.start >= lower(public.local_day_bounds(p_from, p_tz))
+    and b.start < upper(public.local_day_bounds(p_to, p_tz))
+    and coalesce(trim(b.person), '') <> ''
+  group by lower(trim(b.person))
+  order by 3 desc, 2 desc
+  limit p_limit;
+$$;
+
+-- Resumen del periodo (por fecha de inicio de la reserva)
+create or replace function public.booking_summary(
+  p_from date,
+  p_to date,
+  p_tz text default 'Europe/Madrid'
+)
+returns table (
+  total bigint,
+  confirmed bigint,
+  cancelled bigint,
+  avg_minutes numeric,
+  cancellation_rate numeric
+)
+language sql
+stable
+as $$
+  select count(*),
+    count(*) filter (where b.status = 'confirmed'),
+    count(*) filter (where b.status = 'cancelled'),
+    round(avg(extract(epoch from b."end" - b.start) / 60)
+      filter (where b.status = 'confirmed'), 1),
+    round((count(*) filter (where b.status = 'cancelled'))::numeric / nullif(count(*), 0), 4)
+  from public.bookings b
+  where b.start >= lower(public.local_day_bounds(p_from, p_tz))
+    and b.start < upper(public.local_day_bounds(p_to, p_tz));
+$$;
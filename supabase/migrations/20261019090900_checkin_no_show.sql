@@ -0,0 +1,163 @@
+-- Check-in y liberación automática de reservas no ocupadas ("no-show").
+-- Con el check-in activado, una reserva sin check-in pasados los minutos de
+-- cortesía queda como 'no_show' y deja libre el despacho (la exclusion
+-- constraint solo cuenta las 'confirmed').
+alter table public.settings
+  add column if not exists checkin_enabled boolean not null default false,
+  add column if not exists checkin_open_minutes integer not null default 15
+    check (checkin_open_minutes >= 0),
+  add column if not exists checkin_grace_minutes integer not null default 15
+    check (checkin_grace_minutes > 0),
+  -- solo se liberan reservas que empiezan después de activarlo
+  add column if not exists checkin_since timestamptz;
+
+create or replace function public.settings_checkin_since()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.checkin_enabled and (tg_op = 'INSERT' or not old.checkin_enabled) then
+    new.checkin_since := now();
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists settings_checkin_since on public.settings;
+create trigger settings_checkin_since
+  before insert or update on public.settings
+  for each row execute function public.settings_checkin_since();
+
+alter table public.bookings
+  add column if not exists checked_in_at timestamptz;
+alter table public.bookings drop constraint if exists bookings_status_check;
+alter table public.bookings
+  add constraint bookings_status_check check (status in ('confirmed', 'cancelled', 'no_show'));
+
+-- Registro de ausencias por persona (sobrevive a purgas de reservas)
+create table if not exists public.no_shows (
+  booking_id uuid primary key,
+  owner_id uuid references auth.users (id) on delete set null,
+  person text,
+  room_id uuid references public.rooms (id) on delete set null,
+  start timestamptz not null,
+  released_at timestamptz not null default now()
+);
+create index if not exists no_shows_person_idx on public.no_shows (lower(trim(person)));
+
+alter table public.no_shows enable row level security;
+drop policy if exists "no_shows lectura" on public.no_shows;
+create policy "no_shows lectura" on public.no_shows
+  for select to authenticated using (true);
+
+create or replace view public.no_show_counts
+with (security_invoker = true) as
+select min(trim(person)) as person, count(*) as no_shows, max(start) as last_start
+from public.no_shows
+group by lower(trim(person));
+
+-- Check-in: solo dueño o admin (RLS), desde N minutos antes del inicio y
+-- mientras siga vigente (quien llega tarde pero antes de la liberación entra).
+create or replace function public.check_in_booking(p_id uuid)
+returns public.bookings
+language plpgsql
+as $$
+declare
+  v_settings public.settings;
+  v_booking public.bookings;
+begin
+  select * into v_settings from public.settings where id = 1;
+  select * into v_booking from public.bookings where id = p_id for update;
+  if not found or v_booking.status <> 'confirmed' then
+    raise exception 'La reserva ya no está vigente' using errcode = 'P0002';
+  end if;
+  if v_booking.checked_in_at is not null then
+    return v_booking;
+  end if;
+  if now() < v_booking.start - make_interval(mins => v_settings.checkin_open_minutes) then
+    raise exception 'Aún no se puede hacer check-in' using errcode = '22023';
+  end if;
+  if now() >= v_booking."end" then
+    raise exception 'La reserva ya ha terminado' using errcode = '22023';
+  end if;
+
+  update public.bookings set checked_in_at = now() where id = p_id
+  returning * into v_booking;
+  if not found then
+    raise exception 'Solo quien reservó puede hacer check-in' using errcode = '42501';
+  end if;
+  return v_booking;
+end;
+$$;
+
+-- Libera las reservas sin check-in cuya cortesía ha vencido. La llama
+-- pg_cron cada minuto; devuelve cuántas ha liberado.
+create or replace function public.release_no_shows()
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_settings public.settings;
+  v_count integer;
+begin
+  select * into v_settings from public.settings where id = 1;
+  if not coalesce(v_settings.checkin_enabled, false) then
+    return 0;
+  end if;
+
+  with released as (
+    update public.bookings b
+    set status = 'no_show'
+    where b.status = 'confirmed'
+      and b.checked_in_at is null
+      and b.start >= v_settings.checkin_since
+      and b.start + make_interval(mins => v_settings.checkin_grace_minutes) <= now()
+    returning b.id, b.owner_id, b.person, b.room_id, b.start
+  )
+  insert into public.no_shows (booking_id, owner_id, person, room_id, start)
+  select id, owner_id, person, room_id, start from released
+  on conflict (booking_id) do nothing;
+
+  get diagnostics v_count = row_count;
+  return v_count;
+end;
+$$;
+revoke execute on function public.release_no_shows() from public, anon, authenticated;
+
+create extension if not exists pg_cron;
+select cron.schedule('release-no-shows', '* * * * *', 'select public.release_no_shows()');
+
+-- Las estadísticas por persona incluyen ahora las ausencias del periodo
+drop function if exists public.booking_top_people(date, date, text, integer);
+create or replace function public.booking_top_people(
+  p_from date,
+  p_to date,
+  p_tz text default 'Europe/Madrid',
+  p_limit integer default 10
+)
+returns table (
+  person text,
+  bookings bigint,
+  booked_minutes numeric,
+  cancelled bigint,
+  no_shows bigint
+)
+language sql
+stable
+as $$
+  select min(trim(b.person)),
+    count(*) filter (where b.status = 'confirmed'),
+    round(coalesce(sum(extract(epoch from b."end" - b.start) / 60)
+      filter (where b.status = 'confirmed'), 0), 1),
+    count(*) filter (where b.status = 'cancelled'),
+    count(*) filter (where b.status = 'no_show')
+  from public.bookings b
+  where b.start >= lower(public.local_day_bounds(p_from, p_tz))
+    and b.start < upper(public.local_day_bounds(p_to, p_tz))
+    and coalesce(trim(b.person), '') <> ''
+  group by lower(trim(b.person))
+  order by 3 desc, 2 desc
+  limit p_limit;
+$$;
@@ -0,0 +1,200 @@
+-- Lista de espera para huecos ocupados. Cuando una reserva deja de ocupar un
+-- tramo (se cancela, se libera por no-show, se mueve o se borra), el primero
+-- que espera un tramo ya libre recibe una oferta; si no la reclama en
+-- `waitlist_claim_minutes`, pasa al siguiente.
+alter table public.settings
+  add column if not exists waitlist_claim_minutes integer not null default 15
+    check (waitlist_claim_minutes > 0);
+
+create table if not exists public.waitlist (
+  id uuid primary key default gen_random_uuid(),
+  room_id uuid not null references public.rooms (id) on delete cascade,
+  start timestamptz not null,
+  "end" timestamptz not null check ("end" > start),
+  user_id uuid not null default auth.uid() references auth.users (id) on delete cascade,
+  person text,
+  purpose text,
+  status text not null default 'waiting'
+    check (status in ('waiting', 'offered', 'claimed', 'expired', 'cancelled')),
+  offered_at timestamptz,
+  offer_expires_at timestamptz,
+  created_at timestamptz not null default now()
+);
+create index if not exists waitlist_pending_idx on public.waitlist (room_id, start)
+  where status in ('waiting', 'offered');
+
+alter table public.waitlist enable row level security;
+drop policy if exists "waitlist propia" on public.waitlist;
+create policy "waitlist propia" on public.waitlist
+  for select to authenticated using (user_id = auth.uid() or public.is_admin());
+drop policy if exists "waitlist alta" on public.waitlist;
+create policy "waitlist alta" on public.waitlist
+  for insert to authenticated with check (user_id = auth.uid() and status = 'waiting');
+-- cada uno solo puede retirarse; ofertas y caducidad las gestiona el servidor
+drop policy if exists "waitlist baja" on public.waitlist;
+create policy "waitlist baja" on public.waitlist
+  for update to authenticated
+  using (user_id = auth.uid())
+  with check (user_id = auth.uid() and status in ('cancelled', 'claimed'));
+
+do $$
+begin
+  alter publication supabase_realtime add table public.waitlist;
+exception when duplicate_object then null;
+end $$;
+
+-- Ofrece lo que haya quedado libre en [p_start, p_end) del despacho, por
+-- orden de llegada. Un tramo solo se ofrece a una persona a la vez.
+create or replace function public.offer_waitlist(
+  p_room_id uuid,
+  p_start timestamptz,
+  p_end timestamptz
+)
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_minutes integer;
+  v_entry public.waitlist;
+  v_count integer := 0;
+begin
+  select waitlist_claim_minutes into v_minutes from public.settings where id = 1;
+  for v_entry in
+    select * from public.waitlist w
+    where w.room_id = p_room_id
+      and w.status = 'waiting'
+      and w."end" > now()
+      and tstzrange(w.start, w."end", '[)') && tstzrange(p_start, p_end, '[)')
+    order by w.created_at
+    for update skip locked
+  loop
+    continue when exists (
+      select 1 from public.bookings b
+      where b.room_id = v_entry.room_id
+        and b.status = 'confirmed'
+        and tstzrange(b.start, b."end", '[)') && tstzrange(v_entry.start, v_entry."end", '[)')
+    );
+    continue when exists (
+      select 1 from public.waitlist o
+      where o.room_id = v_entry.room_id
+        and o.status = 'offered'
+        and tstzrange(o.start, o."end", '[)') && tstzrange(v_entry.start, v_entry."end", '[)')
+    );
+    update public.waitlist
+    set status = 'offered',
+      offered_at = now(),
+      offer_expires_at = now() + make_interval(mins => coalesce(v_minutes, 15))
+    where id = v_entry.id;
+    v_count := v_count + 1;
+  end loop;
+  return v_count;
+end;
+$$;
+revoke execute on function public.offer_waitlist(uuid, timestamptz, timestamptz)
+  from public, anon, authenticated;
+
+create or replace function public.bookings_offer_waitlist()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if tg_op = 'DELETE' then
+    if old.status = 'confirmed' then
+      perform public.offer_waitlist(old.room_id, old.start, old."end");
+    end if;
+    return old;
+  end if;
+  if old.status = 'confirmed'
+     and (new.status <> 'confirmed'
+       or (new.room_id, new.start, new."end") is distinct from (old.room_id, old.start, old."end")) then
+    perform public.offer_waitlist(old.room_id, old.start, old."end");
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists bookings_waitlist on public.bookings;
+create trigger bookings_waitlist
+  after update or delete on public.bookings
+  for each row execute function public.bookings_offer_waitlist();
+
+-- Reclamar una oferta: crea la reserva a nombre de quien esperaba. Si alguien
+-- ha reservado el hueco por otra vía, salta la exclusion constraint (23P01).
+create or replace function public.claim_waitlist_offer(p_id uuid)
+returns uuid
+language plpgsql
+as $$
+declare
+  v_entry public.waitlist;
+  v_booking_id uuid := gen_random_uuid();
+begin
+  select * into v_entry from public.waitlist
+  where id = p_id and user_id = auth.uid()
+  for update;
+  if not found or v_entry.status <> 'offered' then
+    raise exception 'La oferta ya no está disponible' using errcode = 'P0002';
+  end if;
+  if v_entry.offer_expires_at <= now() then
+    raise exception 'La oferta ha caducado' using errcode = 'P0002';
+  end if;
+
+  insert into public.bookings (id, room_id, person, purpose, start, "end")
+  values (v_booking_id, v_entry.room_id, v_entry.person, v_entry.purpose, v_entry.start, v_entry."end");
+  update public.waitlist set status = 'claimed' where id = p_id;
+  return v_booking_id;
+end;
+$$;
+
+-- Caducan las ofertas no reclamadas (y se ofrecen al siguiente) y las
+-- esperas de tramos ya pasados. pg_cron, cada minuto.
+create or replace function public.expire_waitlist_offers()
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_entry public.waitlist;
+  v_count integer := 0;
+begin
+  update public.waitlist set status = 'expired'
+  where status = 'waiting' and "end" <= now();
+
+  for v_entry in
+    update public.waitlist set status = 'expired'
+    where status = 'offered' and offer_expires_at <= now()
+    returning *
+  loop
+    perform public.offer_waitlist(v_entry.room_id, v_entry.start, v_entry."end");
+    v_count := v_count + 1;
+  end loop;
+  return v_count;
+end;
+$$;
+revoke execute on function public.expire_waitlist_offers() from public, anon, authenticated;
+
+select cron.schedule('expire-waitlist-offers', '* * * * *', 'select public.expire_waitlist_offers()');
+
+-- Quien renuncia a una oferta la pasa al siguiente sin esperar a que caduque
+create or replace function public.waitlist_pass_on()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if old.status = 'offered' and new.status = 'cancelled' then
+    perform public.offer_waitlist(new.room_id, new.start, new."end");
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists waitlist_pass_on on public.waitlist;
+create trigger waitlist_pass_on
+  after update of status on public.waitlist
+  for each row execute function public.waitlist_pass_on();
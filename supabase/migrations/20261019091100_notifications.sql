@@ -0,0 +1,217 @@
+-- Avisos por correo: confirmación, modificación, cancelación y recordatorio
+-- 15 minutos antes. Los triggers solo encolan en `notification_outbox`; el
+-- envío lo hace la Edge Function `send-notifications`, a la que pg_cron
+-- llama cada minuto si hay algo pendiente.
+--
+-- Para que pg_cron pueda llamarla hacen falta dos secretos en Vault:
+--   select vault.create_secret('http://host.docker.internal:54321/functions/v1', 'functions_url');
+--   select vault.create_secret('<service_role key>', 'service_role_key');
+
+-- Preferencias por usuario (sin fila = todo activado)
+create table if not exists public.notification_prefs (
+  user_id uuid primary key default auth.uid() references auth.users (id) on delete cascade,
+  on_created boolean not null default true,
+  on_updated boolean not null default true,
+  on_cancelled boolean not null default true,
+  on_reminder boolean not null default true,
+  updated_at timestamptz not null default now()
+);
+
+alter table public.notification_prefs enable row level security;
+drop policy if exists "avisos propios" on public.notification_prefs;
+create policy "avisos propios" on public.notification_prefs
+  for all to authenticated using (user_id = auth.uid()) with check (user_id = auth.uid());
+
+create or replace function public.wants_notification(p_user_id uuid, p_kind text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce(
+    (select case p_kind
+        when 'created' then on_created
+        when 'updated' then on_updated
+        when 'cancelled' then on_cancelled
+        when 'reminder' then on_reminder
+      end
+     from public.notification_prefs where user_id = p_user_id),
+    true
+  );
+$$;
+
+-- Cola de salida. `booking`/`previous` son fotos de la reserva (con el
+-- nombre del despacho) para que el correo no dependa de cambios posteriores.
+create table if not exists public.notification_outbox (
+  id bigint generated always as identity primary key,
+  kind text not null check (kind in ('created', 'updated', 'cancelled', 'reminder')),
+  booking_id uuid not null,
+  series_id uuid,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  actor_id uuid,
+  booking jsonb not null,
+  previous jsonb,
+  created_at timestamptz not null default now(),
+  locked_until timestamptz,
+  attempts integer not null default 0,
+  last_error text,
+  sent_at timestamptz
+);
+create index if not exists notification_outbox_pending_idx on public.notification_outbox (id)
+  where sent_at is null;
+-- un solo recordatorio por reserva
+create unique index if not exists notification_outbox_reminder_idx
+  on public.notification_outbox (booking_id) where kind = 'reminder';
+
+-- sin políticas: solo la service role (Edge Function) la lee
+alter table public.notification_outbox enable row level security;
+
+create or replace function public.booking_snapshot(p_booking public.bookings)
+returns jsonb
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select to_jsonb(p_booking) || jsonb_build_object(
+    'room_name', (select name from public.rooms where id = p_booking.room_id)
+  );
+$$;
+
+create or replace function public.bookings_enqueue_notification()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_kind text;
+begin
+  if tg_op = 'INSERT' then
+    if new.status <> 'confirmed' then
+      return new;
+    end if;
+    v_kind := 'created';
+  elsif old.status = 'confirmed' and new.status <> 'confirmed' then
+    v_kind := 'cancelled';
+  elsif old.status <> 'confirmed' and new.status = 'confirmed' then
+    v_kind := 'created';
+  elsif new.status = 'confirmed'
+    and (new.start, new."end", new.room_id, new.person, new.purpose)
+      is distinct from (old.start, old."end", old.room_id, old.person, old.purpose) then
+    v_kind := 'updated';
+  else
+    return new;
+  end if;
+
+  if new.owner_id is null or not public.wants_notification(new.owner_id, v_kind) then
+    return new;
+  end if;
+  insert into public.notification_outbox (kind, booking_id, series_id, user_id, actor_id, booking, previous)
+  values (
+    v_kind,
+    new.id,
+    new.series_id,
+    new.owner_id,
+    auth.uid(),
+    public.booking_snapshot(new),
+    case when tg_op = 'UPDATE' and v_kind = 'updated' then public.booking_snapshot(old) end
+  );
+  return new;
+end;
+$$;
+
+drop trigger if exists bookings_notify on public.bookings;
+create trigger bookings_notify
+  after insert or update on public.bookings
+  for each row execute function public.bookings_enqueue_notification();
+
+-- Recordatorios de las reservas que empiezan en los próximos 15 minutos
+-- (no para las creadas ya dentro de ese margen).
+create or replace function public.enqueue_booking_reminders()
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_count integer;
+begin
+  insert into public.notification_outbox (kind, booking_id, series_id, user_id, booking)
+  select 'reminder', b.id, b.series_id, b.owner_id, public.booking_snapshot(b)
+  from public.bookings b
+  where b.status = 'confirmed'
+    and b.owner_id is not null
+    and b.start > now()
+    and b.start <= now() + interval '15 minutes'
+    and b.created_at <= b.start - interval '15 minutes'
+    and public.wants_notification(b.owner_id, 'reminder')
+  on conflict (booking_id) where kind = 'reminder' do nothing;
+  get diagnostics v_count = row_count;
+  return v_count;
+end;
+$$;
+
+-- La Edge Function reserva lotes con esto para que dos ejecuciones
+-- solapadas no manden el mismo correo dos veces.
+create or replace function public.claim_notifications(p_limit integer default 100)
+returns setof public.notification_outbox
+language sql
+security definer
+set search_path = public
+as $$
+  update public.notification_outbox o
+  set locked_until = now() + interval '5 minutes', attempts = o.attempts + 1
+  where o.id in (
+    select id from public.notification_outbox
+    where sent_at is null
+      and attempts < 5
+      and (locked_until is null or locked_until < now())
+    order by id
+    limit p_limit
+    for update skip locked
+  )
+  returning o.*;
+$$;
+
+create extension if not exists pg_net;
+
+create or replace function public.dispatch_notifications()
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_url text;
+  v_key text;
+begin
+  perform public.enqueue_booking_reminders();
+  if not exists (
+    select 1 from public.notification_outbox
+    where sent_at is null and attempts < 5 and (locked_until is null or locked_until < now())
+  ) then
+    return;
+  end if;
+  select decrypted_secret into v_url from vault.decrypted_secrets where name = 'functions_url';
+  select decrypted_secret into v_key from vault.decrypted_secrets where name = 'service_role_key';
+  if v_url is null or v_key is null then
+    return;
+  end if;
+  perform net.http_post(
+    url := v_url || '/send-notifications',
+    headers := jsonb_build_object(
+      'Authorization', 'Bearer ' || v_key,
+      'Content-Type', 'application/json'
+    ),
+    body := '{}'::jsonb
+  );
+end;
+$$;
+
+revoke execute on function public.enqueue_booking_reminders() from public, anon, authenticated;
+revoke execute on function public.claim_notifications(integer) from public, anon, authenticated;
+revoke execute on function public.dispatch_notifications() from public, anon, authenticated;
+
+select cron.schedule('dispatch-notifications', '* * * * *', 'select public.dispatch_notifications()');
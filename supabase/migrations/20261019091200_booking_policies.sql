@@ -0,0 +1,147 @@
+-- Políticas y cupos de reserva. Todas son opcionales (null / vacío = sin
+-- límite) y no se aplican a los administradores. La app las comprueba antes
+-- de guardar (policyViolation) y este trigger las hace cumplir; el mensaje
+-- nombra la regla y es el mismo en los dos sitios.
+alter table public.settings
+  add column if not exists max_advance_days integer check (max_advance_days > 0),
+  add column if not exists max_active_bookings integer check (max_active_bookings > 0),
+  add column if not exists max_weekly_hours numeric check (max_weekly_hours > 0),
+  add column if not exists buffer_minutes integer not null default 0 check (buffer_minutes >= 0);
+
+alter table public.rooms
+  add column if not exists max_duration_minutes integer check (max_duration_minutes > 0),
+  -- vacío = cualquiera; si no, solo usuarios de esos equipos
+  add column if not exists allowed_teams text[] not null default '{}';
+
+alter table public.profiles
+  add column if not exists team text;
+
+-- El equipo decide a qué despachos se puede acceder: solo lo cambia un admin
+drop policy if exists "perfil propio" on public.profiles;
+create policy "perfil propio" on public.profiles
+  for update to authenticated
+  using (id = auth.uid() or public.is_admin())
+  with check (
+    public.is_admin()
+    or (
+      id = auth.uid()
+      and role = (select p.role from public.profiles p where p.id = auth.uid())
+      and team is not distinct from (select p.team from public.profiles p where p.id = auth.uid())
+    )
+  );
+
+create or replace function public.bookings_enforce_policies()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_settings public.settings;
+  v_room public.rooms;
+  v_team text;
+  v_active integer;
+  v_week_minutes numeric;
+  v_week_start timestamptz;
+begin
+  if new.status <> 'confirmed' then
+    return new;
+  end if;
+  -- check-in, cambios de texto, etc. no vuelven a pasar por las reglas
+  if tg_op = 'UPDATE'
+    and old.status = 'confirmed'
+    and (new.room_id, new.start, new."end", new.owner_id)
+      is not distinct from (old.room_id, old.start, old."end", old.owner_id) then
+    return new;
+  end if;
+  if public.is_admin() then
+    return new;
+  end if;
+
+  select * into v_settings from public.settings where id = 1;
+  select * into v_room from public.rooms where id = new.room_id;
+
+  if v_room.max_duration_minutes is not null
+    and new."end" - new.start > make_interval(mins => v_room.max_duration_minutes) then
+    raise exception 'Regla «Duración máxima»: en % cada reserva puede durar como mucho % min',
+      v_room.name, v_room.max_duration_minutes
+      using errcode = 'RP001';
+  end if;
+
+  if cardinality(v_room.allowed_teams) > 0 then
+    select team into v_team from public.profiles where id = new.owner_id;
+    if v_team is null or not (v_team = any (v_room.allowed_teams)) then
+      raise exception 'Regla «Despacho restringido»: % es solo para %',
+        v_room.name, array_to_string(v_room.allowed_teams, ', ')
+        using errcode = 'RP001';
+    end if;
+  end if;
+
+  if v_settings.max_advance_days is not null
+    and new.start > now() + make_interval(days => v_settings.max_advance_days) then
+    raise exception 'Regla «Antelación máxima»: solo se puede reservar con % días de antelación',
+      v_settings.max_advance_days
+      using errcode = 'RP001';
+  end if;
+
+  -- el solape real lo rechaza la exclusion constraint; aquí solo lo que
+  -- queda demasiado pegado
+  if v_settings.buffer_minutes > 0 and exists (
+    select 1 from public.bookings b
+    where b.room_id = new.room_id
+      and b.id <> new.id
+      and b.status = 'confirmed'
+      and b.start < new."end" + make_interval(mins => v_settings.buffer_minutes)
+      and b."end" > new.start - make_interval(mins => v_settings.buffer_minutes)
+      and not (b.start < new."end" and b."end" > new.start)
+  ) then
+    raise exception 'Regla «Margen entre reservas»: deja % min libres antes y después de otras reservas en %',
+      v_settings.buffer_minutes, v_room.name
+      using errcode = 'RP001';
+  end if;
+
+  if new.owner_id is null then
+    return new;
+  end if;
+
+  -- una serie cuenta como una sola reserva activa
+  if v_settings.max_active_bookings is not null then
+    select count(distinct coalesce(b.series_id, b.id)) into v_active
+    from public.bookings b
+    where b.owner_id = new.owner_id
+      and b.status = 'confirmed'
+      and b."end" > now()
+      and b.id <> new.id
+      and coalesce(b.series_id, b.id) <> coalesce(new.series_id, new.id);
+    if v_active >= v_settings.max_active_bookings then
+      raise exception 'Regla «Reservas activas»: cada persona puede tener como mucho % reservas pendientes',
+        v_settings.max_active_bookings
+        using errcode = 'RP001';
+    end if;
+  end if;
+
+  -- semana de lunes a domingo (hora de Madrid) en la que empieza la reserva
+  if v_settings.max_weekly_hours is not null then
+    v_week_start := date_trunc('week', new.start at time zone 'Europe/Madrid') at time zone 'Europe/Madrid';
+    select coalesce(sum(extract(epoch from b."end" - b.start) / 60), 0) into v_week_minutes
+    from public.bookings b
+    where b.owner_id = new.owner_id
+      and b.status = 'confirmed'
+      and b.id <> new.id
+      and b.start >= v_week_start
+      and b.start < v_week_start + interval '7 days';
+    if v_week_minutes + extract(epoch from new."end" - new.start) / 60 > v_settings.max_weekly_hours * 60 then
+      raise exception 'Regla «Horas semanales»: cada persona puede reservar como mucho % h por semana',
+        v_settings.max_weekly_hours
+        using errcode = 'RP001';
+    end if;
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists bookings_policies on public.bookings;
+create trigger bookings_policies
+  before insert or update on public.bookings
+  for each row execute function public.bookings_enforce_policies();
@@ -0,0 +1,196 @@
+-- Horarios por día de la semana y por despacho, festivos y cierres puntuales.
+-- `settings.start_hour/end_hour` sigue siendo el horario general (y la franja
+-- que muestra la app); los horarios por día lo recortan. Prioridad para un
+-- despacho y un día: festivo > horario del despacho > horario de la oficina
+-- (room_id null) > horario general.
+create table if not exists public.opening_hours (
+  id uuid primary key default gen_random_uuid(),
+  room_id uuid references public.rooms (id) on delete cascade,
+  weekday smallint not null check (weekday between 1 and 7), -- ISO, 1 = lunes
+  -- ambos null = cerrado ese día
+  opens time,
+  closes time,
+  check ((opens is null) = (closes is null)),
+  check (opens < closes),
+  unique nulls not distinct (room_id, weekday)
+);
+
+create table if not exists public.holidays (
+  day date primary key,
+  name text not null
+);
+
+-- Cierres por mantenimiento, obras, etc.; room_id null = toda la oficina
+create table if not exists public.blackouts (
+  id uuid primary key default gen_random_uuid(),
+  room_id uuid references public.rooms (id) on delete cascade,
+  start timestamptz not null,
+  "end" timestamptz not null check ("end" > start),
+  reason text
+);
+create index if not exists blackouts_range_idx on public.blackouts using gist (tstzrange(start, "end", '[)'));
+
+alter table public.opening_hours enable row level security;
+alter table public.holidays enable row level security;
+alter table public.blackouts enable row level security;
+
+drop policy if exists "horarios lectura" on public.opening_hours;
+create policy "horarios lectura" on public.opening_hours
+  for select to authenticated using (true);
+drop policy if exists "horarios admin" on public.opening_hours;
+create policy "horarios admin" on public.opening_hours
+  for all to authenticated using (public.is_admin()) with check (public.is_admin());
+
+drop policy if exists "festivos lectura" on public.holidays;
+create policy "festivos lectura" on public.holidays
+  for select to authenticated using (true);
+drop policy if exists "festivos admin" on public.holidays;
+create policy "festivos admin" on public.holidays
+  for all to authenticated using (public.is_admin()) with check (public.is_admin());
+
+drop policy if exists "cierres lectura" on public.blackouts;
+create policy "cierres lectura" on public.blackouts
+  for select to authenticated using (true);
+drop policy if exists "cierres admin" on public.blackouts;
+create policy "cierres admin" on public.blackouts
+  for all to authenticated using (public.is_admin()) with check (public.is_admin());
+
+do $$
+begin
+  alter publication supabase_realtime add table public.opening_hours;
+exception when duplicate_object then null;
+end $$;
+do $$
+begin
+  alter publication supabase_realtime add table public.holidays;
+exception when duplicate_object then null;
+end $$;
+do $$
+begin
+  alter publication supabase_realtime add table public.blackouts;
+exception when duplicate_object then null;
+end $$;
+
+-- 540 -> '09:00'
+create or replace function public.minutes_label(p_minutes integer)
+returns text
+language sql
+immutable
+as $$
+  select lpad((p_minutes / 60)::text, 2, '0') || ':' || lpad((p_minutes % 60)::text, 2, '0');
+$$;
+
+-- Motivo por el que [p_start, p_end) no se puede reservar en el despacho, o
+-- null. Mismos textos que closureViolation en la app.
+create or replace function public.booking_closure_violation(
+  p_room_id uuid,
+  p_start timestamptz,
+  p_end timestamptz
+)
+returns text
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+  v_weekdays text[] := array['lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábados', 'domingos'];
+  v_settings public.settings;
+  v_room_name text;
+  v_local_start timestamp := p_start at time zone 'Europe/Madrid';
+  v_local_end timestamp := p_end at time zone 'Europe/Madrid';
+  v_day date;
+  v_dow integer;
+  v_holiday text;
+  v_rule public.opening_hours;
+  v_open integer;
+  v_close integer;
+  v_from integer;
+  v_to integer;
+  v_blackout public.blackouts;
+begin
+  select * into v_settings from public.settings where id = 1;
+  select name into v_room_name from public.rooms where id = p_room_id;
+
+  v_day := v_local_start::date;
+  while v_day::timestamp < v_local_end loop
+    select name into v_holiday from public.holidays where day = v_day;
+    if found then
+      return format('Cerrado: el %s es festivo (%s)', to_char(v_day, 'DD/MM/YYYY'), v_holiday);
+    end if;
+
+    v_dow := extract(isodow from v_day)::integer;
+    select * into v_rule from public.opening_hours where room_id = p_room_id and weekday = v_dow;
+    if not found then
+      select * into v_rule from public.opening_hours where room_id is null and weekday = v_dow;
+    end if;
+    if found and v_rule.opens is null then
+      return format('Cerrado: %s no abre los %s', v_room_name, v_weekdays[v_dow]);
+    end if;
+
+    v_open := v_settings.start_hour * 60;
+    v_close := v_settings.end_hour * 60;
+    if found then
+      v_open := greatest(v_open, (extract(epoch from v_rule.opens) / 60)::integer);
+      v_close := least(v_close, (extract(epoch from v_rule.closes) / 60)::integer);
+    end if;
+
+    -- parte de la reserva que cae en este día, en minutos desde las 00:00
+    v_from := case when v_day = v_local_start::date
+      then (extract(epoch from v_local_start - v_day::timestamp) / 60)::integer else 0 end;
+    v_to := (extract(epoch from least(v_local_end, (v_day + 1)::timestamp) - v_day::timestamp) / 60)::integer;
+    if v_from < v_open or v_to > v_close then
+      return format('Fuera de horario: %s abre los %s de %s a %s',
+        v_room_name, v_weekdays[v_dow], public.minutes_label(v_open), public.minutes_label(v_close));
+    end if;
+    v_day := v_day + 1;
+  end loop;
+
+  select * into v_blackout from public.blackouts b
+  where (b.room_id is null or b.room_id = p_room_id)
+    and b.start < p_end
+    and b."end" > p_start
+  order by b.start
+  limit 1;
+  if found then
+    return format('Cerrado por %s: %s del %s al %s',
+      coalesce(nullif(trim(v_blackout.reason), ''), 'mantenimiento'),
+      v_room_name,
+      to_char(v_blackout.start at time zone 'Europe/Madrid', 'DD/MM HH24:MI'),
+      to_char(v_blackout."end" at time zone 'Europe/Madrid', 'DD/MM HH24:MI'));
+  end if;
+  return null;
+end;
+$$;
+
+-- Como las políticas: solo al crear, mover o reactivar una reserva, así las
+-- ya existentes no se bloquean al cambiar el horario. Vale también para admins.
+create or replace function public.bookings_enforce_opening()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_reason text;
+begin
+  if new.status <> 'confirmed' then
+    return new;
+  end if;
+  if tg_op = 'UPDATE'
+    and old.status = 'confirmed'
+    and (new.room_id, new.start, new."end") is not distinct from (old.room_id, old.start, old."end") then
+    return new;
+  end if;
+  v_reason := public.booking_closure_violation(new.room_id, new.start, new."end");
+  if v_reason is not null then
+    raise exception '%', v_reason using errcode = 'RP001';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists bookings_opening on public.bookings;
+create trigger bookings_opening
+  before insert or update on public.bookings
+  for each row execute function public.bookings_enforce_opening();
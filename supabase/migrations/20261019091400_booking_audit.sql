@@ -0,0 +1,123 @@
+-- Registro de actividad de las reservas (solo se añade, nunca se cambia) y
+-- fechas de alta / modificación / cancelación en la propia reserva.
+alter table public.bookings
+  add column if not exists updated_at timestamptz not null default now(),
+  add column if not exists cancelled_at timestamptz,
+  add column if not exists cancelled_by uuid references auth.users (id) on delete set null;
+
+-- created_at no se toca después del alta (antes la app lo reescribía en
+-- cada edición); cancelled_* se rellenan al dejar de estar vigente.
+create or replace function public.bookings_touch()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.created_at := old.created_at;
+  new.updated_at := now();
+  if old.status = 'confirmed' and new.status <> 'confirmed' then
+    new.cancelled_at := now();
+    new.cancelled_by := auth.uid();
+  elsif new.status = 'confirmed' then
+    new.cancelled_at := null;
+    new.cancelled_by := null;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists bookings_touch on public.bookings;
+create trigger bookings_touch
+  before update on public.bookings
+  for each row execute function public.bookings_touch();
+
+create table if not exists public.booking_audit (
+  id bigint generated always as identity primary key,
+  booking_id uuid not null, -- sin FK: el registro sobrevive a las purgas
+  action text not null
+    check (action in ('create', 'update', 'cancel', 'no_show', 'restore', 'delete')),
+  actor_id uuid,
+  -- nombre en el momento del cambio; null = el sistema (pg_cron)
+  actor_name text,
+  at timestamptz not null default now(),
+  changed text[] not null default '{}',
+  before jsonb,
+  after jsonb
+);
+create index if not exists booking_audit_booking_idx on public.booking_audit (booking_id, at);
+create index if not exists booking_audit_at_idx on public.booking_audit (at desc);
+
+-- Historial de una reserva: quien puede verla como suya; todo: admins
+alter table public.booking_audit enable row level security;
+drop policy if exists "actividad lectura" on public.booking_audit;
+create policy "actividad lectura" on public.booking_audit
+  for select to authenticated
+  using (
+    public.is_admin()
+    or coalesce(after ->> 'owner_id', before ->> 'owner_id') = auth.uid()::text
+  );
+
+create or replace function public.booking_audit_append_only()
+returns trigger
+language plpgsql
+as $$
+begin
+  raise exception 'El registro de actividad no se puede modificar' using errcode = '42501';
+end;
+$$;
+
+drop trigger if exists booking_audit_append_only on public.booking_audit;
+create trigger booking_audit_append_only
+  before update or delete on public.booking_audit
+  for each row execute function public.booking_audit_append_only();
+
+create or replace function public.bookings_audit()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_before jsonb := case when tg_op <> 'INSERT' then to_jsonb(old) end;
+  v_after jsonb := case when tg_op <> 'DELETE' then to_jsonb(new) end;
+  v_changed text[] := '{}';
+  v_action text;
+begin
+  if tg_op = 'INSERT' then
+    v_action := 'create';
+  elsif tg_op = 'DELETE' then
+    v_action := 'delete';
+  else
+    -- campos de servicio que cambian solos no cuentan como cambio
+    select coalesce(array_agg(k order by k), '{}') into v_changed
+    from jsonb_object_keys(v_after) k
+    where k not in ('updated_at', 'sequence', 'cancelled_at', 'cancelled_by')
+      and v_before -> k is distinct from v_after -> k;
+    if cardinality(v_changed) = 0 then
+      return null;
+    end if;
+    v_action := case
+      when old.status = 'confirmed' and new.status = 'no_show' then 'no_show'
+      when old.status = 'confirmed' and new.status <> 'confirmed' then 'cancel'
+      when old.status <> 'confirmed' and new.status = 'confirmed' then 'restore'
+      else 'update'
+    end;
+  end if;
+
+  insert into public.booking_audit (booking_id, action, actor_id, actor_name, changed, before, after)
+  values (
+    coalesce(new.id, old.id),
+    v_action,
+    auth.uid(),
+    (select display_name from public.profiles where id = auth.uid()),
+    v_changed,
+    v_before,
+    v_after
+  );
+  return null;
+end;
+$$;
+
+drop trigger if exists bookings_audit on public.bookings;
+create trigger bookings_audit
+  after insert or update or delete on public.bookings
+  for each row execute function public.bookings_audit();
@@ -0,0 +1,226 @@
+-- Zona horaria de la oficina (antes fija en Europe/Madrid) y, por usuario, la
+-- zona en la que quiere ver las horas además de la de la oficina. Horarios,
+-- festivos, semanas de los cupos y la rejilla de la app siguen la de la oficina.
+create or replace function public.is_valid_timezone(p_tz text)
+returns boolean
+language sql
+stable
+as $$
+  select exists (select 1 from pg_timezone_names where name = p_tz);
+$$;
+
+alter table public.settings
+  add column if not exists timezone text not null default 'Europe/Madrid'
+    check (public.is_valid_timezone(timezone));
+
+-- null = la de la oficina; cada uno cambia la suya ("perfil propio")
+alter table public.profiles
+  add column if not exists timezone text
+    check (timezone is null or public.is_valid_timezone(timezone));
+
+-- Zona en la que se interpretan los horarios de un despacho. De momento una
+-- sola para toda la oficina.
+create or replace function public.room_timezone(p_room_id uuid)
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce((select timezone from public.settings where id = 1), 'Europe/Madrid');
+$$;
+
+-- Mismas funciones, con la zona de la oficina en vez de Europe/Madrid
+create or replace function public.booking_closure_violation(
+  p_room_id uuid,
+  p_start timestamptz,
+  p_end timestamptz
+)
+returns text
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+  v_weekdays text[] := array['lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábados', 'domingos'];
+  v_tz text := public.room_timezone(p_room_id);
+  v_settings public.settings;
+  v_room_name text;
+  v_local_start timestamp := p_start at time zone v_tz;
+  v_local_end timestamp := p_end at time zone v_tz;
+  v_day date;
+  v_dow integer;
+  v_holiday text;
+  v_rule public.opening_hours;
+  v_open integer;
+  v_close integer;
+  v_from integer;
+  v_to integer;
+  v_blackout public.blackouts;
+begin
+  select * into v_settings from public.settings where id = 1;
+  select name into v_room_name from public.rooms where id = p_room_id;
+
+  v_day := v_local_start::date;
+  while v_day::timestamp < v_local_end loop
+    select name into v_holiday from public.holidays where day = v_day;
+    if found then
+      return format('Cerrado: el %s es festivo (%s)', to_char(v_day, 'DD/MM/YYYY'), v_holiday);
+    end if;
+
+    v_dow := extract(isodow from v_day)::integer;
+    select * into v_rule from public.opening_hours where room_id = p_room_id and weekday = v_dow;
+    if not found then
+      select * into v_rule from public.opening_hours where room_id is null and weekday = v_dow;
+    end if;
+    if found and v_rule.opens is null then
+      return format('Cerrado: %s no abre los %s', v_room_name, v_weekdays[v_dow]);
+    end if;
+
+    v_open := v_settings.start_hour * 60;
+    v_close := v_settings.end_hour * 60;
+    if found then
+      v_open := greatest(v_open, (extract(epoch from v_rule.opens) / 60)::integer);
+      v_close := least(v_close, (extract(epoch from v_rule.closes) / 60)::integer);
+    end if;
+
+    -- parte de la reserva que cae en este día, en minutos desde las 00:00
+    v_from := case when v_day = v_local_start::date
+      then (extract(epoch from v_local_start - v_day::timestamp) / 60)::integer else 0 end;
+    v_to := (extract(epoch from least(v_local_end, (v_day + 1)::timestamp) - v_day::timestamp) / 60)::integer;
+    if v_from < v_open or v_to > v_close then
+      return format('Fuera de horario: %s abre los %s de %s a %s',
+        v_room_name, v_weekdays[v_dow], public.minutes_label(v_open), public.minutes_label(v_close));
+    end if;
+    v_day := v_day + 1;
+  end loop;
+
+  select * into v_blackout from public.blackouts b
+  where (b.room_id is null or b.room_id = p_room_id)
+    and b.start < p_end
+    and b."end" > p_start
+  order by b.start
+  limit 1;
+  if found then
+    return format('Cerrado por %s: %s del %s al %s',
+      coalesce(nullif(trim(v_blackout.reason), ''), 'mantenimiento'),
+      v_room_name,
+      to_char(v_blackout.start at time zone v_tz, 'DD/MM HH24:MI'),
+      to_char(v_blackout."end" at time zone v_tz, 'DD/MM HH24:MI'));
+  end if;
+  return null;
+end;
+$$;
+
+create or replace function public.bookings_enforce_policies()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_settings public.settings;
+  v_room public.rooms;
+  v_team text;
+  v_active integer;
+  v_week_minutes numeric;
+  v_week_start timestamptz;
+  v_tz text := public.room_timezone(new.room_id);
+begin
+  if new.status <> 'confirmed' then
+    return new;
+  end if;
+  -- check-in, cambios de texto, etc. no vuelven a pasar por las reglas
+  if tg_op = 'UPDATE'
+    and old.status = 'confirmed'
+    and (new.room_id, new.start, new."end", new.owner_id)
+      is not distinct from (old.room_id, old.start, old."end", old.owner_id) then
+    return new;
+  end if;
+  if public.is_admin() then
+    return new;
+  end if;
+
+  select * into v_settings from public.settings where id = 1;
+  select * into v_room from public.rooms where id = new.room_id;
+
+  if v_room.max_duration_minutes is not null
+    and new."end" - new.start > make_interval(mins => v_room.max_duration_minutes) then
+    raise exception 'Regla «Duración máxima»: en % cada reserva puede durar como mucho % min',
+      v_room.name, v_room.max_duration_minutes
+      using errcode = 'RP001';
+  end if;
+
+  if cardinality(v_room.allowed_teams) > 0 then
+    select team into v_team from public.profiles where id = new.owner_id;
+    if v_team is null or not (v_team = any (v_room.allowed_teams)) then
+      raise exception 'Regla «Despacho restringido»: % es solo para %',
+        v_room.name, array_to_string(v_room.allowed_teams, ', ')
+        using errcode = 'RP001';
+    end if;
+  end if;
+
+  if v_settings.max_advance_days is not null
+    and new.start > now() + make_interval(days => v_settings.max_advance_days) then
+    raise exception 'Regla «Antelación máxima»: solo se puede reservar con % días de antelación',
+      v_settings.max_advance_days
+      using errcode = 'RP001';
+  end if;
+
+  -- el solape real lo rechaza la exclusion constraint; aquí solo lo que
+  -- queda demasiado pegado
+  if v_settings.buffer_minutes > 0 and exists (
+    select 1 from public.bookings b
+    where b.room_id = new.room_id
+      and b.id <> new.id
+      and b.status = 'confirmed'
+      and b.start < new."end" + make_interval(mins => v_settings.buffer_minutes)
+      and b."end" > new.start - make_interval(mins => v_settings.buffer_minutes)
+      and not (b.start < new."end" and b."end" > new.start)
+  ) then
+    raise exception 'Regla «Margen entre reservas»: deja % min libres antes y después de otras reservas en %',
+      v_settings.buffer_minutes, v_room.name
+      using errcode = 'RP001';
+  end if;
+
+  if new.owner_id is null then
+    return new;
+  end if;
+
+  -- una serie cuenta como una sola reserva activa
+  if v_settings.max_active_bookings is not null then
+    select count(distinct coalesce(b.series_id, b.id)) into v_active
+    from public.bookings b
+    where b.owner_id = new.owner_id
+      and b.status = 'confirmed'
+      and b."end" > now()
+      and b.id <> new.id
+      and coalesce(b.series_id, b.id) <> coalesce(new.series_id, new.id);
+    if v_active >= v_settings.max_active_bookings then
+      raise exception 'Regla «Reservas activas»: cada persona puede tener como mucho % reservas pendientes',
+        v_settings.max_active_bookings
+        using errcode = 'RP001';
+    end if;
+  end if;
+
+  -- semana de lunes a domingo (hora de la oficina) en la que empieza la reserva
+  if v_settings.max_weekly_hours is not null then
+    v_week_start := date_trunc('week', new.start at time zone v_tz) at time zone v_tz;
+    select coalesce(sum(extract(epoch from b."end" - b.start) / 60), 0) into v_week_minutes
+    from public.bookings b
+    where b.owner_id = new.owner_id
+      and b.status = 'confirmed'
+      and b.id <> new.id
+      and b.start >= v_week_start
+      and b.start < v_week_start + interval '7 days';
+    if v_week_minutes + extract(epoch from new."end" - new.start) / 60 > v_settings.max_weekly_hours * 60 then
+      raise exception 'Regla «Horas semanales»: cada persona puede reservar como mucho % h por semana',
+        v_settings.max_weekly_hours
+        using errcode = 'RP001';
+    end if;
+  end if;
+
+  return new;
+end;
+$$;
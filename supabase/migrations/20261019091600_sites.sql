@@ -0,0 +1,214 @@
+-- Sedes (oficinas) con sus propios despachos, zona horaria y horario. Los
+-- ajustes generales (settings) siguen siendo comunes; start_hour, end_hour y
+-- timezone de settings quedan como valores por defecto de las sedes nuevas.
+create table if not exists public.sites (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  -- para enlazar a la sede desde la URL (?sede=madrid)
+  slug text not null unique check (slug ~ '^[a-z0-9-]+$'),
+  timezone text not null default 'Europe/Madrid' check (public.is_valid_timezone(timezone)),
+  start_hour integer not null default 8 check (start_hour between 0 and 23),
+  end_hour integer not null default 22 check (end_hour between 1 and 24),
+  position integer not null default 0,
+  check (end_hour > start_hour)
+);
+
+alter table public.sites enable row level security;
+drop policy if exists "sedes lectura" on public.sites;
+create policy "sedes lectura" on public.sites
+  for select to authenticated using (true);
+drop policy if exists "sedes admin" on public.sites;
+create policy "sedes admin" on public.sites
+  for all to authenticated using (public.is_admin()) with check (public.is_admin());
+
+do $$
+begin
+  alter publication supabase_realtime add table public.sites;
+exception when duplicate_object then null;
+end $$;
+
+-- La oficina que ya había pasa a ser la primera sede
+insert into public.sites (name, slug, timezone, start_hour, end_hour)
+select 'Oficina', 'oficina', s.timezone, s.start_hour, s.end_hour
+from public.settings s
+where s.id = 1 and not exists (select 1 from public.sites);
+
+-- Despachos: sede y planta (texto libre, opcional)
+alter table public.rooms
+  add column if not exists site_id uuid references public.sites (id) on delete restrict,
+  add column if not exists floor text;
+update public.rooms
+set site_id = (select id from public.sites order by position, name limit 1)
+where site_id is null;
+alter table public.rooms alter column site_id set not null;
+
+-- Horarios y cierres "de toda la oficina" (room_id null) pasan a ser de una
+-- sede; los de un despacho siguen colgando del despacho
+alter table public.opening_hours
+  add column if not exists site_id uuid references public.sites (id) on delete cascade;
+update public.opening_hours
+set site_id = (select id from public.sites order by position, name limit 1)
+where room_id is null and site_id is null;
+alter table public.opening_hours
+  drop constraint if exists opening_hours_room_id_weekday_key,
+  drop constraint if exists opening_hours_scope_check,
+  add constraint opening_hours_scope_check check ((room_id is null) <> (site_id is null)),
+  drop constraint if exists opening_hours_site_room_weekday_key,
+  add constraint opening_hours_site_room_weekday_key unique nulls not distinct (site_id, room_id, weekday);
+
+alter table public.blackouts
+  add column if not exists site_id uuid references public.sites (id) on delete cascade;
+update public.blackouts
+set site_id = (select id from public.sites order by position, name limit 1)
+where room_id is null and site_id is null;
+alter table public.blackouts
+  drop constraint if exists blackouts_scope_check,
+  add constraint blackouts_scope_check check ((room_id is null) <> (site_id is null));
+
+-- Copia de la sede en cada reserva: permite filtrar consultas y realtime
+-- (site_id=eq.…) sin join. La mantiene el trigger; la app no la envía.
+alter table public.bookings
+  add column if not exists site_id uuid references public.sites (id);
+-- relleno sin triggers: no es un cambio de la reserva (ni avisos ni historial)
+alter table public.bookings disable trigger user;
+update public.bookings b
+set site_id = r.site_id
+from public.rooms r
+where r.id = b.room_id and b.site_id is distinct from r.site_id;
+alter table public.bookings enable trigger user;
+create index if not exists bookings_site_start_idx on public.bookings (site_id, start);
+
+create or replace function public.bookings_set_site()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  new.site_id := (select site_id from public.rooms where id = new.room_id);
+  return new;
+end;
+$$;
+
+drop trigger if exists bookings_site on public.bookings;
+create trigger bookings_site
+  before insert or update of room_id on public.bookings
+  for each row execute function public.bookings_set_site();
+
+-- Si un despacho cambia de sede, sus reservas lo siguen
+create or replace function public.rooms_propagate_site()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update public.bookings set site_id = new.site_id where room_id = new.id;
+  return null;
+end;
+$$;
+
+drop trigger if exists rooms_site on public.rooms;
+create trigger rooms_site
+  after update of site_id on public.rooms
+  for each row
+  when (old.site_id is distinct from new.site_id)
+  execute function public.rooms_propagate_site();
+
+-- La zona de un despacho es la de su sede
+create or replace function public.room_timezone(p_room_id uuid)
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce(
+    (select s.timezone from public.rooms r join public.sites s on s.id = r.site_id where r.id = p_room_id),
+    'Europe/Madrid'
+  );
+$$;
+
+-- Horario general y reglas "de toda la oficina" de la sede del despacho
+create or replace function public.booking_closure_violation(
+  p_room_id uuid,
+  p_start timestamptz,
+  p_end timestamptz
+)
+returns text
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+  v_weekdays text[] := array['lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábados', 'domingos'];
+  v_tz text := public.room_timezone(p_room_id);
+  v_room public.rooms;
+  v_site public.sites;
+  v_local_start timestamp := p_start at time zone v_tz;
+  v_local_end timestamp := p_end at time zone v_tz;
+  v_day date;
+  v_dow integer;
+  v_holiday text;
+  v_rule public.opening_hours;
+  v_open integer;
+  v_close integer;
+  v_from integer;
+  v_to integer;
+  v_blackout public.blackouts;
+begin
+  select * into v_room from public.rooms where id = p_room_id;
+  select * into v_site from public.sites where id = v_room.site_id;
+
+  v_day := v_local_start::date;
+  while v_day::timestamp < v_local_end loop
+    select name into v_holiday from public.holidays where day = v_day;
+    if found then
+      return format('Cerrado: el %s es festivo (%s)', to_char(v_day, 'DD/MM/YYYY'), v_holiday);
+    end if;
+
+    v_dow := extract(isodow from v_day)::integer;
+    select * into v_rule from public.opening_hours where room_id = p_room_id and weekday = v_dow;
+    if not found then
+      select * into v_rule from public.opening_hours
+      where room_id is null and site_id = v_room.site_id and weekday = v_dow;
+    end if;
+    if found and v_rule.opens is null then
+      return format('Cerrado: %s no abre los %s', v_room.name, v_weekdays[v_dow]);
+    end if;
+
+    v_open := v_site.start_hour * 60;
+    v_close := v_site.end_hour * 60;
+    if found then
+      v_open := greatest(v_open, (extract(epoch from v_rule.opens) / 60)::integer);
+      v_close := least(v_close, (extract(epoch from v_rule.closes) / 60)::integer);
+    end if;
+
+    -- parte de la reserva que cae en este día, en minutos desde las 00:00
+    v_from := case when v_day = v_local_start::date
+      then (extract(epoch from v_local_start - v_day::timestamp) / 60)::integer else 0 end;
+    v_to := (extract(epoch from least(v_local_end, (v_day + 1)::timestamp) - v_day::timestamp) / 60)::integer;
+    if v_from < v_open or v_to > v_close then
+      return format('Fuera de horario: %s abre los %s de %s a %s',
+        v_room.name, v_weekdays[v_dow], public.minutes_label(v_open), public.minutes_label(v_close));
+    end if;
+    v_day := v_day + 1;
+  end loop;
+
+  select * into v_blackout from public.blackouts b
+  where (b.room_id = p_room_id or (b.room_id is null and b.site_id = v_room.site_id))
+    and b.start < p_end
+    and b."end" > p_start
+  order by b.start
+  limit 1;
+  if found then
+    return format('Cerrado por %s: %s del %s al %s',
+      coalesce(nullif(trim(v_blackout.reason), ''), 'mantenimiento'),
+      v_room.name,
+      to_char(v_blackout.start at time zone v_tz, 'DD/MM HH24:MI'),
+      to_char(v_blackout."end" at time zone v_tz, 'DD/MM HH24:MI'));
+  end if;
+  return null;
+end;
+$$;
@@ -0,0 +1,8 @@
+-- Ficha del despacho: equipamiento (etiquetas libres: "Pantalla",
+-- "Videoconferencia"...), foto, descripción y notas de accesibilidad. La app
+-- filtra los despachos por capacidad y equipamiento al reservar.
+alter table public.rooms
+  add column if not exists equipment text[] not null default '{}',
+  add column if not exists photo_url text check (photo_url ~* '^https?://'),
+  add column if not exists description text,
+  add column if not exists accessibility text;
@@ -0,0 +1,329 @@
+-- Asistentes de una reserva: usuarios de la app o emails externos. Cada
+-- asistente recibe una invitación (METHOD:REQUEST) y puede aceptarla o
+-- rechazarla desde la app o con el enlace del correo (token, sin sesión).
+create table if not exists public.booking_attendees (
+  id uuid primary key default gen_random_uuid(),
+  booking_id uuid not null references public.bookings (id) on delete cascade,
+  -- null = invitado externo
+  user_id uuid references auth.users (id) on delete cascade,
+  -- de los usuarios se copia de auth.users al invitarlos
+  email text not null check (email ~ '^[^@\s]+@[^@\s]+$'),
+  name text,
+  response text not null default 'pending' check (response in ('pending', 'accepted', 'declined')),
+  responded_at timestamptz,
+  -- para responder desde el correo
+  token uuid not null unique default gen_random_uuid(),
+  created_at timestamptz not null default now()
+);
+create unique index if not exists booking_attendees_email_idx
+  on public.booking_attendees (booking_id, lower(email));
+create index if not exists booking_attendees_user_idx on public.booking_attendees (user_id);
+
+-- Como las reservas: todos ven quién va; invita (y quita) quien puede
+-- cambiar la reserva. La respuesta propia va por respond_to_booking.
+alter table public.booking_attendees enable row level security;
+drop policy if exists "asistentes lectura" on public.booking_attendees;
+create policy "asistentes lectura" on public.booking_attendees
+  for select to authenticated using (true);
+drop policy if exists "asistentes organizador" on public.booking_attendees;
+create policy "asistentes organizador" on public.booking_attendees
+  for all to authenticated
+  using (
+    public.is_admin()
+    or exists (select 1 from public.bookings b where b.id = booking_id and b.owner_id = auth.uid())
+  )
+  with check (
+    public.is_admin()
+    or exists (select 1 from public.bookings b where b.id = booking_id and b.owner_id = auth.uid())
+  );
+
+do $$
+begin
+  alter publication supabase_realtime add table public.booking_attendees;
+exception when duplicate_object then null;
+end $$;
+
+-- Email y nombre de los usuarios invitados (la app no ve los emails)
+create or replace function public.booking_attendees_fill()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if tg_op = 'INSERT' then
+    if new.user_id is not null then
+      select u.email, coalesce(nullif(trim(new.name), ''), p.display_name)
+      into new.email, new.name
+      from auth.users u
+      left join public.profiles p on p.id = u.id
+      where u.id = new.user_id;
+    end if;
+    new.email := lower(trim(new.email));
+    if new.response <> 'pending' then
+      new.responded_at := now();
+    end if;
+  elsif new.response is distinct from old.response then
+    new.responded_at := case when new.response = 'pending' then null else now() end;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists booking_attendees_fill on public.booking_attendees;
+create trigger booking_attendees_fill
+  before insert or update on public.booking_attendees
+  for each row execute function public.booking_attendees_fill();
+
+-- Respuesta desde la app: solo a las invitaciones propias
+create or replace function public.respond_to_booking(p_booking_id uuid, p_response text)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if p_response not in ('accepted', 'declined') then
+    raise exception 'Respuesta no válida: %', p_response using errcode = '22023';
+  end if;
+  update public.booking_attendees
+  set response = p_response
+  where booking_id = p_booking_id and user_id = auth.uid();
+  if not found then
+    raise exception 'No estás invitado a esta reserva' using errcode = '42501';
+  end if;
+end;
+$$;
+
+-- Respuesta desde el enlace del correo (Edge Function respond-invitation).
+-- p_series: también para las fechas siguientes de la serie. Devuelve lo
+-- necesario para confirmar la respuesta.
+create or replace function public.respond_to_invitation(
+  p_token uuid,
+  p_response text,
+  p_series boolean default false
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_attendee public.booking_attendees;
+  v_booking public.bookings;
+begin
+  if p_response not in ('accepted', 'declined') then
+    raise exception 'Respuesta no válida: %', p_response using errcode = '22023';
+  end if;
+  select * into v_attendee from public.booking_attendees where token = p_token;
+  if not found then
+    return null;
+  end if;
+  select * into v_booking from public.bookings where id = v_attendee.booking_id;
+
+  update public.booking_attendees a
+  set response = p_response
+  from public.bookings b
+  where b.id = a.booking_id
+    and (
+      a.id = v_attendee.id
+      or (
+        p_series
+        and v_booking.series_id is not null
+        and b.series_id = v_booking.series_id
+        and b.start >= v_booking.start
+        and a.email = v_attendee.email
+      )
+    );
+
+  return public.booking_snapshot(v_booking)
+    || jsonb_build_object('timezone', public.room_timezone(v_booking.room_id));
+end;
+$$;
+
+revoke execute on function public.respond_to_invitation(uuid, text, boolean) from public, anon, authenticated;
+
+-- Invitaciones en las preferencias de aviso
+alter table public.notification_prefs
+  add column if not exists on_invited boolean not null default true;
+
+create or replace function public.wants_notification(p_user_id uuid, p_kind text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce(
+    (select case p_kind
+        when 'created' then on_created
+        when 'updated' then on_updated
+        when 'cancelled' then on_cancelled
+        when 'reminder' then on_reminder
+        when 'invitation' then on_invited
+      end
+     from public.notification_prefs where user_id = p_user_id),
+    true
+  );
+$$;
+
+-- La cola también lleva avisos para externos (email sin usuario) y el token
+-- del asistente para los enlaces de respuesta.
+alter table public.notification_outbox
+  alter column user_id drop not null,
+  add column if not exists email text,
+  add column if not exists invite_token uuid,
+  drop constraint if exists notification_outbox_kind_check,
+  add constraint notification_outbox_kind_check
+    check (kind in ('created', 'updated', 'cancelled', 'reminder', 'invitation')),
+  drop constraint if exists notification_outbox_recipient_check,
+  add constraint notification_outbox_recipient_check
+    check (user_id is not null or email is not null);
+
+-- La foto incluye organizador y asistentes para el .ics del correo
+create or replace function public.booking_snapshot(p_booking public.bookings)
+returns jsonb
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select to_jsonb(p_booking) || jsonb_build_object(
+    'room_name', (select name from public.rooms where id = p_booking.room_id),
+    'organizer', (
+      select jsonb_build_object('name', p.display_name, 'email', u.email)
+      from auth.users u
+      left join public.profiles p on p.id = u.id
+      where u.id = p_booking.owner_id
+    ),
+    'attendees', coalesce((
+      select jsonb_agg(
+        jsonb_build_object('name', a.name, 'email', a.email, 'response', a.response)
+        order by a.created_at
+      )
+      from public.booking_attendees a
+      where a.booking_id = p_booking.id
+    ), '[]'::jsonb)
+  );
+$$;
+
+create or replace function public.enqueue_attendee_notification(
+  p_kind text,
+  p_booking public.bookings,
+  p_attendee public.booking_attendees,
+  p_previous jsonb default null
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  -- el organizador ya recibe su propio aviso
+  if p_attendee.user_id is not null and (
+    p_attendee.user_id = p_booking.owner_id
+    or not public.wants_notification(p_attendee.user_id, p_kind)
+  ) then
+    return;
+  end if;
+  insert into public.notification_outbox (
+    kind, booking_id, series_id, user_id, email, invite_token, actor_id, booking, previous
+  )
+  values (
+    p_kind,
+    p_booking.id,
+    p_booking.series_id,
+    p_attendee.user_id,
+    case when p_attendee.user_id is null then p_attendee.email end,
+    p_attendee.token,
+    auth.uid(),
+    public.booking_snapshot(p_booking),
+    p_previous
+  );
+end;
+$$;
+
+revoke execute on function public.enqueue_attendee_notification(text, public.bookings, public.booking_attendees, jsonb)
+  from public, anon, authenticated;
+
+-- Los cambios de la reserva llegan también a los asistentes que no la han
+-- rechazado; si se reactiva, se les vuelve a invitar.
+create or replace function public.bookings_enqueue_notification()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_kind text;
+  v_previous jsonb;
+  v_attendee public.booking_attendees;
+begin
+  if tg_op = 'INSERT' then
+    if new.status <> 'confirmed' then
+      return new;
+    end if;
+    v_kind := 'created';
+  elsif old.status = 'confirmed' and new.status <> 'confirmed' then
+    v_kind := 'cancelled';
+  elsif old.status <> 'confirmed' and new.status = 'confirmed' then
+    v_kind := 'created';
+  elsif new.status = 'confirmed'
+    and (new.start, new."end", new.room_id, new.person, new.purpose)
+      is distinct from (old.start, old."end", old.room_id, old.person, old.purpose) then
+    v_kind := 'updated';
+  else
+    return new;
+  end if;
+
+  if tg_op = 'UPDATE' and v_kind = 'updated' then
+    v_previous := public.booking_snapshot(old);
+  end if;
+
+  if new.owner_id is not null and public.wants_notification(new.owner_id, v_kind) then
+    insert into public.notification_outbox (kind, booking_id, series_id, user_id, actor_id, booking, previous)
+    values (v_kind, new.id, new.series_id, new.owner_id, auth.uid(), public.booking_snapshot(new), v_previous);
+  end if;
+
+  for v_attendee in
+    select * from public.booking_attendees where booking_id = new.id and response <> 'declined'
+  loop
+    perform public.enqueue_attendee_notification(
+      case when v_kind = 'created' then 'invitation' else v_kind end,
+      new,
+      v_attendee,
+      v_previous
+    );
+  end loop;
+  return new;
+end;
+$$;
+
+-- Invitar a alguien o quitarlo de una reserva vigente que no ha terminado
+create or replace function public.booking_attendees_notify()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_booking public.bookings;
+begin
+  select * into v_booking from public.bookings
+  where id = case when tg_op = 'DELETE' then old.booking_id else new.booking_id end;
+  if not found or v_booking.status <> 'confirmed' or v_booking."end" <= now() then
+    return null;
+  end if;
+  if tg_op = 'INSERT' and new.response <> 'declined' then
+    perform public.enqueue_attendee_notification('invitation', v_booking, new);
+  elsif tg_op = 'DELETE' and old.response <> 'declined' then
+    perform public.enqueue_attendee_notification('cancelled', v_booking, old);
+  end if;
+  return null;
+end;
+$$;
+
+drop trigger if exists booking_attendees_notify on public.booking_attendees;
+create trigger booking_attendees_notify
+  after insert or delete on public.booking_attendees
+  for each row execute function public.booking_attendees_notify();
@@ -0,0 +1,168 @@
+-- Lista de espera: la oferta reserva el hueco para quien la recibe.
+--  * Desde la app cada uno solo puede retirarse (cancelled); reclamar pasa
+--    por claim_waitlist_offer, que comprueba la oferta y su caducidad.
+--  * Mientras una oferta está vigente, nadie más puede reservar ese tramo.
+drop policy if exists "waitlist baja" on public.waitlist;
+create policy "waitlist baja" on public.waitlist
+  for update to authenticated
+  using (user_id = auth.uid())
+  with check (user_id = auth.uid() and status = 'cancelled');
+
+-- security definer: marca la entrada como reclamada sin pasar por la
+-- política de arriba. La reserva sigue siendo de quien reclama (auth.uid()).
+create or replace function public.claim_waitlist_offer(p_id uuid)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_entry public.waitlist;
+  v_booking_id uuid := gen_random_uuid();
+begin
+  select * into v_entry from public.waitlist
+  where id = p_id and user_id = auth.uid()
+  for update;
+  if not found or v_entry.status <> 'offered' then
+    raise exception 'La oferta ya no está disponible' using errcode = 'P0002';
+  end if;
+  if v_entry.offer_expires_at <= now() then
+    raise exception 'La oferta ha caducado' using errcode = 'P0002';
+  end if;
+
+  insert into public.bookings (id, room_id, person, purpose, start, "end", owner_id)
+  values (v_booking_id, v_entry.room_id, v_entry.person, v_entry.purpose, v_entry.start, v_entry."end", v_entry.user_id);
+  update public.waitlist set status = 'claimed' where id = p_id;
+  return v_booking_id;
+end;
+$$;
+
+revoke execute on function public.claim_waitlist_offer(uuid) from public, anon;
+grant execute on function public.claim_waitlist_offer(uuid) to authenticated;
+
+-- Las reglas de siempre más «Lista de espera»: un tramo ofrecido solo lo
+-- puede reservar quien tiene la oferta hasta que la reclame, la rechace o caduque.
+create or replace function public.bookings_enforce_policies()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_settings public.settings;
+  v_room public.rooms;
+  v_team text;
+  v_active integer;
+  v_week_minutes numeric;
+  v_week_start timestamptz;
+  v_tz text := public.room_timezone(new.room_id);
+begin
+  if new.status <> 'confirmed' then
+    return new;
+  end if;
+  -- check-in, cambios de texto, etc. no vuelven a pasar por las reglas
+  if tg_op = 'UPDATE'
+    and old.status = 'confirmed'
+    and (new.room_id, new.start, new."end", new.owner_id)
+      is not distinct from (old.room_id, old.start, old."end", old.owner_id) then
+    return new;
+  end if;
+  if public.is_admin() then
+    return new;
+  end if;
+
+  select * into v_settings from public.settings where id = 1;
+  select * into v_room from public.rooms where id = new.room_id;
+
+  if exists (
+    select 1 from public.waitlist w
+    where w.room_id = new.room_id
+      and w.status = 'offered'
+      and w.offer_expires_at > now()
+      and w.user_id is distinct from new.owner_id
+      and tstzrange(w.start, w."end", '[)') && tstzrange(new.start, new."end", '[)')
+  ) then
+    raise exception 'Regla «Lista de espera»: ese tramo de % está ofrecido a otra persona de la lista de espera',
+      v_room.name
+      using errcode = 'RP001';
+  end if;
+
+  if v_room.max_duration_minutes is not null
+    and new."end" - new.start > make_interval(mins => v_room.max_duration_minutes) then
+    raise exception 'Regla «Duración máxima»: en % cada reserva puede durar como mucho % min',
+      v_room.name, v_room.max_duration_minutes
+      using errcode = 'RP001';
+  end if;
+
+  if cardinality(v_room.allowed_teams) > 0 then
+    select team into v_team from public.profiles where id = new.owner_id;
+    if v_team is null or not (v_team = any (v_room.allowed_teams)) then
+      raise exception 'Regla «Despacho restringido»: % es solo para %',
+        v_room.name, array_to_string(v_room.allowed_teams, ', ')
+        using errcode = 'RP001';
+    end if;
+  end if;
+
+  if v_settings.max_advance_days is not null
+    and new.start > now() + make_interval(days => v_settings.max_advance_days) then
+    raise exception 'Regla «Antelación máxima»: solo se puede reservar con % días de antelación',
+      v_settings.max_advance_days
+      using errcode = 'RP001';
+  end if;
+
+  -- el solape real lo rechaza la exclusion constraint; aquí solo lo que
+  -- queda demasiado pegado
+  if v_settings.buffer_minutes > 0 and exists (
+    select 1 from public.bookings b
+    where b.room_id = new.room_id
+      and b.id <> new.id
+      and b.status = 'confirmed'
+      and b.start < new."end" + make_interval(mins => v_settings.buffer_minutes)
+      and b."end" > new.start - make_interval(mins => v_settings.buffer_minutes)
+      and not (b.start < new."end" and b."end" > new.start)
+  ) then
+    raise exception 'Regla «Margen entre reservas»: deja % min libres antes y después de otras reservas en %',
+      v_settings.buffer_minutes, v_room.name
+      using errcode = 'RP001';
+  end if;
+
+  if new.owner_id is null then
+    return new;
+  end if;
+
+  -- una serie cuenta como una sola reserva activa
+  if v_settings.max_active_bookings is not null then
+    select count(distinct coalesce(b.series_id, b.id)) into v_active
+    from public.bookings b
+    where b.owner_id = new.owner_id
+      and b.status = 'confirmed'
+      and b."end" > now()
+      and b.id <> new.id
+      and coalesce(b.series_id, b.id) <> coalesce(new.series_id, new.id);
+    if v_active >= v_settings.max_active_bookings then
+      raise exception 'Regla «Reservas activas»: cada persona puede tener como mucho % reservas pendientes',
+        v_settings.max_active_bookings
+        using errcode = 'RP001';
+    end if;
+  end if;
+
+  -- semana de lunes a domingo (hora de la oficina) en la que empieza la reserva
+  if v_settings.max_weekly_hours is not null then
+    v_week_start := date_trunc('week', new.start at time zone v_tz) at time zone v_tz;
+    select coalesce(sum(extract(epoch from b."end" - b.start) / 60), 0) into v_week_minutes
+    from public.bookings b
+    where b.owner_id = new.owner_id
+      and b.status = 'confirmed'
+      and b.id <> new.id
+      and b.start >= v_week_start
+      and b.start < v_week_start + interval '7 days';
+    if v_week_minutes + extract(epoch from new."end" - new.start) / 60 > v_settings.max_weekly_hours * 60 then
+      raise exception 'Regla «Horas semanales»: cada persona puede reservar como mucho % h por semana',
+        v_settings.max_weekly_hours
+        using errcode = 'RP001';
+    end if;
+  end if;
+
+  return new;
+end;
+$$;
@@ -0,0 +1,90 @@
+-- Reservas de varios días (de noche, un fin de semana): solo el inicio del
+-- primer día y el fin del último se comparan con el horario; los días
+-- intermedios no cuentan. Los cierres puntuales siguen valiendo para todo el
+-- tramo. Igual que closureViolation en la app.
+create or replace function public.booking_closure_violation(
+  p_room_id uuid,
+  p_start timestamptz,
+  p_end timestamptz
+)
+returns text
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+  v_weekdays text[] := array['lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábados', 'domingos'];
+  v_tz text := public.room_timezone(p_room_id);
+  v_room public.rooms;
+  v_site public.sites;
+  v_local_start timestamp := p_start at time zone v_tz;
+  v_local_end timestamp := p_end at time zone v_tz;
+  v_day date;
+  v_first date := v_local_start::date;
+  -- día en que acaba: una reserva hasta las 00:00 acaba el día anterior
+  v_last date := (v_local_end - interval '1 microsecond')::date;
+  v_dow integer;
+  v_holiday text;
+  v_rule public.opening_hours;
+  v_open integer;
+  v_close integer;
+  v_from integer;
+  v_to integer;
+  v_blackout public.blackouts;
+begin
+  select * into v_room from public.rooms where id = p_room_id;
+  select * into v_site from public.sites where id = v_room.site_id;
+
+  v_day := v_first;
+  while v_day <= v_last loop
+    select name into v_holiday from public.holidays where day = v_day;
+    if found then
+      return format('Cerrado: el %s es festivo (%s)', to_char(v_day, 'DD/MM/YYYY'), v_holiday);
+    end if;
+
+    v_dow := extract(isodow from v_day)::integer;
+    select * into v_rule from public.opening_hours where room_id = p_room_id and weekday = v_dow;
+    if not found then
+      select * into v_rule from public.opening_hours
+      where room_id is null and site_id = v_room.site_id and weekday = v_dow;
+    end if;
+    if found and v_rule.opens is null then
+      return format('Cerrado: %s no abre los %s', v_room.name, v_weekdays[v_dow]);
+    end if;
+
+    v_open := v_site.start_hour * 60;
+    v_close := v_site.end_hour * 60;
+    if found then
+      v_open := greatest(v_open, (extract(epoch from v_rule.opens) / 60)::integer);
+      v_close := least(v_close, (extract(epoch from v_rule.closes) / 60)::integer);
+    end if;
+
+    -- parte de la reserva que cae en este día, en minutos desde las 00:00
+    v_from := greatest(0, (extract(epoch from v_local_start - v_day::timestamp) / 60)::integer);
+    v_to := (extract(epoch from least(v_local_end, (v_day + 1)::timestamp) - v_day::timestamp) / 60)::integer;
+    if (v_day = v_first and (v_from < v_open or v_from >= v_close))
+      or (v_day = v_last and (v_to > v_close or v_to <= v_open)) then
+      return format('Fuera de horario: %s abre los %s de %s a %s',
+        v_room.name, v_weekdays[v_dow], public.minutes_label(v_open), public.minutes_label(v_close));
+    end if;
+    -- del primer día se salta al último
+    v_day := greatest(v_day + 1, v_last);
+  end loop;
+
+  select * into v_blackout from public.blackouts b
+  where (b.room_id = p_room_id or (b.room_id is null and b.site_id = v_room.site_id))
+    and b.start < p_end
+    and b."end" > p_start
+  order by b.start
+  limit 1;
+  if found then
+    return format('Cerrado por %s: %s del %s al %s',
+      coalesce(nullif(trim(v_blackout.reason), ''), 'mantenimiento'),
+      v_room.name,
+      to_char(v_blackout.start at time zone v_tz, 'DD/MM HH24:MI'),
+      to_char(v_blackout."end" at time zone v_tz, 'DD/MM HH24:MI'));
+  end if;
+  return null;
+end;
+$$;
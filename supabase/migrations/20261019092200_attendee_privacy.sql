@@ -0,0 +1,23 @@
+-- Quién va a una reserva lo ve todo el mundo, pero no su email ni el token
+-- de respuesta: el token solo lo lee el servidor (service role) y los emails,
+-- quien organiza la reserva o un admin, con booking_attendee_emails.
+revoke select on public.booking_attendees from anon, authenticated;
+grant select (id, booking_id, user_id, name, response, responded_at, created_at)
+  on public.booking_attendees to authenticated;
+
+create or replace function public.booking_attendee_emails(p_booking_ids uuid[])
+returns table (id uuid, email text)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select a.id, a.email
+  from public.booking_attendees a
+  join public.bookings b on b.id = a.booking_id
+  where a.booking_id = any (p_booking_ids)
+    and (public.is_admin() or b.owner_id = auth.uid());
+$$;
+
+revoke execute on function public.booking_attendee_emails(uuid[]) from public, anon;
+grant execute on function public.booking_attendee_emails(uuid[]) to authenticated;
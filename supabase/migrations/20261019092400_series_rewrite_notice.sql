@@ -0,0 +1,58 @@
+-- Un cambio de serie (save_booking_series, cancel_booking_series) encola un
+-- aviso por reserva: modificadas, nuevas y anuladas. Se marcan con la
+-- transacción que los generó para que send-notifications los junte en un solo
+-- correo «Reserva modificada» por destinatario.
+alter table public.notification_outbox
+  add column if not exists txid bigint not null default txid_current();
+
+-- Reserva lotes enteros: con las filas de la transacción de cada aviso, para
+-- que un cambio de serie no se parta entre dos ejecuciones.
+create or replace function public.claim_notifications(p_limit integer default 100)
+returns setof public.notification_outbox
+language sql
+security definer
+set search_path = public
+as $$
+  update public.notification_outbox o
+  set locked_until = now() + interval '5 minutes', attempts = o.attempts + 1
+  where o.sent_at is null
+    and o.attempts < 5
+    and (o.locked_until is null or o.locked_until < now())
+    and o.txid in (
+      select txid from (
+        select txid from public.notification_outbox
+        where sent_at is null
+          and attempts < 5
+          and (locked_until is null or locked_until < now())
+        order by id
+        limit p_limit
+        for update skip locked
+      ) pending
+    )
+  returning o.*;
+$$;
+
+-- Al copiar los asistentes a las fechas nuevas de una serie, quien ya había
+-- respondido conserva su respuesta y no recibe otra invitación.
+create or replace function public.booking_attendees_notify()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_booking public.bookings;
+begin
+  select * into v_booking from public.bookings
+  where id = case when tg_op = 'DELETE' then old.booking_id else new.booking_id end;
+  if not found or v_booking.status <> 'confirmed' or v_booking."end" <= now() then
+    return null;
+  end if;
+  if tg_op = 'INSERT' and new.response = 'pending' then
+    perform public.enqueue_attendee_notification('invitation', v_booking, new);
+  elsif tg_op = 'DELETE' and old.response <> 'declined' then
+    perform public.enqueue_attendee_notification('cancelled', v_booking, old);
+  end if;
+  return null;
+end;
+$$;
@@ -0,0 +1,115 @@
+-- Minutos abiertos de un despacho en un día local, con las mismas reglas que
+-- booking_closure_violation: festivo > horario del despacho > horario de su
+-- sede > horario general de la sede, menos los cierres puntuales.
+create or replace function public.room_open_hours(p_room_id uuid, p_day date)
+returns tstzmultirange
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+  v_tz text := public.room_timezone(p_room_id);
+  v_room public.rooms;
+  v_site public.sites;
+  v_rule public.opening_hours;
+  v_dow integer := extract(isodow from p_day)::integer;
+  v_open integer;
+  v_close integer;
+  v_closed tstzmultirange;
+begin
+  if exists (select 1 from public.holidays where day = p_day) then
+    return '{}';
+  end if;
+  select * into v_room from public.rooms where id = p_room_id;
+  select * into v_site from public.sites where id = v_room.site_id;
+
+  select * into v_rule from public.opening_hours where room_id = p_room_id and weekday = v_dow;
+  if not found then
+    select * into v_rule from public.opening_hours
+    where room_id is null and site_id = v_room.site_id and weekday = v_dow;
+  end if;
+  if found and v_rule.opens is null then
+    return '{}';
+  end if;
+
+  v_open := v_site.start_hour * 60;
+  v_close := v_site.end_hour * 60;
+  if found then
+    v_open := greatest(v_open, (extract(epoch from v_rule.opens) / 60)::integer);
+    v_close := least(v_close, (extract(epoch from v_rule.closes) / 60)::integer);
+  end if;
+  if v_close <= v_open then
+    return '{}';
+  end if;
+
+  select range_agg(tstzrange(b.start, b."end", '[)')) into v_closed
+  from public.blackouts b
+  where (b.room_id = p_room_id or (b.room_id is null and b.site_id = v_room.site_id))
+    and tstzrange(b.start, b."end", '[)') && public.local_day_bounds(p_day, v_tz);
+
+  return tstzmultirange(tstzrange(
+      (p_day + make_interval(mins => v_open))::timestamp at time zone v_tz,
+      (p_day + make_interval(mins => v_close))::timestamp at time zone v_tz,
+      '[)'
+    )) - coalesce(v_closed, '{}');
+end;
+$$;
+
+-- Ocupación por despacho y semana: minutos reservados dentro del horario de
+-- apertura de cada despacho / sus minutos abiertos esa semana. Los días
+-- cerrados (festivos, cierres) no cuentan en ninguno de los dos.
+create or replace function public.booking_occupancy_by_week(
+  p_from date,
+  p_to date,
+  p_tz text default 'Europe/Madrid'
+)
+returns table (
+  room_id uuid,
+  week_start date,
+  booked_minutes numeric,
+  available_minutes integer,
+  occupancy numeric
+)
+language sql
+stable
+as $$
+  with days as (
+    select d::date as day
+    from generate_series(p_from::timestamp, p_to::timestamp, interval '1 day') d
+  ),
+  open_slots as (
+    select r.id as room_id,
+      date_trunc('week', d.day)::date as week_start,
+      public.room_open_hours(r.id, d.day) as open
+    from public.rooms r cross join days d
+  ),
+  available as (
+    select o.room_id, o.week_start,
+      coalesce(sum(extract(epoch from upper(u) - lower(u)) / 60), 0) as minutes
+    from open_slots o
+    left join lateral unnest(o.open) u on true
+    group by o.room_id, o.week_start
+  ),
+  booked as (
+    select o.room_id, o.week_start,
+      sum(extract(epoch from upper(u) - lower(u)) / 60) as minutes
+    from open_slots o
+    join public.bookings b
+      on b.room_id = o.room_id
+      and b.status = 'confirmed'
+      and tstzmultirange(tstzrange(b.start, b."end", '[)')) && o.open
+    cross join lateral unnest(tstzmultirange(tstzrange(b.start, b."end", '[)')) * o.open) u
+    group by o.room_id, o.week_start
+  )
+  select r.id,
+    a.week_start,
+    round(coalesce(bk.minutes, 0), 1),
+    a.minutes::integer,
+    round(coalesce(bk.minutes, 0) / nullif(a.minutes, 0), 4)
+  from public.rooms r
+  join available a on a.room_id = r.id
+  left join booked bk on bk.room_id = r.id and bk.week_start = a.week_start
+  where r.active or bk.minutes > 0
+  order by r.position, a.week_start;
+$$;
@@ -0,0 +1,183 @@
+-- Estadísticas por sede: cada función recibe la sede en lugar de la zona
+-- (los días locales son los de la zona de la sede) y solo cuenta sus
+-- despachos y reservas.
+
+-- Zona de una sede
+create or replace function public.site_timezone(p_site_id uuid)
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce((select timezone from public.sites where id = p_site_id), 'Europe/Madrid');
+$$;
+
+drop function if exists public.booking_occupancy_by_week(date, date, text);
+create or replace function public.booking_occupancy_by_week(
+  p_from date,
+  p_to date,
+  p_site_id uuid
+)
+returns table (
+  room_id uuid,
+  week_start date,
+  booked_minutes numeric,
+  available_minutes integer,
+  occupancy numeric
+)
+language sql
+stable
+as $$
+  with days as (
+    select d::date as day
+    from generate_series(p_from::timestamp, p_to::timestamp, interval '1 day') d
+  ),
+  open_slots as (
+    select r.id as room_id,
+      date_trunc('week', d.day)::date as week_start,
+      public.room_open_hours(r.id, d.day) as open
+    from public.rooms r cross join days d
+    where r.site_id = p_site_id
+  ),
+  available as (
+    select o.room_id, o.week_start,
+      coalesce(sum(extract(epoch from upper(u) - lower(u)) / 60), 0) as minutes
+    from open_slots o
+    left join lateral unnest(o.open) u on true
+    group by o.room_id, o.week_start
+  ),
+  booked as (
+    select o.room_id, o.week_start,
+      sum(extract(epoch from upper(u) - lower(u)) / 60) as minutes
+    from open_slots o
+    join public.bookings b
+      on b.room_id = o.room_id
+      and b.status = 'confirmed'
+      and tstzmultirange(tstzrange(b.start, b."end", '[)')) && o.open
+    cross join lateral unnest(tstzmultirange(tstzrange(b.start, b."end", '[)')) * o.open) u
+    group by o.room_id, o.week_start
+  )
+  select r.id,
+    a.week_start,
+    round(coalesce(bk.minutes, 0), 1),
+    a.minutes::integer,
+    round(coalesce(bk.minutes, 0) / nullif(a.minutes, 0), 4)
+  from public.rooms r
+  join available a on a.room_id = r.id
+  left join booked bk on bk.room_id = r.id and bk.week_start = a.week_start
+  where r.active or bk.minutes > 0
+  order by r.position, a.week_start;
+$$;
+
+-- Horas punta en la hora local de la sede, sobre sus despachos activos
+drop function if exists public.booking_peak_hours(date, date, text);
+create or replace function public.booking_peak_hours(
+  p_from date,
+  p_to date,
+  p_site_id uuid
+)
+returns table (
+  weekday integer,
+  hour integer,
+  booked_minutes numeric,
+  occupancy numeric
+)
+language sql
+stable
+as $$
+  with tz as (
+    select public.site_timezone(p_site_id) as name
+  ),
+  hours as (
+    select h,
+      tstzrange(h at time zone tz.name, (h + interval '1 hour') at time zone tz.name, '[)') as slot
+    from tz, generate_series(
+      p_from::timestamp,
+      (p_to + 1)::timestamp - interval '1 hour',
+      interval '1 hour'
+    ) h
+  ),
+  per_hour as (
+    select hr.h,
+      coalesce(sum(extract(epoch from upper(x.r) - lower(x.r)) / 60), 0) as minutes
+    from hours hr
+    left join public.bookings b
+      on b.status = 'confirmed'
+      and b.site_id = p_site_id
+      and tstzrange(b.start, b."end", '[)') && hr.slot
+    left join lateral (select tstzrange(b.start, b."end", '[)') * hr.slot as r) x on true
+    group by hr.h
+  ),
+  active_rooms as (
+    select greatest(count(*), 1) as n from public.rooms where active and site_id = p_site_id
+  )
+  select extract(isodow from p.h)::integer,
+    extract(hour from p.h)::integer,
+    round(sum(p.minutes), 1),
+    round(sum(p.minutes) / (count(*) * 60 * max(a.n)), 4)
+  from per_hour p cross join active_rooms a
+  group by 1, 2
+  order by 1, 2;
+$$;
+
+drop function if exists public.booking_top_people(date, date, text, integer);
+create or replace function public.booking_top_people(
+  p_from date,
+  p_to date,
+  p_site_id uuid,
+  p_limit integer default 10
+)
+returns table (
+  person text,
+  bookings bigint,
+  booked_minutes numeric,
+  cancelled bigint,
+  no_shows bigint
+)
+language sql
+stable
+as $$
+  select min(trim(b.person)),
+    count(*) filter (where b.status = 'confirmed'),
+    round(coalesce(sum(extract(epoch from b."end" - b.start) / 60)
+      filter (where b.status = 'confirmed'), 0), 1),
+    count(*) filter (where b.status = 'cancelled'),
+    count(*) filter (where b.status = 'no_show')
+  from public.bookings b
+  where b.site_id = p_site_id
+    and b.start >= lower(public.local_day_bounds(p_from, public.site_timezone(p_site_id)))
+    and b.start < upper(public.local_day_bounds(p_to, public.site_timezone(p_site_id)))
+    and coalesce(trim(b.person), '') <> ''
+  group by lower(trim(b.person))
+  order by 3 desc, 2 desc
+  limit p_limit;
+$$;
+
+drop function if exists public.booking_summary(date, date, text);
+create or replace function public.booking_summary(
+  p_from date,
+  p_to date,
+  p_site_id uuid
+)
+returns table (
+  total bigint,
+  confirmed bigint,
+  cancelled bigint,
+  avg_minutes numeric,
+  cancellation_rate numeric
+)
+language sql
+stable
+as $$
+  select count(*),
+    count(*) filter (where b.status = 'confirmed'),
+    count(*) filter (where b.status = 'cancelled'),
+    round(avg(extract(epoch from b."end" - b.start) / 60)
+      filter (where b.status = 'confirmed'), 1),
+    round((count(*) filter (where b.status = 'cancelled'))::numeric / nullif(count(*), 0), 4)
+  from public.bookings b
+  where b.site_id = p_site_id
+    and b.start >= lower(public.local_day_bounds(p_from, public.site_timezone(p_site_id)))
+    and b.start < upper(public.local_day_bounds(p_to, public.site_timezone(p_site_id)));
+$$;
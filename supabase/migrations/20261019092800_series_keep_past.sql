@@ -0,0 +1,110 @@
+-- Al reescribir una serie sus fechas ya pasadas no se tocan: ni se mueven,
+-- ni se anulan, ni se vuelven a crear. Las borradas por el mantenimiento o
+-- liberadas por no presentarse no tienen EXDATE y, si no, reaparecían como
+-- reservas confirmadas en el pasado.
+create or replace function public.save_booking_series(
+  p_series jsonb,
+  p_occurrences jsonb,
+  p_previous_id uuid default null,
+  p_from timestamptz default null,
+  p_previous_until date default null
+)
+returns uuid
+language plpgsql
+as $$
+declare
+  v_id uuid := (p_series ->> 'id')::uuid;
+  v_room_id uuid := (p_series ->> 'room_id')::uuid;
+  v_tz text := public.room_timezone(v_room_id);
+  v_owner uuid := auth.uid();
+  -- al reescribir, nada antes de ahora ni de p_from
+  v_from timestamptz := case
+    when p_previous_id is null then '-infinity'::timestamptz
+    else greatest(now(), coalesce(p_from, '-infinity'::timestamptz))
+  end;
+  v_occurrence record;
+begin
+  if p_previous_id is not null then
+    select owner_id into v_owner from public.booking_series where id = p_previous_id;
+
+    update public.bookings b
+    set status = 'cancelled'
+    where b.series_id = p_previous_id
+      and b.status = 'confirmed'
+      and b.start >= v_from
+      and (b.start at time zone v_tz)::date not in (
+        select (o.start at time zone v_tz)::date
+        from jsonb_to_recordset(p_occurrences) as o(start timestamptz)
+      );
+
+    if p_previous_id <> v_id then
+      update public.booking_series
+      set until = p_previous_until, count = null
+      where id = p_previous_id;
+    end if;
+  end if;
+
+  insert into public.booking_series (
+    id, room_id, person, purpose, freq, "interval", weekdays,
+    dtstart, duration_minutes, until, count, exdates, owner_id
+  )
+  values (
+    v_id,
+    v_room_id,
+    p_series ->> 'person',
+    p_series ->> 'purpose',
+    p_series ->> 'freq',
+    coalesce((p_series ->> 'interval')::integer, 1),
+    coalesce(array(select jsonb_array_elements_text(p_series -> 'weekdays'))::smallint[], '{}'),
+    (p_series ->> 'dtstart')::timestamptz,
+    (p_series ->> 'duration_minutes')::integer,
+    (p_series ->> 'until')::date,
+    (p_series ->> 'count')::integer,
+    coalesce(array(select jsonb_array_elements_text(p_series -> 'exdates'))::timestamptz[], '{}'),
+    v_owner
+  )
+  on conflict (id) do update set
+    room_id = excluded.room_id,
+    person = excluded.person,
+    purpose = excluded.purpose,
+    freq = excluded.freq,
+    "interval" = excluded."interval",
+    weekdays = excluded.weekdays,
+    dtstart = excluded.dtstart,
+    duration_minutes = excluded.duration_minutes,
+    until = excluded.until,
+    count = excluded.count,
+    exdates = excluded.exdates;
+
+  for v_occurrence in
+    select * from jsonb_to_recordset(p_occurrences) as o(id uuid, start timestamptz, "end" timestamptz)
+    where o.start >= v_from
+    order by o.start
+  loop
+    update public.bookings
+    set room_id = v_room_id,
+      person = p_series ->> 'person',
+      purpose = p_series ->> 'purpose',
+      start = v_occurrence.start,
+      "end" = v_occurrence."end",
+      series_id = v_id
+    where id = (
+      select b.id from public.bookings b
+      where p_previous_id is not null
+        and b.series_id = p_previous_id
+        and b.status = 'confirmed'
+        and b.start >= v_from
+        and (b.start at time zone v_tz)::date = (v_occurrence.start at time zone v_tz)::date
+      order by b.start
+      limit 1
+    );
+    if not found then
+      insert into public.bookings (id, room_id, person, purpose, start, "end", series_id, owner_id, created_at)
+      values (v_occurrence.id, v_room_id, p_series ->> 'person', p_series ->> 'purpose',
+        v_occurrence.start, v_occurrence."end", v_id, v_owner, now());
+    end if;
+  end loop;
+
+  return v_id;
+end;
+$$;
@@ -0,0 +1,3 @@
+-- Realtime manda la fila anterior completa en los updates: la app ve
+-- old.site_id y saca de su sede las reservas que se mueven a otra.
+alter table public.bookings replica identity full;
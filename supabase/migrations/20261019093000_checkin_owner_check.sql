@@ -0,0 +1,36 @@
+-- Check-in: el `for update` pasa por la política de cambios de RLS, así que
+-- para quien no es el dueño la reserva "no existía" y recibía «ya no está
+-- vigente». Se comprueba antes el dueño con la lectura, que es para todos.
+create or replace function public.check_in_booking(p_id uuid)
+returns public.bookings
+language plpgsql
+as $$
+declare
+  v_settings public.settings;
+  v_booking public.bookings;
+begin
+  select * into v_settings from public.settings where id = 1;
+  select * into v_booking from public.bookings where id = p_id;
+  if found and v_booking.owner_id is distinct from auth.uid() and not public.is_admin() then
+    raise exception 'Solo quien reservó puede hacer check-in' using errcode = '42501';
+  end if;
+
+  select * into v_booking from public.bookings where id = p_id for update;
+  if not found or v_booking.status <> 'confirmed' then
+    raise exception 'La reserva ya no está vigente' using errcode = 'P0002';
+  end if;
+  if v_booking.checked_in_at is not null then
+    return v_booking;
+  end if;
+  if now() < v_booking.start - make_interval(mins => v_settings.checkin_open_minutes) then
+    raise exception 'Aún no se puede hacer check-in' using errcode = '22023';
+  end if;
+  if now() >= v_booking."end" then
+    raise exception 'La reserva ya ha terminado' using errcode = '22023';
+  end if;
+
+  update public.bookings set checked_in_at = now() where id = p_id
+  returning * into v_booking;
+  return v_booking;
+end;
+$$;
@@ -0,0 +1,20 @@
+-- El organizador invita y quita asistentes, pero no cambia sus filas: la
+-- respuesta es de cada asistente (respond_to_booking, respond_to_invitation)
+-- y una fila no se pasa a otra reserva.
+drop policy if exists "asistentes organizador" on public.booking_attendees;
+drop policy if exists "asistentes alta" on public.booking_attendees;
+create policy "asistentes alta" on public.booking_attendees
+  for insert to authenticated
+  with check (
+    public.is_admin()
+    or exists (select 1 from public.bookings b where b.id = booking_id and b.owner_id = auth.uid())
+  );
+drop policy if exists "asistentes baja" on public.booking_attendees;
+create policy "asistentes baja" on public.booking_attendees
+  for delete to authenticated
+  using (
+    public.is_admin()
+    or exists (select 1 from public.bookings b where b.id = booking_id and b.owner_id = auth.uid())
+  );
+
+revoke update on public.booking_attendees from anon, authenticated;